@@ -30,21 +30,21 @@
         var url = this.url.value;
         var user = this.user.value;
         var pubkey = this.pubkey.value;
-        var privkey = this.privkey.value;
+        var signer = this.signer.value;
 
         // Save the settings to localstorage (if user has agreed)
         if (this.remember.checked && supportsLocalStorage()) {
             localStorage.url = url || window.location.protocol + '//';
             localStorage.user = user;
             localStorage.pubkey = pubkey;
-            localStorage.privkey = privkey;
+            localStorage.signer = signer;
         }
 
         client = new Imbo.Client({
             hosts: url,
             user: user,
             publicKey: pubkey,
-            privateKey: privkey
+            signer: signer
         });
 
         form.addClass('hidden');
@@ -57,7 +57,7 @@
         el.url.value = localStorage.url || window.location.protocol + '//';
         el.user.value = localStorage.user || '';
         el.pubkey.value = localStorage.pubkey || '';
-        el.privkey.value = localStorage.privkey || '';
+        el.signer.value = localStorage.signer || '';
     }
 
     // Set up some DOM-elements
@@ -104,6 +104,19 @@
         }
     };
 
+    // Show the image - the access token of the URL is generated by the signing endpoint
+    var showImage = function(url, img) {
+        url.getUrl(function(err, signedUrl) {
+            if (err) {
+                return window.alert(err);
+            }
+
+            $('#image-identifier').attr('href', signedUrl);
+            img.attr('src', signedUrl);
+            updateUrl(signedUrl);
+        });
+    };
+
     // Callback for when the image is uploaded
     var onImageUploaded = function(err, imageIdentifier, res) {
         // Remove progress bar
@@ -118,7 +131,7 @@
         // Check for any XHR errors (200 means image already exists)
         if (err && res && res.headers && res.headers['X-Imbo-Error-Internalcode'] !== 200) {
             if (err === 'Signature mismatch') {
-                err += ' (probably incorrect private key)';
+                err += ' (probably incorrect private key on the signing endpoint)';
             }
 
             /* eslint no-alert: 0 */
@@ -130,9 +143,8 @@
         // Build an Imbo-url
         var result = $('#result').removeClass('hidden');
         var url = client.getImageUrl(imageIdentifier);
-        $('#image-identifier').text(imageIdentifier).attr('href', url.toString());
-        result.find('img').attr('src', url.maxSize({ width: result.width() }).toString());
-        updateUrl(url);
+        $('#image-identifier').text(imageIdentifier);
+        showImage(url.maxSize({ width: result.width() }), result.find('img'));
 
         if (!active) {
             $('#controls [data-transformation="border"]').on('click', function() {
@@ -151,9 +163,7 @@
                     url.maxSize({ width: result.width() });
                 }
 
-                updateUrl(url);
-
-                result.find('img').attr('src', url.toString());
+                showImage(url, result.find('img'));
             });
         }
     };
@@ -10,6 +10,7 @@ var uglify = require('gulp-uglify');
 var replace = require('gulp-replace');
 var insert = require('gulp-insert');
 var through = require('through');
+var toBrowserPaths = require('./lib/utils/browser-paths');
 var pkgInfo = require('./package.json');
 
 var mochaOpts = { reporter: 'spec', bail: true };
@@ -27,7 +28,7 @@ function browserSpecific() {
             data += buf;
         },
         function() {
-            this.queue(data.replace(/\.\/node\//g, './browser/'));
+            this.queue(toBrowserPaths(data));
             this.queue(null);
         }
     );
@@ -12,5 +12,9 @@ exports.Client = require('./lib/client');
 exports.Url = require('./lib/url/url');
 exports.ImageUrl = require('./lib/url/imageurl');
 exports.ShortUrl = require('./lib/url/shorturl');
+exports.Transformation = require('./lib/url/transformation');
 exports.Query = require('./lib/query');
+exports.MetadataQuery = require('./lib/metadata-query');
+exports.ImboError = require('./lib/imbo-error');
+exports.middleware = require('./lib/node/middleware');
 exports.Version = require('./package.json').version;
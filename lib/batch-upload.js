@@ -0,0 +1,249 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./utils/extend'),
+    addImage = require('./utils/add-image'),
+    eachLimit = require('./utils/each-limit'),
+    existingImages = require('./utils/existing-images');
+
+/**
+ * Uploads a list of images, keeping at most `concurrency` uploads in flight at a time.
+ * Failing uploads do not stop the batch - the callback receives a result for each
+ * input, in the same order as the inputs.
+ *
+ * With `skipIfExists`, the checksums of all paths, buffers and files are calculated first
+ * and looked up on the server in batches. Images from URLs are looked up when
+ * they are uploaded, as they have to be downloaded to calculate their checksum - keeping
+ * only the images being uploaded in memory. Inputs which already exist are not uploaded.
+ *
+ * @param {ImboClient} client
+ * @param {Array}      inputs
+ * @param {Object}     [options]
+ * @param {Number}     [options.concurrency=4]
+ * @param {Boolean}    [options.skipIfExists=false]
+ * @param {Function}   [options.onProgress] - Called with `(input, event, index)`
+ * @param {Function}   [options.onSuccess]  - Called with `(input, imageIdentifier, index, body)`
+ * @param {Function}   [options.onFailure]  - Called with `(input, err, index)`
+ */
+function BatchUpload(client, inputs, options) {
+    options = options || {};
+
+    if (!Array.isArray(inputs)) {
+        throw new Error('`inputs` must be an array');
+    }
+
+    var concurrency = typeof options.concurrency === 'undefined' ? 4 : options.concurrency;
+    if (typeof concurrency !== 'number' || !isFinite(concurrency) || concurrency < 1) {
+        throw new Error('`concurrency` must be a number of at least 1');
+    }
+
+    this.client = client;
+    this.inputs = inputs;
+    this.concurrency = Math.floor(concurrency);
+    this.skipIfExists = Boolean(options.skipIfExists);
+    this.handlers = extend({
+        onProgress: null,
+        onSuccess: null,
+        onFailure: null
+    }, options);
+    this.results = new Array(inputs.length);
+}
+
+extend(BatchUpload.prototype, {
+    /**
+     * Start uploading. The callback receives an array of results, one for each input,
+     * holding the `input`, its `imageIdentifier` or the `error` it failed with, and
+     * whether the upload was `skipped` because the image already exists.
+     *
+     * @param {Function} callback
+     */
+    start: function(callback) {
+        var upload = this.uploadAll.bind(this, callback);
+
+        this.inputs.forEach(function(input, index) {
+            if (typeof input !== 'string' && (!input || typeof input !== 'object')) {
+                this.fail(index, new Error('Invalid input: expected a path, URL, Buffer or File'));
+            }
+        }, this);
+
+        if (this.skipIfExists) {
+            this.findExisting(upload);
+        } else {
+            upload();
+        }
+    },
+
+    /**
+     * Calculate the checksums of the inputs (except URLs) and look them up on the server,
+     * completing the inputs which already exist
+     *
+     * @param {Function} callback
+     */
+    findExisting: function(callback) {
+        var checksums = new Array(this.inputs.length);
+
+        eachLimit(this.inputs.length, this.concurrency, function(index, next) {
+            if (this.results[index] || existingImages.isUrl(this.inputs[index])) {
+                return next();
+            }
+
+            var input = this.inputs[index],
+                kind = existingImages.getSourceKind(input);
+
+            existingImages.getChecksum(this.client, input, kind, function(err, checksum) {
+                if (err) {
+                    this.fail(index, err);
+                } else {
+                    checksums[index] = checksum;
+                }
+
+                next();
+            }.bind(this));
+        }.bind(this), function() {
+            existingImages.findByChecksums(this.client, checksums, function(err, images) {
+                checksums.forEach(function(checksum, index) {
+                    if (!checksum) {
+                        return;
+                    }
+
+                    if (err) {
+                        this.fail(index, err);
+                    } else if (images[checksum]) {
+                        this.succeed(index, images[checksum].imageIdentifier, images[checksum], true);
+                    }
+                }, this);
+
+                callback();
+            }.bind(this));
+        }.bind(this));
+    },
+
+    /**
+     * Upload the inputs which have not been completed yet
+     *
+     * @param {Function} callback
+     */
+    uploadAll: function(callback) {
+        var remaining = [];
+        for (var i = 0; i < this.inputs.length; i++) {
+            if (!this.results[i]) {
+                remaining.push(i);
+            }
+        }
+
+        eachLimit(remaining.length, this.concurrency, function(position, next) {
+            this.upload(remaining[position], next);
+        }.bind(this), function() {
+            callback(null, this.results);
+        }.bind(this));
+    },
+
+    /**
+     * Upload a single input
+     *
+     * @param {Number}   index
+     * @param {Function} next
+     */
+    upload: function(index, next) {
+        var input = this.inputs[index],
+            handlers = this.handlers;
+
+        var callbacks = {
+            onComplete: function(err, imageIdentifier, body) {
+                if (err) {
+                    this.fail(index, err);
+                } else {
+                    this.succeed(index, imageIdentifier, body, false);
+                }
+
+                next();
+            }.bind(this),
+            onProgress: function(event) {
+                if (handlers.onProgress) {
+                    handlers.onProgress(input, event, index);
+                }
+            }
+        };
+
+        if (this.skipIfExists && existingImages.isUrl(input)) {
+            this.uploadUnlessExists(index, callbacks, next);
+        } else {
+            addImage(this.client, input, callbacks);
+        }
+    },
+
+    /**
+     * Download an image from a URL and upload it, unless an image with the same checksum
+     * exists on the server already
+     *
+     * @param {Number}   index
+     * @param {Object}   callbacks - Upload handlers, see `upload()`
+     * @param {Function} next
+     */
+    uploadUnlessExists: function(index, callbacks, next) {
+        var client = this.client;
+
+        existingImages.getChecksum(client, this.inputs[index], 'url', function(err, checksum, data) {
+            if (err) {
+                return callbacks.onComplete(err);
+            }
+
+            existingImages.findByChecksums(client, [checksum], function(findErr, images) {
+                var image = images && images[checksum];
+
+                if (findErr) {
+                    return callbacks.onComplete(findErr);
+                } else if (!image) {
+                    // Upload the downloaded data instead of downloading the image again
+                    return client.addImageFromBuffer(data, callbacks);
+                }
+
+                this.succeed(index, image.imageIdentifier, image, true);
+                next();
+            }.bind(this));
+        }.bind(this));
+    },
+
+    /**
+     * Record a successful upload
+     *
+     * @param {Number}  index
+     * @param {String}  imageIdentifier
+     * @param {Object}  body
+     * @param {Boolean} skipped
+     */
+    succeed: function(index, imageIdentifier, body, skipped) {
+        var input = this.inputs[index];
+
+        this.results[index] = { input: input, imageIdentifier: imageIdentifier, error: null, skipped: skipped };
+
+        if (this.handlers.onSuccess) {
+            this.handlers.onSuccess(input, imageIdentifier, index, body);
+        }
+    },
+
+    /**
+     * Record a failed upload
+     *
+     * @param {Number} index
+     * @param {Error}  err
+     */
+    fail: function(index, err) {
+        var input = this.inputs[index];
+
+        this.results[index] = { input: input, imageIdentifier: null, error: err, skipped: false };
+
+        if (this.handlers.onFailure) {
+            this.handlers.onFailure(input, err, index);
+        }
+    }
+});
+
+module.exports = BatchUpload;
@@ -114,7 +114,7 @@ module.exports = {
 
                 module.exports.md5(data, callback, { binary: true });
             });
-        } else if (buffer instanceof window.File) {
+        } else if (typeof Blob === 'function' && buffer instanceof Blob) {
             readers.getContentsFromFile(buffer, function(err, data) {
                 if (err) {
                     return callback(err);
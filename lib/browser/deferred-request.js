@@ -0,0 +1,43 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+/**
+ * Create a stand-in for a request which can't be sent right away, for instance because
+ * it has to be signed first. Browser requests are never streamed, so this only needs
+ * to pass on aborts - failures are reported through the request callback.
+ *
+ * @return {Object} Object with `start(request)`, `fail(err, handled)` and `abort()` methods
+ */
+module.exports = function createDeferredRequest() {
+    var aborted = false,
+        current = null;
+
+    return {
+        start: function(request) {
+            current = request;
+
+            if (aborted) {
+                request.abort();
+            }
+        },
+
+        fail: function() {
+            current = null;
+        },
+
+        abort: function() {
+            aborted = true;
+
+            if (current) {
+                current.abort();
+            }
+        }
+    };
+};
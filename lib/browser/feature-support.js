@@ -14,7 +14,7 @@
  * @param {Window|Object} [context]
  */
 exports.checkFeatures = function(context) {
-    if (typeof window !== 'undefined' || context) {
+    if (typeof window !== 'undefined' || typeof self !== 'undefined' || context) {
         var unsupported = exports.getUnsupported(context);
         if (unsupported.length) {
             throw new Error('Browser does not support ' + unsupported.join(', '));
@@ -23,16 +23,18 @@ exports.checkFeatures = function(context) {
 };
 
 /**
- * Returns an array of unsupported features for the browser
+ * Returns an array of unsupported features for the browser. Environments supporting
+ * `fetch` (such as web workers) don't need XMLHttpRequest or FileReader.
  *
  * @param {Window|Object} [context]
  * @return {Array}
  */
 exports.getUnsupported = function(context) {
-    var global = context || window,
+    var global = context || (typeof window !== 'undefined' ? window : self),
+        hasFetch = typeof global.fetch === 'function' && typeof global.Response === 'function',
         unsupported = [];
 
-    if (!global.FileReader) {
+    if (!global.FileReader && !hasFetch) {
         unsupported.push('FileReader');
     }
 
@@ -40,7 +42,9 @@ exports.getUnsupported = function(context) {
         unsupported.push('ArrayBuffer');
     }
 
-    if (!global.XMLHttpRequest) {
+    if (hasFetch) {
+        return unsupported;
+    } else if (!global.XMLHttpRequest) {
         unsupported.push('XMLHttpRequest');
     } else if (!('upload' in new global.XMLHttpRequest())) {
         unsupported.push('XMLHttpRequest2');
@@ -0,0 +1,140 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+/* global AbortController */
+'use strict';
+
+var jsonparse = require('../utils/jsonparse');
+
+// Headers which are forbidden in browsers, or which would trigger a CORS preflight
+var disallowedHeaders = [
+    'User-Agent',
+    'Content-Length'
+];
+
+/**
+ * Normalize a fetch response into the same format as the other transports
+ *
+ * @param  {Response} res
+ * @return {Object}
+ */
+var normalizeResponse = function(res) {
+    var response = {
+        headers: {},
+        statusCode: res.status,
+        statusMessage: res.statusText
+    };
+
+    res.headers.forEach(function(value, key) {
+        response.headers[key.toLowerCase()] = value;
+    });
+
+    return response;
+};
+
+/**
+ * Send a single HTTP request using the Fetch API
+ *
+ * @param {Object}         options
+ * @param {String}         options.method      HTTP method
+ * @param {String}         options.uri         URI to request
+ * @param {Object}         [options.headers]   Request headers
+ * @param {*}              [options.body]      Request body - a Blob, ArrayBuffer, ReadableStream or string
+ * @param {Boolean|Object} [options.json]      Whether to parse the response as JSON. If an object is
+ *                                             given, it is serialized and sent as the request body
+ * @param {null}           [options.encoding]  Set to `null` to receive the response body as an ArrayBuffer
+ * @param {Number}         [options.timeout]   Milliseconds to wait for a response before failing
+ * @param {Function}       [callback]          Called with `(err, res, body)` once the response has been received
+ * @return {Object} Object with an `abort()` method
+ */
+function fetchRequest(options, callback) {
+    var done = callback || function() {},
+        controller = typeof AbortController === 'function' ? new AbortController() : null,
+        init = { method: options.method, headers: {}, body: options.body },
+        completed = false,
+        timer;
+
+    // Is this a JSON-request with a payload to deliver?
+    if (options.json && typeof options.json !== 'boolean') {
+        init.body = JSON.stringify(options.json);
+        init.headers['Content-Type'] = 'application/json';
+    }
+
+    if (options.json) {
+        init.headers.Accept = 'application/json';
+    }
+
+    // Streamed request bodies must be sent in half-duplex mode
+    if (typeof ReadableStream === 'function' && init.body instanceof ReadableStream) {
+        init.duplex = 'half';
+    }
+
+    // Apply request headers
+    for (var key in options.headers) {
+        // We're not allowed to set certain headers in browsers
+        if (disallowedHeaders.indexOf(key) > -1) {
+            continue;
+        }
+
+        init.headers[key] = String(options.headers[key]);
+    }
+
+    if (controller) {
+        init.signal = controller.signal;
+    }
+
+    // Call the callback outside of the promise chain, so errors thrown from it aren't swallowed
+    var complete = function(err, res, body) {
+        clearTimeout(timer);
+
+        if (!completed) {
+            completed = true;
+            setTimeout(function() {
+                done(err, res, body);
+            }, 0);
+        }
+    };
+
+    if (options.timeout) {
+        timer = setTimeout(function() {
+            var err = new Error('Request timed out after ' + options.timeout + 'ms');
+            err.code = 'ETIMEDOUT';
+
+            complete(err);
+
+            if (controller) {
+                controller.abort();
+            }
+        }, options.timeout);
+    }
+
+    fetch(options.uri, init).then(function(res) {
+        var response = normalizeResponse(res);
+
+        return (options.encoding === null ? res.arrayBuffer() : res.text()).then(function(body) {
+            complete(null, response, options.json ? jsonparse(body) : body);
+        });
+    }).catch(function(fetchErr) {
+        var err = new Error('Fetch error - CORS denied? (' + fetchErr.message + ')');
+        err.code = 'EFETCH';
+        complete(err);
+    });
+
+    return {
+        abort: function() {
+            clearTimeout(timer);
+            completed = true;
+
+            if (controller) {
+                controller.abort();
+            }
+        }
+    };
+}
+
+module.exports = fetchRequest;
@@ -0,0 +1,16 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+/**
+ * The signing middleware holds the private key, and can only be used on servers
+ */
+module.exports = function createMiddleware() {
+    throw new Error('The signing middleware is not supported in browsers');
+};
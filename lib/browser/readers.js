@@ -8,13 +8,25 @@
  */
 'use strict';
 
+var extend = require('../utils/extend'),
+    dispatch = require('../utils/dispatch'),
+    request = require('./request');
+
 /**
- * Get binary contents from a File instance
+ * Get binary contents from a File (or Blob) instance
  *
- * @param  {File}     file
- * @param  {Function} callback
+ * @param  {File|Blob} file
+ * @param  {Function}  callback
  */
 exports.getContentsFromFile = function(file, callback) {
+    // Fetch-only environments (service workers, for instance) might lack FileReader
+    if (typeof FileReader === 'undefined') {
+        new Response(file).arrayBuffer().then(function(data) {
+            setTimeout(callback.bind(null, null, data), 0);
+        }, callback);
+        return;
+    }
+
     var reader = new FileReader();
     reader.onload = function(e) {
         return callback(null, e.target.result);
@@ -22,20 +34,44 @@ exports.getContentsFromFile = function(file, callback) {
     reader.readAsArrayBuffer(file);
 };
 
+/**
+ * Get the first bytes of a File (or Blob) instance along with its size
+ *
+ * @param  {File|Blob} file
+ * @param  {Number}    length   - Number of bytes to read
+ * @param  {Function}  callback - Called with `(err, header, size)`
+ */
+exports.getHeaderOfFile = function(file, length, callback) {
+    exports.getContentsFromFile(file.slice(0, length), function(err, data) {
+        callback(err, data, file.size);
+    });
+};
+
 /**
  * Get binary contents from a URL
  *
  * @param  {String}   url
  * @param  {Function} callback
+ * @param  {Object}   [options] Additional request options (`transport`, `timeout`, `signal`, `retry`)
  */
-exports.getContentsFromUrl = function(url, callback) {
-    var xhr = new XMLHttpRequest();
-    xhr.open('GET', url, true);
-    xhr.responseType = 'arraybuffer';
-    xhr.onreadystatechange = function() {
-        if (xhr.readyState === 4) {
-            callback(null, xhr.response || xhr.responseText);
+exports.getContentsFromUrl = function(url, callback, options) {
+    dispatch(extend(extend({ transport: request }, options), {
+        method: 'GET',
+        uri: url,
+        encoding: null,
+        onComplete: function(err, res, body) {
+            callback(err, body);
         }
-    };
-    xhr.send(null);
+    }));
+};
+
+/**
+ * Node.js streams can't be spooled in browsers - add the image from a File or buffer instead
+ *
+ * @param  {Readable} stream
+ * @param  {Object}   options
+ * @param  {Function} callback
+ */
+exports.spoolStream = function(stream, options, callback) {
+    setTimeout(callback.bind(null, new Error('Adding images from streams is not supported in browsers')), 0);
 };
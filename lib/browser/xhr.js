@@ -0,0 +1,143 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var jsonparse = require('../utils/jsonparse');
+
+// Headers which browsers block you from setting
+var disallowedHeaders = [
+    'User-Agent',
+    'Content-Length'
+];
+
+/**
+ * Normalize a response into a common format for both environments
+ *
+ * @param  {XMLHttpRequest} xhr
+ * @return {Object}
+ */
+var normalizeResponse = function(xhr) {
+    var response = {
+        headers: {},
+        statusCode: xhr.status,
+        statusMessage: xhr.statusText
+    };
+
+    var headerPairs = xhr.getAllResponseHeaders().split('\u000d\u000a');
+    for (var i = 0; i < headerPairs.length; i++) {
+        var headerPair = headerPairs[i],
+            index = headerPair.indexOf('\u003a\u0020');
+
+        if (index > 0) {
+            var key = headerPair.substring(0, index);
+            var val = headerPair.substring(index + 2);
+            response.headers[key.toLowerCase()] = val;
+        }
+    }
+
+    return response;
+};
+
+/**
+ * Send a single HTTP request using XMLHttpRequest
+ *
+ * @param {Object}         options
+ * @param {String}         options.method       HTTP method
+ * @param {String}         options.uri          URI to request
+ * @param {Object}         [options.headers]    Request headers
+ * @param {*}              [options.body]       Request body
+ * @param {Boolean|Object} [options.json]       Whether to parse the response as JSON. If an object is
+ *                                              given, it is serialized and sent as the request body
+ * @param {null}           [options.encoding]   Set to `null` to receive the response body as an ArrayBuffer
+ * @param {Number}         [options.timeout]    Milliseconds to wait for a response before failing
+ * @param {Function}       [options.onProgress] Called with upload progress events
+ * @param {Function}       [callback]           Called with `(err, res, body)` once the response has been received
+ * @return {XMLHttpRequest}
+ */
+function xhrRequest(options, callback) {
+    var xhr = new XMLHttpRequest(),
+        done = callback || function() {},
+        body = options.body;
+
+    // Is this a JSON-request with a payload to deliver?
+    if (options.json && typeof options.json !== 'boolean') {
+        body = JSON.stringify(options.json);
+    }
+
+    // Request finished handler
+    xhr.onreadystatechange = function() {
+        if (xhr.readyState !== 4 || xhr.status === 0) {
+            return;
+        }
+
+        var res = normalizeResponse(xhr);
+
+        if (options.encoding === null) {
+            done(null, res, xhr.response);
+        } else {
+            done(null, res, options.json ? jsonparse(xhr.responseText) : xhr.responseText);
+        }
+    };
+
+    // Request failure handler
+    xhr.onerror = function() {
+        var err = new Error('XHR error - CORS denied?');
+        err.code = 'EXHR';
+        done(err, normalizeResponse(xhr));
+    };
+
+    // Request timeout handler
+    xhr.ontimeout = function() {
+        var err = new Error('Request timed out after ' + options.timeout + 'ms');
+        err.code = 'ETIMEDOUT';
+        done(err, normalizeResponse(xhr));
+    };
+
+    // Request progress handler
+    if (options.onProgress) {
+        xhr.upload.addEventListener('progress', options.onProgress, false);
+    }
+
+    // Open the request
+    xhr.open(options.method, options.uri, true);
+
+    if (options.timeout) {
+        xhr.timeout = options.timeout;
+    }
+
+    if (options.encoding === null) {
+        xhr.responseType = 'arraybuffer';
+    }
+
+    // Apply request headers
+    for (var key in options.headers) {
+        // We're not allowed to set certain headers in browsers
+        if (disallowedHeaders.indexOf(key) > -1) {
+            continue;
+        }
+
+        xhr.setRequestHeader(key, options.headers[key]);
+    }
+
+    // Is this a JSON-request?
+    if (options.json) {
+        xhr.setRequestHeader('Accept', 'application/json');
+
+        if (typeof options.json !== 'boolean') {
+            xhr.setRequestHeader('Content-Type', 'application/json');
+        }
+    }
+
+    // Send the request
+    xhr.send(body);
+
+    return xhr;
+}
+
+module.exports = xhrRequest;
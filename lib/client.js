@@ -12,6 +12,11 @@ var ImboUrl = require('./url/url'),
     ImageUrl = require('./url/imageurl'),
     ShortUrl = require('./url/shorturl'),
     ImboQuery = require('./query'),
+    ImageIterator = require('./image-iterator'),
+    BatchUpload = require('./batch-upload'),
+    addImageFromSource = require('./utils/add-image'),
+    existingImages = require('./utils/existing-images'),
+    imageType = require('./utils/image-type'),
     extend = require('./utils/extend'),
     jsonparse = require('./utils/jsonparse'),
     crypto = require('./node/crypto'),
@@ -19,9 +24,572 @@ var ImboUrl = require('./url/url'),
     readers = require('./node/readers'),
     features = require('./browser/feature-support'),
     parseUrls = require('./utils/parse-urls'),
+    promisify = require('./utils/promisify'),
+    dispatch = require('./utils/dispatch'),
+    createDeferredRequest = require('./node/deferred-request'),
+    HostHealth = require('./utils/host-health'),
     get404Handler = require('./utils/404-handler');
 
-var isBrowser = typeof window !== 'undefined';
+// Browser builds might also run in web workers, where `self` is the global scope
+var globalScope = typeof window !== 'undefined' && window || typeof self !== 'undefined' && self || null,
+    isBrowser = globalScope !== null;
+
+/**
+ * Check whether the given value is a browser File or Blob instance
+ *
+ * @param  {*} source
+ * @return {Boolean}
+ */
+function isFile(source) {
+    return isBrowser && typeof globalScope.Blob === 'function' && source instanceof globalScope.Blob;
+}
+
+/**
+ * Get the host at the given index of the client's hosts, or the next healthy
+ * host if failover is enabled and the host has been marked as unhealthy
+ *
+ * @param  {ImboClient} client
+ * @param  {Number}     index
+ * @return {String}
+ */
+function getHost(client, index) {
+    var hosts = client.options.hosts;
+    return client.hostHealth ? client.hostHealth.pick(hosts, index) : hosts[index];
+}
+
+/**
+ * Get a timestamp in the format used when signing requests
+ *
+ * @param  {Date} [date]
+ * @return {String}
+ */
+function getTimestamp(date) {
+    return (date || new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Add the public key of the client to the given URL, if it differs from the user
+ *
+ * @param  {ImboClient}      client
+ * @param  {String|Imbo.Url} url
+ * @return {String|Imbo.Url}
+ */
+function getUrlWithPublicKey(client, url) {
+    if (client.options.user === client.options.publicKey) {
+        return url;
+    }
+
+    var qs = url.toString().indexOf('?') > -1 ? '&' : '?';
+    return url + qs + 'publicKey=' + client.options.publicKey;
+}
+
+/**
+ * Get the private key to generate access tokens for an unsigned request with, if the
+ * request is for an Imbo URL instance holding a private key
+ *
+ * @param  {Object} options
+ * @return {String|null}
+ */
+function getAccessTokenKey(options) {
+    var uri = options.uri;
+
+    if (options.signed || !uri || typeof uri.getUnsignedUrl !== 'function') {
+        return null;
+    }
+
+    return uri.privateKey || null;
+}
+
+/**
+ * Get the URI of a request without access token - these are generated once the
+ * request middleware has run, as are signatures
+ *
+ * @param  {String|Imbo.Url} uri
+ * @return {String}
+ */
+function getUnsignedUri(uri) {
+    return typeof uri.getUnsignedUrl === 'function' ? uri.getUnsignedUrl().encodedUrl : uri.toString();
+}
+
+/**
+ * Get the options which should be applied to every request made by the client
+ *
+ * @param  {ImboClient} client
+ * @return {Object}
+ */
+function getRequestOptions(client) {
+    return {
+        transport: client.options.transport,
+        retry: client.options.retry,
+        timeout: client.options.timeout,
+        signal: client.options.signal
+    };
+}
+
+/**
+ * Find which of the client's hosts the given URL points to
+ *
+ * @param  {ImboClient}      client
+ * @param  {String|Imbo.Url} url
+ * @return {String|null}
+ */
+function getHostOfUrl(client, url) {
+    var hosts = client.options.hosts;
+
+    if (typeof url.getBaseUrl === 'function') {
+        return hosts.indexOf(url.getBaseUrl()) > -1 ? url.getBaseUrl() : null;
+    }
+
+    return hosts.reduce(function(match, host) {
+        var isPrefix = url.toString().indexOf(host) === 0;
+        return isPrefix && (!match || host.length > match.length) ? host : match;
+    }, null);
+}
+
+/**
+ * Run the request hooks of the client's middleware, in the order they were added
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     req
+ * @return {Object}
+ */
+function runRequestMiddleware(client, req) {
+    return client.middleware.reduce(function(current, middleware) {
+        return middleware.request ? middleware.request(current) || current : current;
+    }, req);
+}
+
+/**
+ * Run the response hooks of the client's middleware, in reverse order
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     result
+ * @return {Object}
+ */
+function runResponseMiddleware(client, result) {
+    return client.middleware.reduceRight(function(current, middleware) {
+        return middleware.response ? middleware.response(current) || current : current;
+    }, result);
+}
+
+/**
+ * Send a request on behalf of the given client, applying its request options
+ * and middleware. Access tokens and signatures are added after the request
+ * middleware has run, using the private key or the signer of the client.
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     options
+ * @param  {Boolean}    [options.signed=false] Whether to sign the request (re-signed on every attempt).
+ *                                             Uses headers if the client has `signWithHeaders` enabled
+ * @return {Request}
+ */
+function send(client, options) {
+    var accessTokenKey = getAccessTokenKey(options),
+        useSigner = needsSigner(client, options);
+
+    var req = runRequestMiddleware(client, {
+        method: (options.method || 'GET').toUpperCase(),
+        uri: getUnsignedUri(options.uri),
+        headers: extend({}, options.headers),
+        body: options.body,
+        json: options.json
+    });
+
+    var opts = extend(extend(getRequestOptions(client), options), req);
+
+    if (opts.onComplete && client.middleware.length) {
+        opts.onComplete = function(err, res, body) {
+            var result = runResponseMiddleware(client, { error: err, response: res, body: body, request: req });
+            options.onComplete(result.error, result.response, result.body);
+        };
+    }
+
+    return useSigner ? sendWithSigner(client, opts) : sendRequest(client, opts, accessTokenKey);
+}
+
+/**
+ * Send a request which has been through the middleware, signing it and generating access
+ * tokens using the private key or the given signer. If failover is enabled, requests failing
+ * with a connection error or a 5xx response are attempted again against the next healthy host.
+ *
+ * @param  {ImboClient}  client
+ * @param  {Object}      opts
+ * @param  {String|null} accessTokenKey Private key to generate access tokens with, if any
+ * @param  {Object}      [signer]       Signer of the request, with the `uri` signed for the first
+ *                                      attempt and a `sign(uri, callback)` function signing the
+ *                                      URI of later attempts
+ * @return {Request}
+ */
+function sendRequest(client, opts, accessTokenKey, signer) {
+    var signed = opts.signed,
+        health = client.hostHealth,
+        uri = opts.uri,
+        signedUri = signer ? signer.uri : null,
+        headers = opts.headers,
+        host = health && opts.onComplete ? getHostOfUrl(client, uri) : null,
+        onComplete = opts.onComplete,
+        replayable = true,
+        tried = [];
+
+    delete opts.signed;
+
+    // Access tokens and signatures cover the host, so generate them for every attempt
+    opts.uri = function() {
+        if (signer) {
+            return signedUri;
+        } else if (accessTokenKey) {
+            return ImboUrl.addAccessToken(uri, accessTokenKey);
+        } else if (!signed) {
+            return uri;
+        }
+
+        return client.options.signWithHeaders ?
+            getUrlWithPublicKey(client, uri) :
+            client.getSignedResourceUrl(opts.method, uri);
+    };
+
+    if (signed && client.options.signWithHeaders) {
+        opts.headers = function() {
+            var auth = client.getSignedResourceHeaders(opts.method, uri);
+            return extend(extend({}, headers), auth.headers);
+        };
+    }
+
+    // Signing may be asynchronous, so ask the signer before the URI is needed
+    var resign = function(callback) {
+        signer.sign(uri, function(err, result) {
+            signedUri = result || signedUri;
+            callback(err);
+        });
+    };
+
+    if (signer) {
+        opts.beforeRetry = resign;
+    }
+
+    if (!host) {
+        return dispatch(opts);
+    }
+
+    var attempt = function() {
+        var current = dispatch(opts);
+
+        // Streams piped into the request can't be replayed against another host
+        if (current && typeof current.on === 'function') {
+            current.on('pipe', function() {
+                replayable = false;
+            });
+        }
+
+        return current;
+    };
+
+    opts.onComplete = function(err, res, body) {
+        if (err && err.code === 'ECANCELED') {
+            return onComplete(err, res, body);
+        } else if (!err || (res && res.statusCode > 0 && res.statusCode < 500)) {
+            health.markSuccess(host);
+            return onComplete(err, res, body);
+        }
+
+        health.markFailure(host);
+        tried.push(host);
+
+        var hosts = client.options.hosts,
+            next = replayable && health.pick(hosts, hosts.indexOf(host) + 1, tried);
+
+        if (!next) {
+            return onComplete(err, res, body);
+        }
+
+        uri = next + uri.substr(host.length);
+        host = next;
+
+        if (!signer) {
+            attempt();
+        } else {
+            resign(function(signErr) {
+                if (signErr) {
+                    onComplete(signErr);
+                } else {
+                    attempt();
+                }
+            });
+        }
+    };
+
+    return attempt();
+}
+
+/**
+ * Check whether a request has to be signed by the signer of the client - clients
+ * without a private key can't sign requests or generate access tokens themselves
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     options
+ * @return {Boolean}
+ */
+function needsSigner(client, options) {
+    if (client.options.privateKey) {
+        return false;
+    }
+
+    // Signed requests fail without a signer, while other requests are sent without access token
+    return Boolean(options.signed) || Boolean(
+        client.options.signer && typeof options.uri.getUnsignedUrl === 'function'
+    );
+}
+
+/**
+ * Ask the signer of the client to sign a request or generate an access token. The signer
+ * receives an object with the `type` of signature (`request` or `accessToken`), the `url`
+ * and, for requests, the `method`. Signer functions are called with this object and a
+ * callback, and may return a promise instead of calling the callback - signer URLs are
+ * sent the object as a JSON body.
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     payload
+ * @param  {Function}   callback - Called with `(err, result)`
+ */
+function requestSignature(client, payload, callback) {
+    var field = payload.type === 'request' ? 'url' : 'accessToken',
+        signer = client.options.signer,
+        completed = false;
+
+    var onSigned = function(err, result) {
+        if (completed) {
+            return;
+        }
+
+        completed = true;
+        if (!err && (!result || typeof result[field] !== 'string')) {
+            err = new Error('Signer responded without `' + field + '`');
+        }
+
+        callback(err, result);
+    };
+
+    if (!signer) {
+        process.nextTick(onSigned.bind(null, new Error('Signing requests requires a private key or a signer')));
+        return;
+    }
+
+    if (typeof signer === 'string') {
+        dispatch(extend(getRequestOptions(client), {
+            method: 'POST',
+            uri: signer,
+            json: payload,
+            onComplete: function(err, res, body) {
+                onSigned(err, body);
+            }
+        }));
+
+        return;
+    }
+
+    var returned;
+    try {
+        returned = signer(extend({}, payload), onSigned);
+    } catch (e) {
+        onSigned(e);
+        return;
+    }
+
+    if (returned && typeof returned.then === 'function') {
+        returned.then(function(result) {
+            onSigned(null, result);
+        }, function(err) {
+            onSigned(err || new Error('Signer failed'));
+        });
+    }
+}
+
+/**
+ * Get a signer function for URLs created by the client, which generates access
+ * tokens using the signer of the client
+ *
+ * @param  {ImboClient} client
+ * @return {Function|null}
+ */
+function getUrlSigner(client) {
+    if (!client.options.signer) {
+        return null;
+    }
+
+    return function(payload, callback) {
+        requestSignature(client, payload, callback);
+    };
+}
+
+/**
+ * Send a request which has been through the middleware once it has been signed by the
+ * signer of the client. Access tokens are requested for unsigned requests to Imbo URLs.
+ *
+ * @param  {ImboClient} client
+ * @param  {Object}     opts
+ * @return {Object} Stand-in for the request, see `createDeferredRequest()`
+ */
+function sendWithSigner(client, opts) {
+    var deferred = createDeferredRequest();
+
+    // Signatures and access tokens cover the host and time of the request, so retries
+    // and attempts against other hosts are signed again
+    var sign = function(uri, callback) {
+        var payload = opts.signed ?
+            { type: 'request', method: opts.method, url: uri } :
+            { type: 'accessToken', url: ImboUrl.getRawUrl(uri) };
+
+        requestSignature(client, payload, function(err, result) {
+            if (err) {
+                return callback(err);
+            } else if (opts.signed) {
+                return callback(null, result.url);
+            }
+
+            callback(null, uri + (uri.indexOf('?') > -1 ? '&' : '?') + 'accessToken=' + result.accessToken);
+        });
+    };
+
+    sign(opts.uri, function(err, signedUri) {
+        if (err) {
+            deferred.fail(err, Boolean(opts.onComplete));
+
+            if (opts.onComplete) {
+                opts.onComplete(err);
+            }
+
+            return;
+        }
+
+        // Responses are only streamed when there is no callback to receive them
+        var readable = !opts.onComplete && (opts.method === 'GET' || opts.method === 'HEAD'),
+            signer = { uri: signedUri, sign: sign },
+            current = sendRequest(client, extend(extend({}, opts), { signed: false }), null, signer);
+
+        deferred.start(current, readable);
+    });
+
+    return deferred;
+}
+
+/**
+ * Send a GET-request on behalf of the given client
+ *
+ * @param  {ImboClient} client
+ * @param  {String}     url
+ * @param  {Function}   callback
+ */
+function get(client, url, callback) {
+    send(client, { method: 'GET', uri: url, json: true, onComplete: callback });
+}
+
+/**
+ * Send a signed DELETE-request on behalf of the given client
+ *
+ * @param  {ImboClient} client
+ * @param  {String}     url
+ * @param  {Function}   callback
+ */
+function del(client, url, callback) {
+    send(client, { method: 'DELETE', uri: url, signed: true, onComplete: callback });
+}
+
+/**
+ * Send a HEAD-request on behalf of the given client
+ *
+ * @param  {ImboClient} client
+ * @param  {String}     url
+ * @param  {Function}   callback
+ */
+function head(client, url, callback) {
+    send(client, { method: 'HEAD', uri: url, onComplete: callback });
+}
+
+/**
+ * Add an image unless an image with the same original checksum already exists on the
+ * server, in which case the callback receives the identifier of the existing image
+ * along with the image as found on the server
+ *
+ * @param  {ImboClient}                     client
+ * @param  {String|Buffer|ArrayBuffer|File} source   - Path, URL, buffer or file
+ * @param  {String}                         kind     - Kind of source: `path`, `url` or `buffer`
+ * @param  {Function|Object}                callback - Callback or object of handlers
+ */
+function addImageUnlessExists(client, source, kind, callback) {
+    var onComplete = callback.onComplete || callback,
+        callbacks = extend(extend({}, callback), { onComplete: onComplete, skipIfExists: false });
+
+    existingImages.getChecksum(client, source, kind, function(err, checksum, data) {
+        if (err) {
+            return onComplete(err);
+        }
+
+        existingImages.findByChecksums(client, [checksum], function(findErr, images, res) {
+            var image = images && images[checksum];
+
+            if (findErr || image) {
+                return onComplete(findErr, image ? image.imageIdentifier : null, image, res);
+            }
+
+            // Images from URLs have been downloaded already - add the data instead
+            if (kind === 'path') {
+                client.addImage(source, callbacks);
+            } else {
+                client.addImageFromBuffer(kind === 'url' ? data : source, callbacks);
+            }
+        });
+    });
+}
+
+/**
+ * Validate the type and size of an image, reading only the start of files
+ *
+ * @param  {String|Buffer|ArrayBuffer|File} source
+ * @param  {Boolean}                        fromFile - Whether the source is a path or a File instance
+ * @param  {Object}                         options  - Validation options
+ * @param  {Function}                       callback - Called with `(err, type)`
+ */
+function validateSource(source, fromFile, options, callback) {
+    var done = function(err, header, size) {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(imageType.validate(header, size, options), imageType.detect(header, options.extraTypes));
+    };
+
+    if (fromFile) {
+        readers.getHeaderOfFile(source, imageType.headerLength, done);
+    } else if (source) {
+        process.nextTick(done.bind(null, null, source, imageType.getSize(source)));
+    } else {
+        process.nextTick(done.bind(null, null, '', 0));
+    }
+}
+
+/**
+ * Validate an image before adding it using the given method of the client
+ *
+ * @param  {ImboClient}      client
+ * @param  {String}          method   - Name of the method adding the image
+ * @param  {*}               source
+ * @param  {Function|Object} callback - Callback or object of handlers
+ * @return {ImboClient}
+ */
+function validateThenAdd(client, method, source, callback) {
+    var onComplete = callback.onComplete || callback,
+        fromFile = method === 'addImage' || isFile(source);
+
+    validateSource(source, fromFile, client.options.validateImages, function(err) {
+        if (err) {
+            return onComplete(err);
+        }
+
+        client[method](source, extend(extend({}, callback), { onComplete: onComplete, skipValidation: true }));
+    });
+
+    return client;
+}
 
 /**
  * Constructs a new Imbo client
@@ -40,15 +608,44 @@ function ImboClient(options, publicKey, privateKey) {
         hosts: parseUrls(options.hosts || options),
         publicKey: options.publicKey || publicKey,
         privateKey: options.privateKey || privateKey,
-        user: options.user || options.publicKey || publicKey
+        user: options.user || options.publicKey || publicKey,
+        retry: options.retry,
+        timeout: options.timeout,
+        signal: options.signal,
+        signWithHeaders: Boolean(options.signWithHeaders),
+        signer: options.signer || null,
+        validateImages: imageType.getOptions(options.validateImages),
+        transport: options.transport || request
     };
 
+    // Keep track of failing hosts if failover is enabled
+    this.hostHealth = options.failover ? new HostHealth(
+        typeof options.failover === 'object' ? options.failover : {}
+    ) : null;
+
     // Validate options
-    ['publicKey', 'privateKey', 'user'].forEach(function validateOption(opt) {
+    ['publicKey', 'user'].forEach(function validateOption(opt) {
         if (!opts[opt] || typeof opts[opt] !== 'string') {
             throw new Error('`options.' + opt + '` must be a valid string');
         }
     });
+
+    // The private key is optional - without it, requests are signed by the signer, if any
+    if (opts.privateKey && typeof opts.privateKey !== 'string') {
+        throw new Error('`options.privateKey` must be a valid string');
+    }
+
+    if (opts.signer && ['string', 'function'].indexOf(typeof opts.signer) === -1) {
+        throw new Error('`options.signer` must be a function or the URL of a signing endpoint');
+    }
+
+    if (typeof opts.transport !== 'function') {
+        throw new Error('`options.transport` must be a function');
+    }
+
+    // Middleware hooks, run before and after every request
+    this.middleware = [];
+    (options.middleware || []).forEach(this.use, this);
 }
 
 extend(ImboClient.prototype, {
@@ -64,30 +661,86 @@ extend(ImboClient.prototype, {
     },
 
     /**
-     * Add a new image to the server from a local file
+     * Add a middleware to the request pipeline. The `request` hook is called with the
+     * method, URI, headers and body of every request before it is sent - the URI holds no
+     * signature or access token, as these are generated after the hooks have run. The
+     * `response` hook is called with the outcome of the request. Hooks can change the
+     * objects they are given, or return new ones to replace them.
      *
-     * @param {String|File} file     - Path to the local image, or an instance of File
-     * @param {Function}    callback - Function to call when image has been uploaded
+     * @param  {Object}   middleware
+     * @param  {Function} [middleware.request]  Called with `{ method, uri, headers, body, json }`
+     * @param  {Function} [middleware.response] Called with `{ error, response, body, request }`
      * @return {ImboClient}
      */
+    use: function(middleware) {
+        var hooks = middleware || {};
+
+        if (typeof hooks.request !== 'function' && typeof hooks.response !== 'function') {
+            throw new Error('Middleware must have a `request` and/or `response` function');
+        }
+
+        this.middleware.push(hooks);
+        return this;
+    },
+
+    /**
+     * Get a client which applies the given request options to all its requests,
+     * overriding the options of this client. State such as host health is shared.
+     *
+     * @param  {Object}      options
+     * @param  {Number}      [options.timeout]   Milliseconds to wait for a response before failing
+     * @param  {AbortSignal} [options.signal]    Signal which cancels the requests when aborted
+     * @param  {Object}      [options.retry]     Retry policy for failed requests
+     * @param  {Function}    [options.transport] Transport used to send the requests
+     * @return {ImboClient}
+     */
+    withRequestOptions: function(options) {
+        var client = Object.create(this);
+        client.options = extend(extend({}, this.options), options);
+        return client;
+    },
+
+    /**
+     * Add a new image to the server from a local file. The callback can be an object with
+     * `onComplete` and `onProgress` handlers, the latter receiving `ProgressEvent`-like
+     * objects as the image is uploaded. Add `skipIfExists: true` to skip uploading images
+     * which already exist on the server - the callback then receives the identifier of
+     * the existing image.
+     *
+     * @param {String|File}     file     - Path to the local image, or an instance of File
+     * @param {Function|Object} callback - Function to call when image has been uploaded
+     * @return {ImboClient|Promise}
+     */
     addImage: function(file, callback) {
-        if (isBrowser && file instanceof window.File) {
+        if (callback.skipIfExists) {
+            addImageUnlessExists(this, file, 'path', callback);
+            return this;
+        }
+
+        if (isFile(file)) {
             // Browser File instance
             return this.addImageFromBuffer(file, callback);
         }
 
+        if (this.options.validateImages && !callback.skipValidation) {
+            return validateThenAdd(this, 'addImage', file, callback);
+        }
+
+        var onComplete = callback.onComplete || callback;
+
         // File on filesystem. Note: the reason why we need the size of the file
         // is because of reverse proxies like Varnish which doesn't handle chunked
         // Transfer-Encoding properly - instead we need to explicitly pass the
         // content length so it knows not to terminate the HTTP connection
         readers.getLengthOfFile(file, function(err, fileSize) {
             if (err) {
-                return callback(err);
+                return onComplete(err);
             }
 
-            readers.createReadStream(file).pipe(request({
+            readers.createReadStream(file).pipe(send(this, {
                 method: 'POST',
-                uri: this.getSignedResourceUrl('POST', this.getImagesUrl()),
+                uri: this.getImagesUrl(),
+                signed: true,
                 json: true,
                 headers: {
                     'Accept': 'application/json',
@@ -95,8 +748,9 @@ extend(ImboClient.prototype, {
                     'Content-Length': fileSize
                 },
                 onComplete: function(addErr, res, body) {
-                    callback(addErr, body ? body.imageIdentifier : null, body, res);
-                }
+                    onComplete(addErr, body ? body.imageIdentifier : null, body, res);
+                },
+                onProgress: callback.onProgress || null
             }));
         }.bind(this));
 
@@ -104,26 +758,52 @@ extend(ImboClient.prototype, {
     },
 
     /**
-     * Add an image from a Buffer, String or File instance
+     * Check that an image is of a supported type by looking at its first bytes, and that it
+     * doesn't exceed the maximum size. Uses the `validateImages` options of the client, or
+     * the defaults (JPEG, PNG and GIF of any size) if validation is not enabled for uploads.
+     * The callback receives a validation error (with the code `EINVALIDIMAGE`), if any,
+     * and the detected MIME type.
+     *
+     * @param {String|Buffer|ArrayBuffer|File} image    - Path, buffer or file
+     * @param {Function}                       callback
+     * @return {ImboClient|Promise}
+     */
+    validateImage: function(image, callback) {
+        var options = this.options.validateImages || imageType.getOptions(true);
+        validateSource(image, typeof image === 'string' || isFile(image), options, callback);
+        return this;
+    },
+
+    /**
+     * Add an image from a Buffer, String or File instance. Supports `skipIfExists`, see `addImage()`.
      *
      * @param {Buffer|ArrayBuffer|String|File} source
-     * @param {Function} callback
-     * @return {ImboClient}
+     * @param {Function|Object} callback
+     * @return {ImboClient|Promise}
      */
     addImageFromBuffer: function(source, callback) {
-        var url = this.getSignedResourceUrl('POST', this.getImagesUrl()),
-            isFile = isBrowser && source instanceof window.File,
+        if (callback.skipIfExists) {
+            addImageUnlessExists(this, source, 'buffer', callback);
+            return this;
+        }
+
+        if (this.options.validateImages && !callback.skipValidation) {
+            return validateThenAdd(this, 'addImageFromBuffer', source, callback);
+        }
+
+        var sourceIsFile = isFile(source),
             onComplete = callback.onComplete || callback,
             onProgress = callback.onProgress || null;
 
-        request({
+        send(this, {
             method: 'POST',
-            uri: url,
+            uri: this.getImagesUrl(),
+            signed: true,
             body: source,
             headers: {
                 'Accept': 'application/json',
                 'User-Agent': 'imboclient-js',
-                'Content-Length': isFile ? source.size : source.length
+                'Content-Length': sourceIsFile ? source.size : source.length
             },
             onComplete: function(err, res, body) {
                 body = jsonparse(body);
@@ -136,18 +816,26 @@ extend(ImboClient.prototype, {
     },
 
     /**
-     * Add an image from a remote URL
+     * Add an image from a remote URL. Supports `skipIfExists`, see `addImage()` - note that
+     * the image has to be downloaded to check whether it exists.
      *
-     * @param {String}   url
-     * @param {Function} callback
-     * @return {ImboClient}
+     * @param {String}          url
+     * @param {Function|Object} callback
+     * @return {ImboClient|Promise}
      */
     addImageFromUrl: function(url, callback) {
+        if (callback.skipIfExists) {
+            addImageUnlessExists(this, url, 'url', callback);
+            return this;
+        }
+
+        var onComplete = callback.onComplete || callback;
+
         if (isBrowser) {
             // Browser environments can't pipe, so download the file and add it
             return this.getImageDataFromUrl(url, function(err, data) {
                 if (err) {
-                    return callback(err);
+                    return onComplete(err);
                 }
 
                 this.addImageFromBuffer(data, callback);
@@ -155,19 +843,182 @@ extend(ImboClient.prototype, {
         }
 
         // Pipe the source URL into a POST-request
-        request({ uri: url }).pipe(request({
+        send(this, { method: 'GET', uri: url }).pipe(send(this, {
             method: 'POST',
-            uri: this.getSignedResourceUrl('POST', this.getImagesUrl()),
+            uri: this.getImagesUrl(),
+            signed: true,
             json: true,
             headers: {
                 'Accept': 'application/json',
                 'User-Agent': 'imboclient-js'
             },
             onComplete: function(err, res, body) {
-                callback(err, body ? body.imageIdentifier : null, body, res);
-            }
+                onComplete(err, body ? body.imageIdentifier : null, body, res);
+            },
+            onProgress: callback.onProgress || null
+        }));
+
+        return this;
+    },
+
+    /**
+     * Add an image from a readable stream. Imbo needs to know the length of the image up
+     * front - if `options.length` is not given, the stream is read into memory (or into a
+     * temporary file, for streams larger than `options.maxMemorySize` bytes) to measure it.
+     *
+     * @param {Readable}        stream
+     * @param {Object}          [options]
+     * @param {Number}          [options.length]        Length of the stream, in bytes
+     * @param {Number}          [options.maxMemorySize] Maximum number of bytes to keep in memory
+     * @param {String}          [options.tempDir]       Directory to write temporary files to
+     * @param {Function|Object} callback
+     * @return {ImboClient|Promise}
+     */
+    addImageFromStream: function(stream, options, callback) {
+        if (!callback) {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        var onComplete = callback.onComplete || callback;
+
+        if (typeof options.length !== 'number') {
+            readers.spoolStream(stream, options, function(err, spool) {
+                if (err) {
+                    return onComplete(err);
+                }
+
+                var callbacks = extend(extend({}, callback), {
+                    onComplete: function() {
+                        spool.cleanup();
+                        onComplete.apply(null, arguments);
+                    }
+                });
+
+                if (spool.buffer) {
+                    this.addImageFromBuffer(spool.buffer, callbacks);
+                } else {
+                    this.addImage(spool.path, callbacks);
+                }
+            }.bind(this));
+
+            return this;
+        }
+
+        var done = false,
+            complete = function(err, res, body) {
+                if (!done) {
+                    done = true;
+                    onComplete(err, body ? body.imageIdentifier : null, body, res);
+                }
+            };
+
+        var req = stream.pipe(send(this, {
+            method: 'POST',
+            uri: this.getImagesUrl(),
+            signed: true,
+            json: true,
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'imboclient-js',
+                'Content-Length': options.length
+            },
+            onComplete: complete,
+            onProgress: callback.onProgress || null
         }));
 
+        stream.on('error', function(err) {
+            req.abort();
+            complete(err);
+        });
+
+        return this;
+    },
+
+    /**
+     * Add an image and apply the given metadata to it. If the image was added but the
+     * metadata could not be applied, the callback receives the error along with the
+     * identifier of the new image, which is also available as `err.imageIdentifier`.
+     *
+     * With `options.rollback`, the image is deleted again when the metadata could not be
+     * applied - `err.rolledBack` tells whether it was deleted, and `err.rollbackError` holds
+     * the error if deleting failed. Images which already existed on the server are never deleted.
+     *
+     * @param {String|Buffer|ArrayBuffer|File} source   - Path, URL, buffer or file
+     * @param {Object}                         metadata
+     * @param {Object}                         [options]
+     * @param {Boolean}                        [options.rollback=false]
+     * @param {Function|Object}                callback
+     * @return {ImboClient|Promise}
+     */
+    addImageWithMetadata: function(source, metadata, options, callback) {
+        if (!callback) {
+            callback = options;
+            options = {};
+        }
+
+        options = options || {};
+
+        var onComplete = callback.onComplete || callback,
+            callbacks = extend(extend({}, callback), {
+                onComplete: function(err, imageIdentifier, body, res) {
+                    if (err) {
+                        return onComplete(err, null, null, body);
+                    }
+
+                    this.editMetadata(imageIdentifier, metadata, function(metaErr, meta) {
+                        if (!metaErr) {
+                            return onComplete(null, imageIdentifier, meta, body);
+                        }
+
+                        metaErr.imageIdentifier = imageIdentifier;
+                        metaErr.rolledBack = false;
+
+                        // Only remove images created by this upload - Imbo responds with 200 for existing images
+                        if (!options.rollback || !res || res.statusCode !== 201) {
+                            return onComplete(metaErr, imageIdentifier, null, body);
+                        }
+
+                        this.deleteImage(imageIdentifier, function(deleteErr) {
+                            metaErr.rolledBack = !deleteErr;
+                            metaErr.rollbackError = deleteErr || null;
+                            onComplete(metaErr, deleteErr ? imageIdentifier : null, null, body);
+                        });
+                    }.bind(this));
+                }.bind(this)
+            });
+
+        addImageFromSource(this, source, callbacks);
+        return this;
+    },
+
+    /**
+     * Add a list of images, uploading at most `options.concurrency` images at a time.
+     * Inputs can be paths, URLs, Buffers or File instances. The callback receives an
+     * array of results in the same order as the inputs, each holding the `input` and
+     * either its `imageIdentifier` or the `error` it failed with. With `skipIfExists`, inputs
+     * which already exist on the server are not uploaded. Paths, buffers and files are looked
+     * up in batches, while URLs are looked up one at a time when they are uploaded.
+     *
+     * @param {Array}    inputs
+     * @param {Object}   [options]
+     * @param {Number}   [options.concurrency=4]
+     * @param {Boolean}  [options.skipIfExists=false]
+     * @param {Function} [options.onProgress] - Called with `(input, event, index)`
+     * @param {Function} [options.onSuccess]  - Called with `(input, imageIdentifier, index, body)`
+     * @param {Function} [options.onFailure]  - Called with `(input, err, index)`
+     * @param {Function} callback
+     * @return {ImboClient|Promise}
+     */
+    addImages: function(inputs, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        (new BatchUpload(this, inputs, options)).start(callback);
         return this;
     },
 
@@ -175,10 +1026,10 @@ extend(ImboClient.prototype, {
      * Get the server statistics
      *
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getServerStats: function(callback) {
-        request.get(this.getStatsUrl(), function(err, res, body) {
+        get(this, this.getStatsUrl(), function(err, res, body) {
             callback(err, body, res);
         });
 
@@ -189,10 +1040,10 @@ extend(ImboClient.prototype, {
      * Get the server status
      *
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getServerStatus: function(callback) {
-        request.get(this.getStatusUrl(), function(err, res, body) {
+        get(this, this.getStatusUrl(), function(err, res, body) {
             if (err) {
                 return callback(err);
             }
@@ -211,10 +1062,10 @@ extend(ImboClient.prototype, {
      * Fetch the user info of the current user
      *
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getUserInfo: function(callback) {
-        request.get(this.getUserUrl(), function(err, res, body) {
+        get(this, this.getUserUrl(), function(err, res, body) {
             if (body && body.lastModified) {
                 body.lastModified = new Date(body.lastModified);
             }
@@ -234,13 +1085,12 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteImage: function(imageIdentifier, callback) {
-        var url = this.getImageUrl(imageIdentifier, { usePrimaryHost: true }),
-            signedUrl = this.getSignedResourceUrl('DELETE', url);
+        var url = this.getImageUrl(imageIdentifier, { usePrimaryHost: true });
 
-        request.del(signedUrl, callback);
+        del(this, url, callback);
         return this;
     },
 
@@ -249,7 +1099,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImageProperties: function(imageIdentifier, callback) {
         this.headImage(imageIdentifier, function(err, res) {
@@ -279,14 +1129,15 @@ extend(ImboClient.prototype, {
      * @param {Object}   data
      * @param {Function} callback
      * @param {String}   method HTTP method to use (POST/PUT)
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     editMetadata: function(imageIdentifier, data, callback, method) {
         var url = this.getMetadataUrl(imageIdentifier);
 
-        request({
+        send(this, {
             method: method || 'POST',
-            uri: this.getSignedResourceUrl(method || 'POST', url),
+            uri: url,
+            signed: true,
             json: data,
             onComplete: function(err, res, body) {
                 callback(err, body, res);
@@ -302,7 +1153,7 @@ extend(ImboClient.prototype, {
      * @param {String}   imageIdentifier
      * @param {Object}   data
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     replaceMetadata: function(imageIdentifier, data, callback) {
         return this.editMetadata(imageIdentifier, data, callback, 'PUT');
@@ -313,10 +1164,10 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getMetadata: function(imageIdentifier, callback) {
-        request.get(this.getMetadataUrl(imageIdentifier), function(err, res, body) {
+        get(this, this.getMetadataUrl(imageIdentifier), function(err, res, body) {
             callback(err, body, res);
         });
 
@@ -328,12 +1179,12 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteMetadata: function(imageIdentifier, callback) {
         var url = this.getMetadataUrl(imageIdentifier);
 
-        request.del(this.getSignedResourceUrl('DELETE', url), callback);
+        del(this, url, callback);
         return this;
     },
 
@@ -345,7 +1196,7 @@ extend(ImboClient.prototype, {
      *                                 is passed, it will be used as the callback
      *                                 and the query will use default settings
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImages: function(query, callback) {
         if (typeof query === 'function' && !callback) {
@@ -354,7 +1205,7 @@ extend(ImboClient.prototype, {
         }
 
         // Fetch the response
-        request.get(this.getImagesUrl(query), function(err, res, body) {
+        get(this, this.getImagesUrl(query), function(err, res, body) {
             callback(
                 err,
                 body && body.images,
@@ -366,6 +1217,52 @@ extend(ImboClient.prototype, {
         return this;
     },
 
+    /**
+     * Search for images by their metadata, using the metadata search of the images
+     * endpoint. Paging, sorting, fields and users are taken from the given query.
+     *
+     * @param {MetadataQuery|Object} metadataQuery - The metadata query, or a plain object
+     *                                               in Imbo's metadata search DSL
+     * @param {Query|Function}       query         - A query to use for paging, sorting and fields.
+     *                                               If a function is passed, it will be used as the
+     *                                               callback and the query will use default settings
+     * @param {Function}             callback
+     * @return {ImboClient|Promise}
+     */
+    searchImages: function(metadataQuery, query, callback) {
+        if (typeof query === 'function' && !callback) {
+            callback = query;
+            query = null;
+        }
+
+        send(this, {
+            method: 'SEARCH',
+            uri: this.getImagesUrl(query),
+            json: typeof metadataQuery.toJSON === 'function' ? metadataQuery.toJSON() : metadataQuery,
+            onComplete: function(err, res, body) {
+                callback(
+                    err,
+                    body && body.images,
+                    body && body.search,
+                    res
+                );
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Get an iterator over all images matching the given query, fetching pages
+     * as needed. The limit of the query is used as the page size.
+     *
+     * @param  {Query} [query] - A query to use for filtering
+     * @return {ImageIterator}
+     */
+    iterateImages: function(query) {
+        return new ImageIterator(this, query);
+    },
+
     /**
      * Get URL for the status endpoint
      *
@@ -449,6 +1346,7 @@ extend(ImboClient.prototype, {
             user: this.options.user,
             publicKey: this.options.publicKey,
             privateKey: this.options.privateKey,
+            signer: getUrlSigner(this),
             imageIdentifier: imageIdentifier
         });
     },
@@ -461,7 +1359,7 @@ extend(ImboClient.prototype, {
      * @return {Imbo.ImageUrl}
      */
     parseImageUrl: function(url, privateKey) {
-        return ImageUrl.parse(url, privateKey || this.options.privateKey);
+        return ImageUrl.parse(url, privateKey || this.options.privateKey).setSigner(getUrlSigner(this));
     },
 
     /**
@@ -485,10 +1383,11 @@ extend(ImboClient.prototype, {
      */
     getResourceUrl: function(options) {
         return new ImboUrl({
-            baseUrl: this.options.hosts[0],
+            baseUrl: getHost(this, 0),
             user: typeof options.user !== 'undefined' ? options.user : this.options.user,
             publicKey: this.options.publicKey,
             privateKey: this.options.privateKey,
+            signer: getUrlSigner(this),
             queryString: options.query,
             path: options.path
         });
@@ -499,7 +1398,7 @@ extend(ImboClient.prototype, {
      *
      * @param {Imbo.ImageUrl} imageUrl
      * @param {Function}      callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getShortUrl: function(imageUrl, callback) {
         var url = imageUrl.clone(),
@@ -521,9 +1420,10 @@ extend(ImboClient.prototype, {
         // Reset to remove transformations/query string
         url.reset().setPath('/shorturls');
 
-        request({
+        send(this, {
             method: 'POST',
-            uri: this.getSignedResourceUrl('POST', url.toString()),
+            uri: url.toString(),
+            signed: true,
             json: data,
             onComplete: function(err, res, body) {
                 if (err) {
@@ -544,13 +1444,12 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteAllShortUrlsForImage: function(imageIdentifier, callback) {
-        var url = this.getImageUrl(imageIdentifier).setPath('/shorturls'),
-            signed = this.getSignedResourceUrl('DELETE', url);
+        var url = this.getImageUrl(imageIdentifier).setPath('/shorturls');
 
-        request.del(signed, callback);
+        del(this, url, callback);
         return this;
     },
 
@@ -560,14 +1459,13 @@ extend(ImboClient.prototype, {
      * @param {String}               imageIdentifier
      * @param {String|Imbo.ShortUrl} shortUrl
      * @param {Function}             callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteShortUrlForImage: function(imageIdentifier, shortUrl, callback) {
         var id = shortUrl instanceof ShortUrl ? shortUrl.getId() : shortUrl,
-            url = this.getImageUrl(imageIdentifier).setPath('/shorturls/' + id),
-            signed = this.getSignedResourceUrl('DELETE', url);
+            url = this.getImageUrl(imageIdentifier).setPath('/shorturls/' + id);
 
-        request.del(signed, callback);
+        del(this, url, callback);
         return this;
     },
 
@@ -575,7 +1473,7 @@ extend(ImboClient.prototype, {
      * Get number of images currently stored for the user
      *
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getNumImages: function(callback) {
         this.getUserInfo(function(err, info) {
@@ -590,7 +1488,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imgPath
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     imageExists: function(imgPath, callback) {
         this.getImageChecksum(imgPath, function(err, checksum) {
@@ -609,7 +1507,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     imageIdentifierExists: function(imageIdentifier, callback) {
         this.headImage(imageIdentifier, get404Handler(callback));
@@ -622,7 +1520,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   checksum
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     imageWithChecksumExists: function(checksum, callback) {
         var query = (new ImboQuery()).originalChecksums([checksum]).limit(1);
@@ -642,10 +1540,11 @@ extend(ImboClient.prototype, {
      * Fetch the resource groups available
      *
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getResourceGroups: function(callback) {
-        request.get(
+        get(
+            this,
             this.getResourceUrl({ path: '/groups', user: null }),
             function onResourceGroupsResponse(err, res, body) {
                 callback(
@@ -664,10 +1563,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} groupName
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getResourceGroup: function(groupName, callback) {
-        request.get(
+        get(
+            this,
             this.getResourceUrl({ path: '/groups/' + groupName, user: null }),
             function onResourceGroupResponse(err, res, body) {
                 callback(err, body && body.resources, res);
@@ -682,7 +1582,7 @@ extend(ImboClient.prototype, {
      * @param {String} groupName
      * @param {Array} resources
      * @param {Function} callback
-     * @return {ImboCflient}
+     * @return {ImboClient|Promise}
      */
     addResourceGroup: function(groupName, resources, callback) {
         this.resourceGroupExists(groupName, function onGroupExistsResponse(err, exists) {
@@ -708,13 +1608,14 @@ extend(ImboClient.prototype, {
      * @param {String} groupName
      * @param {Array} resources
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     editResourceGroup: function(groupName, resources, callback) {
         var url = this.getResourceUrl({ path: '/groups/' + groupName, user: null });
-        request({
+        send(this, {
             method: 'PUT',
-            uri: this.getSignedResourceUrl('PUT', url),
+            uri: url,
+            signed: true,
             json: resources,
             onComplete: function(err, res, body) {
                 callback(err, body, res);
@@ -729,11 +1630,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} groupName Name of the group you want to delete
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteResourceGroup: function(groupName, callback) {
         var url = this.getResourceUrl({ path: '/groups/' + groupName, user: null });
-        request.del(this.getSignedResourceUrl('DELETE', url), callback);
+        del(this, url, callback);
 
         return this;
     },
@@ -743,10 +1644,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} groupName Name of the group you want to check for the presence of
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     resourceGroupExists: function(groupName, callback) {
-        request.head(
+        head(
+            this,
             this.getResourceUrl({ path: '/groups/' + groupName, user: null }),
             get404Handler(callback)
         );
@@ -759,7 +1661,7 @@ extend(ImboClient.prototype, {
      * @param {String} publicKey Public key you want to add
      * @param {String} privateKey Private key for the public key
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     addPublicKey: function(publicKey, privateKey, callback) {
         this.publicKeyExists(publicKey, function onPubKeyExistsResponse(err, exists) {
@@ -785,7 +1687,7 @@ extend(ImboClient.prototype, {
      * @param {String} publicKey Public key you want to edit
      * @param {String} privateKey Private key for the public key
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     editPublicKey: function(publicKey, privateKey, callback) {
         if (!publicKey || !privateKey) {
@@ -793,9 +1695,10 @@ extend(ImboClient.prototype, {
         }
 
         var url = this.getResourceUrl({ path: '/keys/' + publicKey, user: null });
-        request({
+        send(this, {
             method: 'PUT',
-            uri: this.getSignedResourceUrl('PUT', url),
+            uri: url,
+            signed: true,
             json: { privateKey: privateKey },
             onComplete: callback
         });
@@ -808,11 +1711,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} publicKey Public key you want to delete
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deletePublicKey: function(publicKey, callback) {
         var url = this.getResourceUrl({ path: '/keys/' + publicKey, user: null });
-        request.del(this.getSignedResourceUrl('DELETE', url), callback);
+        del(this, url, callback);
 
         return this;
     },
@@ -822,10 +1725,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} publicKey Public key you want to check for the presence of
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     publicKeyExists: function(publicKey, callback) {
-        request.head(
+        head(
+            this,
             this.getResourceUrl({ path: '/keys/' + publicKey, user: null }),
             get404Handler(callback)
         );
@@ -837,10 +1741,11 @@ extend(ImboClient.prototype, {
      *
      * @param {String} publicKey
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getAccessControlRules: function(publicKey, callback) {
-        request.get(
+        get(
+            this,
             this.getResourceUrl({ path: '/keys/' + publicKey + '/access', user: null }),
             function onAccessControlRulesResponse(err, res, body) {
                 callback(err, body, res);
@@ -855,10 +1760,11 @@ extend(ImboClient.prototype, {
      * @param {String} publicKey
      * @param {String} aclRuleId
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getAccessControlRule: function(publicKey, aclRuleId, callback) {
-        request.get(
+        get(
+            this,
             this.getResourceUrl({
                 path: '/keys/' + publicKey + '/access/' + aclRuleId,
                 user: null
@@ -876,7 +1782,7 @@ extend(ImboClient.prototype, {
      * @param {String} publicKey The public key to add rules to
      * @param {Array} rules Array of access control rules to add
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     addAccessControlRule: function(publicKey, rules, callback) {
         if (!Array.isArray(rules)) {
@@ -889,9 +1795,10 @@ extend(ImboClient.prototype, {
 
         var url = this.getResourceUrl({ path: '/keys/' + publicKey + '/access', user: null });
 
-        request({
+        send(this, {
             method: 'POST',
-            uri: this.getSignedResourceUrl('POST', url),
+            uri: url,
+            signed: true,
             json: rules,
             onComplete: function(err, res, body) {
                 callback(err, body, res);
@@ -907,7 +1814,7 @@ extend(ImboClient.prototype, {
      * @param {String} publicKey
      * @param {String} aclRuleId
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     deleteAccessControlRule: function(publicKey, aclRuleId, callback) {
         var url = this.getResourceUrl({
@@ -915,7 +1822,7 @@ extend(ImboClient.prototype, {
             user: null
         });
 
-        request.del(this.getSignedResourceUrl('DELETE', url), callback);
+        del(this, url, callback);
 
         return this;
     },
@@ -925,7 +1832,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String} imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImageData: function(imageIdentifier, callback) {
         var url = this.getImageUrl(imageIdentifier);
@@ -938,18 +1845,24 @@ extend(ImboClient.prototype, {
      *
      * @param {String}   imageUrl
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImageDataFromUrl: function(imageUrl, callback) {
-        readers.getContentsFromUrl(imageUrl.toString(), function(err, data) {
-            callback(err, err ? null : data);
+        send(this, {
+            method: 'GET',
+            uri: imageUrl,
+            encoding: null,
+            onComplete: function(err, res, data) {
+                callback(err, err ? null : data);
+            }
         });
 
         return this;
     },
 
     /**
-     * Get a predictable hostname for the given image identifier
+     * Get a predictable hostname for the given image identifier. If failover
+     * is enabled and the host is unhealthy, the next healthy host is used
      *
      * @param  {String} imageIdentifier
      * @param  {Boolean} [usePrimary=false] Whether to use the primary host
@@ -957,7 +1870,7 @@ extend(ImboClient.prototype, {
      */
     getHostForImageIdentifier: function(imageIdentifier, usePrimary) {
         if (usePrimary) {
-            return this.options.hosts[0];
+            return getHost(this, 0);
         }
 
         var dec = imageIdentifier.charCodeAt(imageIdentifier.length - 1);
@@ -968,7 +1881,7 @@ extend(ImboClient.prototype, {
             dec = parseInt(imageIdentifier.substr(0, 2), 16);
         }
 
-        return this.options.hosts[dec % this.options.hosts.length];
+        return getHost(this, dec % this.options.hosts.length);
     },
 
     /**
@@ -976,7 +1889,7 @@ extend(ImboClient.prototype, {
      *
      * @param {String|File} image
      * @param {Function}    callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImageChecksum: function(image, callback) {
         crypto.md5(image, callback);
@@ -988,7 +1901,7 @@ extend(ImboClient.prototype, {
      *
      * @param {Buffer|String} buffer
      * @param {Function}      callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     getImageChecksumFromBuffer: function(buffer, callback) {
         crypto.md5(buffer, callback, {
@@ -1008,6 +1921,10 @@ extend(ImboClient.prototype, {
      * @return {String}
      */
     generateSignature: function(method, url, timestamp) {
+        if (!this.options.privateKey) {
+            throw new Error('Generating signatures requires a private key');
+        }
+
         var data = [method, url, this.options.publicKey, timestamp].join('|'),
             signature = crypto.sha256(this.options.privateKey, data);
 
@@ -1015,36 +1932,77 @@ extend(ImboClient.prototype, {
     },
 
     /**
-     * Get a signed version of a given URL
+     * Get a signed version of a given URL. When a callback is given, the signed URL is passed
+     * to it as well - without a private key, the URL is then signed by the signer of the client.
      *
-     * @param  {String} method - HTTP method
-     * @param  {String} url    - Endpoint URL
-     * @param  {Date}   [date] - Date to use for signing request
-     * @return {String}
+     * @param  {String}   method     - HTTP method
+     * @param  {String}   url        - Endpoint URL
+     * @param  {Date}     [date]     - Date to use for signing request (ignored by the signer)
+     * @param  {Function} [callback] - Called with `(err, signedUrl)`
+     * @return {String|null} Signed URL, or `null` if it is generated by the signer
      */
-    getSignedResourceUrl: function(method, url, date) {
-        var timestamp = (date || new Date()).toISOString().replace(/\.\d+Z$/, 'Z'),
-            addPubKey = this.options.user !== this.options.publicKey,
-            qs = url.toString().indexOf('?') > -1 ? '&' : '?',
-            signUrl = addPubKey ? url + qs + 'publicKey=' + this.options.publicKey : url,
-            signature = this.generateSignature(method, signUrl.toString(), timestamp);
-
-        qs = addPubKey ? '&' : qs;
+    getSignedResourceUrl: function(method, url, date, callback) {
+        if (typeof date === 'function') {
+            callback = date;
+            date = null;
+        }
+
+        if (callback && !this.options.privateKey) {
+            requestSignature(this, { type: 'request', method: method, url: url.toString() }, function(err, result) {
+                callback(err, err ? null : result.url);
+            });
+
+            return null;
+        }
+
+        var timestamp = getTimestamp(date),
+            signUrl = getUrlWithPublicKey(this, url),
+            signature = this.generateSignature(method, signUrl.toString(), timestamp),
+            qs = signUrl.toString().indexOf('?') > -1 ? '&' : '?';
+
         qs += 'signature=' + encodeURIComponent(signature);
         qs += '&timestamp=' + encodeURIComponent(timestamp);
 
+        if (callback) {
+            process.nextTick(callback.bind(null, null, signUrl + qs));
+        }
+
         return signUrl + qs;
     },
 
+    /**
+     * Get the authentication headers for a signed request. Note that the request
+     * must be sent to the URL returned by `getSignedResourceHeaders().url`, as it
+     * includes the public key when it differs from the user.
+     *
+     * @param  {String} method - HTTP method
+     * @param  {String} url    - Endpoint URL
+     * @param  {Date}   [date] - Date to use for signing request
+     * @return {Object} Object with `url` and `headers` properties
+     */
+    getSignedResourceHeaders: function(method, url, date) {
+        var timestamp = getTimestamp(date),
+            signUrl = getUrlWithPublicKey(this, url).toString();
+
+        return {
+            url: signUrl,
+            headers: {
+                'X-Imbo-Authenticate-Signature': this.generateSignature(method, signUrl, timestamp),
+                'X-Imbo-Authenticate-Timestamp': timestamp
+            }
+        };
+    },
+
     /**
      * Performs an HTTP HEAD requests against the given image identifier
      *
      * @param {String}   imageIdentifier
      * @param {Function} callback
-     * @return {ImboClient}
+     * @return {ImboClient|Promise}
      */
     headImage: function(imageIdentifier, callback) {
-        request.head(
+        head(
+            this,
             this.getImageUrl(imageIdentifier, { usePrimaryHost: true }),
             callback
         );
@@ -1053,9 +2011,70 @@ extend(ImboClient.prototype, {
     }
 });
 
+// Methods that return a promise when called without a callback, mapped to the
+// position of their callback argument and the names of the values it is given
+var promiseMethods = {
+    addImage: [1, ['imageIdentifier', 'body', 'response']],
+    addImageFromBuffer: [1, ['imageIdentifier', 'body', 'response']],
+    addImageFromUrl: [1, ['imageIdentifier', 'body', 'response']],
+    addImageFromStream: [2, ['imageIdentifier', 'body', 'response']],
+    addImageWithMetadata: [3, ['imageIdentifier', 'metadata', 'body']],
+    addImages: [2, ['results']],
+    getServerStats: [0, ['stats', 'response']],
+    getServerStatus: [0, ['status', 'response']],
+    getUserInfo: [0, ['info', 'response']],
+    deleteImage: [1, ['response', 'body']],
+    getImageProperties: [1, ['properties']],
+    editMetadata: [2, ['metadata', 'response']],
+    replaceMetadata: [2, ['metadata', 'response']],
+    getMetadata: [1, ['metadata', 'response']],
+    deleteMetadata: [1, ['response', 'body']],
+    getImages: [1, ['images', 'search', 'response']],
+    searchImages: [2, ['images', 'search', 'response']],
+    getShortUrl: [1, ['shortUrl']],
+    deleteAllShortUrlsForImage: [1, ['response', 'body']],
+    deleteShortUrlForImage: [2, ['response', 'body']],
+    getNumImages: [0, ['numImages']],
+    imageExists: [1, ['exists', 'imageIdentifier']],
+    imageIdentifierExists: [1, ['exists']],
+    imageWithChecksumExists: [1, ['exists', 'imageIdentifier']],
+    getResourceGroups: [0, ['groups', 'search', 'response']],
+    getResourceGroup: [1, ['resources', 'response']],
+    addResourceGroup: [2, ['body', 'response']],
+    editResourceGroup: [2, ['body', 'response']],
+    deleteResourceGroup: [1, ['response', 'body']],
+    resourceGroupExists: [1, ['exists']],
+    addPublicKey: [2, ['response', 'body']],
+    editPublicKey: [2, ['response', 'body']],
+    deletePublicKey: [1, ['response', 'body']],
+    publicKeyExists: [1, ['exists']],
+    getAccessControlRules: [1, ['rules', 'response']],
+    getAccessControlRule: [2, ['rule', 'response']],
+    addAccessControlRule: [2, ['rules', 'response']],
+    deleteAccessControlRule: [2, ['response', 'body']],
+    getImageData: [1, ['data']],
+    getImageDataFromUrl: [1, ['data']],
+    getImageChecksum: [1, ['checksum']],
+    getImageChecksumFromBuffer: [1, ['checksum']],
+    validateImage: [1, ['type']],
+    headImage: [1, ['response']]
+};
+
+Object.keys(promiseMethods).forEach(function(method) {
+    ImboClient.prototype[method] = promisify(
+        ImboClient.prototype[method],
+        promiseMethods[method][0],
+        promiseMethods[method][1]
+    );
+});
+
+// The built-in transport for the current environment, useful when wrapping it in a custom transport
+ImboClient.defaultTransport = request;
+
 // Don't blindly depend on this - the API might change at some point, but for
 // small extensions to the client where you don't want to explicitly depend on
 // the entire request module, this might be an acceptable option
+// Deprecated: use `defaultTransport` or the `transport` option instead
 ImboClient.request = request;
 
 module.exports = ImboClient;
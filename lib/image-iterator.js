@@ -0,0 +1,180 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var ImboQuery = require('./query'),
+    extend = require('./utils/extend'),
+    promisify = require('./utils/promisify');
+
+/**
+ * Create a copy of the given query, so changing the page doesn't affect the original
+ *
+ * @param  {Imbo.Query} [query]
+ * @return {Imbo.Query}
+ */
+function copyQuery(query) {
+    var copy = new ImboQuery();
+
+    if (query) {
+        Object.keys(query.values).forEach(function(key) {
+            var value = query.values[key];
+            copy.values[key] = Array.isArray(value) ? value.slice() : value;
+        });
+    }
+
+    return copy;
+}
+
+/**
+ * Iterates over all images matching a query, fetching a page at a time using the
+ * limit of the query as page size.
+ *
+ * Images added while iterating shift the remaining images towards later pages, so
+ * images which have already been returned are skipped. Images deleted while iterating
+ * shift the remaining images towards earlier pages - when the number of hits drops,
+ * the iterator goes back to pick up any images that would otherwise be missed.
+ *
+ * @param {ImboClient} client
+ * @param {Imbo.Query} [query]
+ */
+var ImageIterator = function(client, query) {
+    this.client = client;
+    this.query = copyQuery(query);
+    this.firstPage = this.query.page();
+    this.page = this.firstPage;
+    this.limit = this.query.limit();
+    this.hits = null;
+    this.seen = {};
+    this.buffer = [];
+    this.waiting = [];
+    this.fetching = false;
+    this.done = false;
+
+    // Image identifiers are needed to tell images apart
+    var fields = this.query.fields();
+    if (fields.length && fields.indexOf('imageIdentifier') === -1) {
+        this.query.addField('imageIdentifier');
+    }
+};
+
+extend(ImageIterator.prototype, {
+    /**
+     * Get the next image. The callback receives the image and a boolean telling
+     * whether the iteration is done, in which case the image is `null`.
+     *
+     * @param  {Function} callback
+     * @return {ImageIterator|Promise}
+     */
+    next: function(callback) {
+        this.waiting.push(callback);
+        process.nextTick(this.flush.bind(this, null));
+        return this;
+    },
+
+    /**
+     * Stop iterating. Subsequent calls to `next()` will report that the iteration is done.
+     *
+     * @param  {Function} callback
+     * @return {ImageIterator|Promise}
+     */
+    return: function(callback) {
+        this.done = true;
+        this.buffer = [];
+        this.waiting.push(callback);
+        process.nextTick(this.flush.bind(this, null));
+        return this;
+    },
+
+    /**
+     * Hand out buffered images to waiting callbacks, fetching the next page if needed
+     *
+     * @param {Error} [err] Error to pass to the waiting callbacks
+     */
+    flush: function(err) {
+        if (err) {
+            // Only fail the callbacks waiting for this page - later calls can resume iterating
+            var failed = this.waiting;
+            this.waiting = [];
+            failed.forEach(function(callback) {
+                callback(err);
+            });
+            return;
+        }
+
+        while (this.waiting.length && (this.buffer.length || this.done)) {
+            var callback = this.waiting.shift();
+
+            if (this.buffer.length) {
+                callback(null, this.buffer.shift(), false);
+            } else {
+                callback(null, null, true);
+            }
+        }
+
+        if (this.waiting.length && !this.fetching) {
+            this.fetchPage();
+        }
+    },
+
+    /**
+     * Fetch the current page and determine which page to fetch next
+     */
+    fetchPage: function() {
+        var page = this.page;
+
+        this.fetching = true;
+        this.query.page(page);
+
+        this.client.getImages(this.query, function(err, images, search) {
+            this.fetching = false;
+
+            if (err) {
+                return this.flush(err);
+            }
+
+            var hits = search ? search.hits : null,
+                deleted = this.hits !== null && hits !== null ? this.hits - hits : 0;
+
+            (images || []).forEach(function(image) {
+                if (!this.seen[image.imageIdentifier]) {
+                    this.seen[image.imageIdentifier] = true;
+                    this.buffer.push(image);
+                }
+            }, this);
+
+            this.hits = hits;
+
+            if (deleted > 0) {
+                // Images were deleted, shifting images we haven't seen into earlier pages
+                this.page = Math.max(this.firstPage, page - Math.ceil(deleted / this.limit));
+            } else if (!images || !images.length || (hits === null ?
+                images.length < this.limit :
+                page * this.limit >= hits
+            )) {
+                this.done = true;
+            } else {
+                this.page = page + 1;
+            }
+
+            this.flush(null);
+        }.bind(this));
+    }
+});
+
+// Make the iterator usable with `for await (var image of iterator)`
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    ImageIterator.prototype[Symbol.asyncIterator] = function() {
+        return this;
+    };
+}
+
+ImageIterator.prototype.next = promisify(ImageIterator.prototype.next, 0, ['value', 'done']);
+ImageIterator.prototype.return = promisify(ImageIterator.prototype.return, 0, ['value', 'done']);
+
+module.exports = ImageIterator;
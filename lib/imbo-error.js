@@ -0,0 +1,118 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var jsonparse = require('./utils/jsonparse');
+
+/**
+ * Remove authentication parameters (signature and access token) from the given URL
+ *
+ * @param  {String} url
+ * @return {String}
+ */
+function stripSignature(url) {
+    var parts = String(url).split('?'),
+        query = parts.slice(1).join('?').split('&').filter(function(param) {
+            return param && !/^(signature|accessToken)=/.test(param);
+        });
+
+    return parts[0] + (query.length ? '?' + query.join('&') : '');
+}
+
+/**
+ * Parse the body of an error response, which might be a string, a buffer or already parsed
+ *
+ * @param  {*} body
+ * @return {Object|null}
+ */
+function parseBody(body) {
+    if (!body) {
+        return null;
+    } else if (typeof body === 'string') {
+        return jsonparse(body);
+    } else if (typeof ArrayBuffer !== 'undefined' && body instanceof ArrayBuffer) {
+        return jsonparse(String.fromCharCode.apply(null, new Uint8Array(body)));
+    } else if (typeof body.toString === 'function' && typeof body.length === 'number') {
+        return jsonparse(body.toString());
+    }
+
+    return body;
+}
+
+/**
+ * Error returned when Imbo responds with an error status code
+ *
+ * @param {String} message
+ * @param {Object} [details]
+ * @param {Number} [details.statusCode]    HTTP status code of the response
+ * @param {Number} [details.imboErrorCode] Imbo-specific error code
+ * @param {String} [details.serverMessage] Error message returned by Imbo
+ * @param {String} [details.date]          Date of the error, as returned by Imbo
+ * @param {String} [details.method]        HTTP method of the failed request
+ * @param {String} [details.url]           URL of the failed request
+ * @param {Object} [details.response]      The response, as returned by the transport
+ * @param {*}      [details.body]          The raw response body
+ */
+function ImboError(message, details) {
+    var info = details || {};
+
+    this.name = 'ImboError';
+    this.message = message;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ImboError);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+
+    this.statusCode = info.statusCode || null;
+    this.imboErrorCode = typeof info.imboErrorCode === 'number' ? info.imboErrorCode : null;
+    this.serverMessage = info.serverMessage || null;
+    this.date = info.date || null;
+    this.method = info.method || null;
+    this.url = info.url ? stripSignature(info.url) : null;
+    this.response = info.response || null;
+    this.body = typeof info.body === 'undefined' ? null : info.body;
+}
+
+ImboError.prototype = Object.create(Error.prototype);
+ImboError.prototype.constructor = ImboError;
+
+/**
+ * Create an error from an HTTP response with an error status code
+ *
+ * @param  {Object} request          - The request options passed to the transport
+ * @param  {String} request.method
+ * @param  {String} request.uri
+ * @param  {Object} response         - The response, as returned by the transport
+ * @param  {*}      [body]           - The response body
+ * @return {ImboError}
+ */
+ImboError.fromResponse = function(request, response, body) {
+    var parsed = parseBody(body),
+        imboError = parsed && parsed.error || {},
+        message = 'HTTP ' + response.statusCode + ' ' + (response.statusMessage || '');
+
+    if (imboError.message) {
+        message = message.replace(/\s*$/, ' - ' + imboError.message);
+    }
+
+    return new ImboError(message.replace(/\s+$/, ''), {
+        statusCode: response.statusCode,
+        imboErrorCode: imboError.imboErrorCode,
+        serverMessage: imboError.message,
+        date: imboError.date,
+        method: request.method,
+        url: request.uri,
+        response: response,
+        body: body
+    });
+};
+
+module.exports = ImboError;
@@ -0,0 +1,379 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./utils/extend');
+
+/**
+ * Create a clause comparing a metadata field using the given operator
+ *
+ * @param  {String} operator
+ * @param  {String} field
+ * @param  {*}      value
+ * @return {Object}
+ */
+function compare(operator, field, value) {
+    if (!field || typeof field !== 'string') {
+        throw new Error('Metadata field name must be a non-empty string');
+    }
+
+    var clause = {};
+    clause[field] = {};
+    clause[field][operator] = value;
+    return clause;
+}
+
+/**
+ * Create a clause comparing a metadata field against a list of values
+ *
+ * @param  {String} operator
+ * @param  {String} field
+ * @param  {Array}  values
+ * @return {Object}
+ */
+function compareList(operator, field, values) {
+    if (!Array.isArray(values)) {
+        throw new Error('`' + operator + '` requires an array of values');
+    }
+
+    return compare(operator, field, values);
+}
+
+/**
+ * Combine the given clauses using a logical operator
+ *
+ * @param  {String} operator
+ * @param  {Array}  clauses
+ * @return {Object}
+ */
+function combine(operator, clauses) {
+    var list = clauses.map(function(clause) {
+        return clause instanceof MetadataQuery ? clause.toJSON() : clause;
+    }).filter(function(clause) {
+        return clause && Object.keys(clause).length;
+    });
+
+    if (!list.length) {
+        throw new Error('`' + operator + '` requires at least one clause');
+    }
+
+    var result = {};
+    result[operator] = list;
+    return result;
+}
+
+/**
+ * Constructs a new metadata search query, producing Imbo's metadata search DSL.
+ * Clauses added using the instance methods are combined using `$and`.
+ *
+ */
+function MetadataQuery() {
+    this.clauses = [];
+}
+
+/**
+ * Create a clause matching images where the field equals the given value
+ *
+ * @param  {String} field
+ * @param  {*}      value
+ * @return {Object}
+ */
+MetadataQuery.eq = function(field, value) {
+    return compare('$eq', field, value);
+};
+
+/**
+ * Create a clause matching images where the field does not equal the given value
+ *
+ * @param  {String} field
+ * @param  {*}      value
+ * @return {Object}
+ */
+MetadataQuery.ne = function(field, value) {
+    return compare('$ne', field, value);
+};
+
+/**
+ * Create a clause matching images where the field is greater than the given value
+ *
+ * @param  {String} field
+ * @param  {Number} value
+ * @return {Object}
+ */
+MetadataQuery.gt = function(field, value) {
+    return compare('$gt', field, value);
+};
+
+/**
+ * Create a clause matching images where the field is greater than or equal to the given value
+ *
+ * @param  {String} field
+ * @param  {Number} value
+ * @return {Object}
+ */
+MetadataQuery.gte = function(field, value) {
+    return compare('$gte', field, value);
+};
+
+/**
+ * Create a clause matching images where the field is less than the given value
+ *
+ * @param  {String} field
+ * @param  {Number} value
+ * @return {Object}
+ */
+MetadataQuery.lt = function(field, value) {
+    return compare('$lt', field, value);
+};
+
+/**
+ * Create a clause matching images where the field is less than or equal to the given value
+ *
+ * @param  {String} field
+ * @param  {Number} value
+ * @return {Object}
+ */
+MetadataQuery.lte = function(field, value) {
+    return compare('$lte', field, value);
+};
+
+/**
+ * Create a clause matching images where the field equals one of the given values
+ *
+ * @param  {String} field
+ * @param  {Array}  values
+ * @return {Object}
+ */
+MetadataQuery.in = function(field, values) {
+    return compareList('$in', field, values);
+};
+
+/**
+ * Create a clause matching images where the field equals none of the given values
+ *
+ * @param  {String} field
+ * @param  {Array}  values
+ * @return {Object}
+ */
+MetadataQuery.nin = function(field, values) {
+    return compareList('$nin', field, values);
+};
+
+/**
+ * Create a clause matching images where the field matches the given wildcard pattern (`*`)
+ *
+ * @param  {String} field
+ * @param  {String} pattern
+ * @return {Object}
+ */
+MetadataQuery.wildcard = function(field, pattern) {
+    if (typeof pattern !== 'string') {
+        throw new Error('`$wildcard` requires a string pattern');
+    }
+
+    return compare('$wildcard', field, pattern);
+};
+
+/**
+ * Create a clause matching images where the field exists (or does not exist)
+ *
+ * @param  {String}  field
+ * @param  {Boolean} [exists=true]
+ * @return {Object}
+ */
+MetadataQuery.exists = function(field, exists) {
+    return compare('$exists', field, typeof exists === 'undefined' ? true : Boolean(exists));
+};
+
+/**
+ * Create a clause matching images which match all the given clauses
+ *
+ * @param  {...Object|MetadataQuery} clauses
+ * @return {Object}
+ */
+MetadataQuery.and = function() {
+    return combine('$and', Array.prototype.slice.call(arguments));
+};
+
+/**
+ * Create a clause matching images which match at least one of the given clauses
+ *
+ * @param  {...Object|MetadataQuery} clauses
+ * @return {Object}
+ */
+MetadataQuery.or = function() {
+    return combine('$or', Array.prototype.slice.call(arguments));
+};
+
+extend(MetadataQuery.prototype, {
+    /**
+     * Add a clause to the query. Clauses are combined using `$and`.
+     *
+     * @param  {Object|MetadataQuery} clause
+     * @return {MetadataQuery}
+     */
+    where: function(clause) {
+        this.clauses.push(clause instanceof MetadataQuery ? clause.toJSON() : clause);
+        return this;
+    },
+
+    /**
+     * Require the field to equal the given value
+     *
+     * @param  {String} field
+     * @param  {*}      value
+     * @return {MetadataQuery}
+     */
+    eq: function(field, value) {
+        return this.where(MetadataQuery.eq(field, value));
+    },
+
+    /**
+     * Require the field to not equal the given value
+     *
+     * @param  {String} field
+     * @param  {*}      value
+     * @return {MetadataQuery}
+     */
+    ne: function(field, value) {
+        return this.where(MetadataQuery.ne(field, value));
+    },
+
+    /**
+     * Require the field to be greater than the given value
+     *
+     * @param  {String} field
+     * @param  {Number} value
+     * @return {MetadataQuery}
+     */
+    gt: function(field, value) {
+        return this.where(MetadataQuery.gt(field, value));
+    },
+
+    /**
+     * Require the field to be greater than or equal to the given value
+     *
+     * @param  {String} field
+     * @param  {Number} value
+     * @return {MetadataQuery}
+     */
+    gte: function(field, value) {
+        return this.where(MetadataQuery.gte(field, value));
+    },
+
+    /**
+     * Require the field to be less than the given value
+     *
+     * @param  {String} field
+     * @param  {Number} value
+     * @return {MetadataQuery}
+     */
+    lt: function(field, value) {
+        return this.where(MetadataQuery.lt(field, value));
+    },
+
+    /**
+     * Require the field to be less than or equal to the given value
+     *
+     * @param  {String} field
+     * @param  {Number} value
+     * @return {MetadataQuery}
+     */
+    lte: function(field, value) {
+        return this.where(MetadataQuery.lte(field, value));
+    },
+
+    /**
+     * Require the field to equal one of the given values
+     *
+     * @param  {String} field
+     * @param  {Array}  values
+     * @return {MetadataQuery}
+     */
+    in: function(field, values) {
+        return this.where(MetadataQuery.in(field, values));
+    },
+
+    /**
+     * Require the field to equal none of the given values
+     *
+     * @param  {String} field
+     * @param  {Array}  values
+     * @return {MetadataQuery}
+     */
+    nin: function(field, values) {
+        return this.where(MetadataQuery.nin(field, values));
+    },
+
+    /**
+     * Require the field to match the given wildcard pattern (`*`)
+     *
+     * @param  {String} field
+     * @param  {String} pattern
+     * @return {MetadataQuery}
+     */
+    wildcard: function(field, pattern) {
+        return this.where(MetadataQuery.wildcard(field, pattern));
+    },
+
+    /**
+     * Require the field to exist (or not exist)
+     *
+     * @param  {String}  field
+     * @param  {Boolean} [exists=true]
+     * @return {MetadataQuery}
+     */
+    exists: function(field, exists) {
+        return this.where(MetadataQuery.exists(field, exists));
+    },
+
+    /**
+     * Require at least one of the given clauses to match
+     *
+     * @param  {...Object|MetadataQuery} clauses
+     * @return {MetadataQuery}
+     */
+    or: function() {
+        return this.where(MetadataQuery.or.apply(null, arguments));
+    },
+
+    /**
+     * Require all of the given clauses to match
+     *
+     * @param  {...Object|MetadataQuery} clauses
+     * @return {MetadataQuery}
+     */
+    and: function() {
+        return this.where(MetadataQuery.and.apply(null, arguments));
+    },
+
+    /**
+     * Get the query as an object in Imbo's metadata search DSL
+     *
+     * @return {Object}
+     */
+    toJSON: function() {
+        if (this.clauses.length === 1) {
+            return this.clauses[0];
+        }
+
+        return this.clauses.length ? { $and: this.clauses.slice() } : {};
+    },
+
+    /**
+     * Get the query as a JSON string
+     *
+     * @return {String}
+     */
+    toString: function() {
+        return JSON.stringify(this.toJSON());
+    }
+});
+
+module.exports = MetadataQuery;
@@ -0,0 +1,60 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var stream = require('stream');
+
+/**
+ * Create a stand-in for a request which can't be sent right away, for instance because
+ * it has to be signed first. Data piped into it is held back (applying backpressure) until
+ * the actual request is started, and responses of readable requests are piped through it.
+ *
+ * @return {stream.PassThrough} Stream with `start(request, readable)`, `fail(err, handled)` and `abort()` methods
+ */
+module.exports = function createDeferredRequest() {
+    var proxy = new stream.PassThrough(),
+        piped = false,
+        aborted = false,
+        current = null;
+
+    proxy.on('pipe', function() {
+        piped = true;
+    });
+
+    proxy.start = function(request, readable) {
+        current = request;
+
+        if (aborted) {
+            request.abort();
+        } else if (readable) {
+            request.pipe(proxy);
+        } else if (piped) {
+            proxy.pipe(request);
+        }
+    };
+
+    proxy.fail = function(err, handled) {
+        if (handled) {
+            // Drain data piped into the request, so the source is read to the end and closed
+            proxy.resume();
+        } else {
+            proxy.emit('error', err);
+        }
+    };
+
+    proxy.abort = function() {
+        aborted = true;
+
+        if (current) {
+            current.abort();
+        }
+    };
+
+    return proxy;
+};
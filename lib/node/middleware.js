@@ -0,0 +1,238 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var crypto = require('./crypto'),
+    jsonparse = require('../utils/jsonparse');
+
+// Maximum size of the JSON body of signing requests, in bytes
+var maxBodySize = 16 * 1024;
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res
+ * @param {Number}              statusCode
+ * @param {Object}              body
+ */
+function respond(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an error response
+ *
+ * @param {http.ServerResponse} res
+ * @param {Number}              statusCode
+ * @param {String}              message
+ */
+function respondWithError(res, statusCode, message) {
+    respond(res, statusCode, { error: { code: statusCode, message: message } });
+}
+
+/**
+ * Parse a JSON body, which has to be an object
+ *
+ * @param {String}   data
+ * @param {Function} callback - Called with `(err, body)`
+ */
+function parseJsonBody(data, callback) {
+    var body = jsonparse(data);
+    callback(body && typeof body === 'object' ? null : new Error('Request body must be a JSON object'), body);
+}
+
+/**
+ * Read the JSON body of a request, unless it has been read by a body parser already
+ *
+ * @param {http.IncomingMessage} req
+ * @param {Function}             callback - Called with `(err, body)`
+ */
+function readJsonBody(req, callback) {
+    // Raw and text body parsers leave a buffer or string, and the stream consumed
+    if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+        parseJsonBody(req.body.toString('utf8'), callback);
+        return;
+    } else if (req.body && typeof req.body === 'object') {
+        callback(null, req.body);
+        return;
+    }
+
+    var chunks = [],
+        size = 0,
+        failed = false;
+
+    req.on('data', function(chunk) {
+        size += chunk.length;
+
+        if (size > maxBodySize && !failed) {
+            failed = true;
+            callback(new Error('Request body is too large'));
+        } else {
+            chunks.push(chunk);
+        }
+    });
+
+    req.on('end', function() {
+        if (!failed) {
+            parseJsonBody(Buffer.concat(chunks).toString('utf8'), callback);
+        }
+    });
+}
+
+/**
+ * Check whether a URL points to a resource of the client's user on one of its hosts
+ *
+ * @param  {ImboClient} client
+ * @param  {String}     url
+ * @return {Boolean}
+ */
+function isUserResource(client, url) {
+    var path;
+
+    try {
+        path = decodeURIComponent(url.split('?')[0]);
+    } catch (e) {
+        return false;
+    }
+
+    // Don't allow escaping the user's resources using relative paths
+    if (/\/\.\.?(\/|$)/.test(path)) {
+        return false;
+    }
+
+    return client.options.hosts.some(function(host) {
+        var prefix = host + '/users/' + client.options.user,
+            rest = path.substr(prefix.length);
+
+        // The user resource itself (`/users/<user>.json`) or anything below it
+        return path.indexOf(prefix) === 0 && (rest === '' || rest[0] === '/' || rest[0] === '.');
+    });
+}
+
+/**
+ * Default authorization: access tokens may be generated for all resources of the user,
+ * while requests (including uploads) are neither signed nor proxied
+ *
+ * @param  {http.IncomingMessage} req
+ * @param  {Object}               signRequest
+ * @return {Boolean}
+ */
+function defaultAuthorize(req, signRequest) {
+    return signRequest.type === 'accessToken';
+}
+
+/**
+ * Create a Connect/Express middleware which signs requests for clients that don't hold the
+ * private key, such as browsers, using the given client. Mount it on a path of your choice:
+ *
+ * - `POST <path>/sign` takes a JSON body with the `type` of signature. For `accessToken`,
+ *   the `url` of an Imbo resource is signed and the response holds the `accessToken`. For
+ *   `request`, the `method` and `url` are signed using `getSignedResourceUrl()` and the
+ *   response holds the signed `url`, which is valid for a short while only.
+ * - `POST <path>/images` (with `proxyUploads` enabled) adds the image in the request body,
+ *   responding with the response from Imbo.
+ *
+ * Only URLs of the client's user on the client's hosts are signed. Which of those are
+ * allowed is decided by `options.authorize`, which by default allows access tokens for
+ * all resources only. Signing write requests, including uploads, has to be allowed by
+ * an `authorize` function, which is required when proxying uploads.
+ *
+ * @param  {Object}     options
+ * @param  {ImboClient} options.client                Client holding the private key
+ * @param  {Boolean}    [options.proxyUploads=false]  Whether to proxy uploads to Imbo (requires `authorize`)
+ * @param  {Function}   [options.authorize]           Called with `(req, signRequest)`, where `signRequest` has
+ *                                                    the `type`, `method` and `url` to sign - return `true`
+ *                                                    to allow it
+ * @return {Function} Middleware taking `(req, res, next)`
+ */
+module.exports = function createMiddleware(options) {
+    var opts = options || {},
+        client = opts.client,
+        authorize = opts.authorize || defaultAuthorize;
+
+    if (!client || !client.options || !client.options.privateKey) {
+        throw new Error('`options.client` must be a client with a private key');
+    }
+
+    // Anyone reaching the middleware could otherwise upload images using the private key
+    if (opts.proxyUploads && !opts.authorize) {
+        throw new Error('`options.authorize` is required when `options.proxyUploads` is enabled');
+    }
+
+    var isAllowed = function(req, signRequest) {
+        return isUserResource(client, signRequest.url) && Boolean(authorize(req, signRequest));
+    };
+
+    var sign = function(req, res) {
+        readJsonBody(req, function(err, body) {
+            if (err) {
+                return respondWithError(res, 400, err.message);
+            }
+
+            var signRequest = {
+                type: body.type,
+                method: String(body.method || 'GET').toUpperCase(),
+                url: body.url
+            };
+
+            if (['accessToken', 'request'].indexOf(signRequest.type) === -1 || typeof signRequest.url !== 'string') {
+                return respondWithError(res, 400, '`type` must be `accessToken` or `request`, and `url` a string');
+            }
+
+            if (!isAllowed(req, signRequest)) {
+                return respondWithError(res, 403, 'Signing this request is not allowed');
+            }
+
+            if (signRequest.type === 'accessToken') {
+                return respond(res, 200, { accessToken: crypto.sha256(client.options.privateKey, signRequest.url) });
+            }
+
+            respond(res, 200, { url: client.getSignedResourceUrl(signRequest.method, signRequest.url) });
+        });
+    };
+
+    var upload = function(req, res) {
+        var signRequest = { type: 'upload', method: 'POST', url: client.getImagesUrl().toString() };
+
+        if (!isAllowed(req, signRequest)) {
+            return respondWithError(res, 403, 'Uploading images is not allowed');
+        }
+
+        var length = parseInt(req.headers['content-length'], 10),
+            onComplete = function(err, imageIdentifier, body, imboRes) {
+                if (err) {
+                    return respondWithError(res, err.statusCode || 502, err.message);
+                }
+
+                respond(res, imboRes && imboRes.statusCode || 201, body);
+            };
+
+        // Body already read by a body parser
+        if (Buffer.isBuffer(req.body)) {
+            client.addImageFromBuffer(req.body, onComplete);
+        } else {
+            client.addImageFromStream(req, isNaN(length) ? {} : { length: length }, onComplete);
+        }
+    };
+
+    return function imboMiddleware(req, res, next) {
+        var path = req.url.split('?')[0];
+
+        if (req.method === 'POST' && path === '/sign') {
+            sign(req, res);
+        } else if (req.method === 'POST' && path === '/images' && opts.proxyUploads) {
+            upload(req, res);
+        } else {
+            next();
+        }
+    };
+};
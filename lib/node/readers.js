@@ -9,6 +9,11 @@
 'use strict';
 
 var fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    crypto = require('crypto'),
+    extend = require('../utils/extend'),
+    dispatch = require('../utils/dispatch'),
     request = require('./request');
 
 /**
@@ -27,20 +32,145 @@ exports.getLengthOfFile = function(file, callback) {
     });
 };
 
+/**
+ * Get the first bytes of a file along with the size of the file
+ *
+ * @param  {String}   file     - Path to file
+ * @param  {Number}   length   - Number of bytes to read
+ * @param  {Function} callback - Called with `(err, header, size)`
+ */
+exports.getHeaderOfFile = function(file, length, callback) {
+    fs.open(file, 'r', function(err, fd) {
+        if (err) {
+            return callback(err);
+        }
+
+        fs.fstat(fd, function(statErr, stats) {
+            if (statErr) {
+                return fs.close(fd, callback.bind(null, statErr));
+            }
+
+            var header = new Buffer(Math.min(length, stats.size));
+            fs.read(fd, header, 0, header.length, 0, function(readErr, bytesRead) {
+                fs.close(fd, function() {
+                    callback(readErr, readErr ? null : header.slice(0, bytesRead), stats.size);
+                });
+            });
+        });
+    });
+};
+
 /**
  * Get binary contents from a URL
  *
  * @param  {String}   url
  * @param  {Function} callback
+ * @param  {Object}   [options] Additional request options (`transport`, `timeout`, `signal`, `retry`)
  */
-exports.getContentsFromUrl = function(url, callback) {
-    request({
+exports.getContentsFromUrl = function(url, callback, options) {
+    dispatch(extend(extend({ transport: request }, options), {
         method: 'GET',
         uri: url,
         encoding: null,
         onComplete: function(err, res, body) {
             callback(err, body);
         }
+    }));
+};
+
+/**
+ * Read a stream to its end in order to determine its length. The contents are kept in
+ * memory until they grow beyond `options.maxMemorySize` bytes, at which point they are
+ * written to a temporary file instead. The callback receives an object with the `length`
+ * of the stream, either its contents (`buffer`) or the `path` of the temporary file,
+ * and a `cleanup` function which removes the temporary file, if any.
+ *
+ * @param  {Readable} stream
+ * @param  {Object}   [options]
+ * @param  {Number}   [options.maxMemorySize=10485760] Maximum number of bytes to keep in memory
+ * @param  {String}   [options.tempDir]                Directory to write temporary files to
+ * @param  {Function} callback
+ */
+exports.spoolStream = function(stream, options, callback) {
+    var maxMemorySize = options && typeof options.maxMemorySize === 'number' ?
+            options.maxMemorySize :
+            10 * 1024 * 1024,
+        tempDir = (options && options.tempDir) || os.tmpdir(),
+        chunks = [],
+        length = 0,
+        file = null,
+        fileStream = null,
+        done = false;
+
+    var cleanup = function() {
+        if (file) {
+            fs.unlink(file, function() {
+                // Nothing to do if the file is already gone
+            });
+        }
+    };
+
+    var fail = function(err) {
+        if (done) {
+            return;
+        }
+
+        done = true;
+
+        if (fileStream) {
+            fileStream.on('close', cleanup);
+            fileStream.end();
+        }
+
+        callback(err);
+    };
+
+    stream.on('data', function(chunk) {
+        if (done) {
+            return;
+        }
+
+        chunk = typeof chunk === 'string' ? new Buffer(chunk) : chunk;
+        length += chunk.length;
+
+        if (fileStream) {
+            if (!fileStream.write(chunk)) {
+                stream.pause();
+                fileStream.once('drain', stream.resume.bind(stream));
+            }
+            return;
+        }
+
+        chunks.push(chunk);
+
+        if (length > maxMemorySize) {
+            file = path.join(tempDir, 'imboclient-' + crypto.randomBytes(8).toString('hex'));
+            fileStream = fs.createWriteStream(file);
+            fileStream.on('error', fail);
+            fileStream.write(Buffer.concat(chunks));
+            chunks = [];
+        }
+    });
+
+    stream.on('error', fail);
+    stream.on('end', function() {
+        if (done) {
+            return;
+        }
+
+        if (!fileStream) {
+            done = true;
+            callback(null, { length: length, buffer: Buffer.concat(chunks), path: null, cleanup: cleanup });
+            return;
+        }
+
+        fileStream.on('finish', function() {
+            if (!done) {
+                done = true;
+                callback(null, { length: length, buffer: null, path: file, cleanup: cleanup });
+            }
+        });
+        fileStream.end();
     });
 };
 
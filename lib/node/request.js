@@ -9,84 +9,91 @@
 'use strict';
 
 var req = require('request'),
+    stream = require('stream'),
     extend = require('../utils/extend');
 
+// Size of the chunks request bodies are written in when reporting upload progress
+var chunkSize = 64 * 1024;
+
 /**
- * Send an HTTP request with the given options
+ * Report the progress of data piped into the given request, using the same
+ * shape as the browser's `ProgressEvent` (`lengthComputable`, `loaded`, `total`)
  *
- * @param {Object} options
- * @return {Request}
+ * @param {Request}  current
+ * @param {Function} onProgress
  */
-function request(options) {
-    // Prepare options
-    var opts = extend({}, options);
-    opts.method = (opts.method || 'GET').toUpperCase();
-    opts.uri = opts.uri.toString();
-
-    if (!opts.onComplete) {
-        return req(opts);
-    }
-
-    return req(opts, function(err, res, body) {
-        if (err || res.statusCode >= 400) {
-            err = err || new Error('HTTP ' + res.statusCode + ' ' + res.statusMessage);
+function trackProgress(current, onProgress) {
+    var loaded = 0;
 
-            if (res) {
-                err.statusCode = res.statusCode;
-            }
+    current.on('pipe', function(source) {
+        source.on('data', function(chunk) {
+            // The length is only known once the headers are set, which for piped
+            // responses (`addImageFromUrl`) happens once the response arrives
+            var total = parseInt(current.getHeader('content-length'), 10) || 0;
 
-            return opts.onComplete(err, res, body);
-        }
-
-        return opts.onComplete(null, res, body);
+            loaded += chunk.length;
+            onProgress({ lengthComputable: total > 0, loaded: loaded, total: total });
+        });
     });
 }
 
 /**
- * Shorthand method for sending requests
+ * Node.js transport, sending a single HTTP request using the `request` module
  *
- * @param  {String}   method
- * @param  {String}   url
- * @param  {Function} callback
+ * @param {Object}         options
+ * @param {String}         options.method      HTTP method
+ * @param {String}         options.uri         URI to request
+ * @param {Object}         [options.headers]   Request headers
+ * @param {String|Buffer}  [options.body]      Request body
+ * @param {Boolean|Object} [options.json]      Whether to parse the response as JSON. If an object is
+ *                                             given, it is serialized and sent as the request body
+ * @param {null}           [options.encoding]  Set to `null` to receive the response body as a Buffer
+ * @param {Number}         [options.timeout]   Milliseconds to wait for a response before failing
+ * @param {Function}       [options.onProgress] Called with a `ProgressEvent`-like object as the
+ *                                             request body (or data piped into the request) is sent
+ * @param {Function}       [callback]          Called with `(err, res, body)` once the response has been
+ *                                             received. If omitted, the response can be streamed
+ * @return {Request}
  */
-request.short = function(method, url, callback) {
-    var options = { method: method, uri: url, onComplete: callback };
+function request(options, callback) {
+    if (!options.onProgress) {
+        return req(options, callback);
+    }
+
+    var opts = extend({}, options),
+        body = typeof opts.body === 'string' ? new Buffer(opts.body) : opts.body,
+        isBuffer = Buffer.isBuffer(body);
+
+    delete opts.onProgress;
 
-    if (method === 'GET') {
-        options.json = true;
+    if (isBuffer) {
+        delete opts.body;
+
+        // Piped bodies are sent chunked, unless the length is given
+        var headers = opts.headers || {};
+        if (!Object.keys(headers).some(function(name) {
+            return name.toLowerCase() === 'content-length';
+        })) {
+            opts.headers = extend(extend({}, headers), { 'Content-Length': body.length });
+        }
     }
 
-    request(options);
-};
+    var current = req(opts, callback);
+    trackProgress(current, options.onProgress);
 
-/**
- * Shorthand method for sending GET-requests
- *
- * @param  {String}   url
- * @param  {Function} callback
- */
-request.get = function(url, callback) {
-    request.short('GET', url, callback);
-};
+    if (isBuffer) {
+        // Write the body in chunks, so progress can be reported as the request consumes it
+        var source = new stream.PassThrough();
+        source.pipe(current);
 
-/**
- * Shorthand method for sending DELETE-requests
- *
- * @param  {String}   url
- * @param  {Function} callback
- */
-request.del = function(url, callback) {
-    request.short('DELETE', url, callback);
-};
+        for (var i = 0; i < body.length; i += chunkSize) {
+            source.write(body.slice(i, i + chunkSize));
+        }
 
-/**
- * Shorthand method for sending HEAD-requests
- *
- * @param  {String}   url
- * @param  {Function} callback
- */
-request.head = function(url, callback) {
-    request.short('HEAD', url, callback);
-};
+        source.end();
+    }
+
+    return current;
+}
 
 module.exports = request;
@@ -0,0 +1,242 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view
+ * the LICENSE file that was distributed with this source code.
+ */
+'use strict';
+
+/**
+ * Get a parameter as an integer, or `0` if it is missing or invalid
+ *
+ * @param  {Object} params
+ * @param  {String} key
+ * @return {Number}
+ */
+function intParam(params, key) {
+    return parseInt(params[key], 10) || 0;
+}
+
+// Transformations which never change the dimensions of the image
+var unchanged = [
+    'blur', 'clip', 'compress', 'contrast', 'desaturate', 'drawPois', 'flipHorizontally', 'flipVertically',
+    'icc', 'level', 'modulate', 'progressive', 'sepia', 'sharpen', 'strip', 'vignette', 'watermark'
+];
+
+/**
+ * Functions calculating the output size of transformations, mirroring the geometry of
+ * the transformations in Imbo. Each function receives the size of the input image and
+ * the parameters of the transformation, and returns the new size. Returning a string
+ * marks the output as undeterminable, the string being the reason.
+ *
+ * Functions with `needsSize` set only apply to images with a known size.
+ */
+var geometry = {
+    autoRotate: function() {
+        return 'Depends on the EXIF orientation of the image';
+    },
+
+    border: function(size, params) {
+        if (params.mode === 'inline') {
+            return size;
+        }
+
+        var borderWidth = 'width' in params ? intParam(params, 'width') : 1,
+            borderHeight = 'height' in params ? intParam(params, 'height') : 1;
+
+        return {
+            width: size.width === null ? null : size.width + borderWidth * 2,
+            height: size.height === null ? null : size.height + borderHeight * 2
+        };
+    },
+
+    canvas: function(size, params) {
+        return {
+            width: intParam(params, 'width') || size.width,
+            height: intParam(params, 'height') || size.height
+        };
+    },
+
+    crop: function(size, params) {
+        var mode = params.mode,
+            width = intParam(params, 'width'),
+            height = intParam(params, 'height'),
+            x = intParam(params, 'x'),
+            y = intParam(params, 'y');
+
+        if (!width || !height) {
+            return 'Crop is missing `width` and/or `height`';
+        }
+
+        if (mode === 'center' || mode === 'center-x') {
+            x = Math.floor((size.width - width) / 2);
+        }
+
+        if (mode === 'center' || mode === 'center-y') {
+            y = Math.floor((size.height - height) / 2);
+        }
+
+        // Imbo leaves the image untouched if it fits within the crop area
+        if (x === 0 && y === 0 && size.width <= width && size.height <= height) {
+            return size;
+        }
+
+        if (x < 0 || y < 0 || x + width > size.width || y + height > size.height) {
+            return 'Crop area is out of bounds';
+        }
+
+        return { width: width, height: height };
+    },
+
+    histogram: function() {
+        return 'The size of histograms depends on the configuration of the server';
+    },
+
+    maxSize: function(size, params) {
+        var width = intParam(params, 'width') || size.width,
+            height = intParam(params, 'height') || size.height,
+            ratio = size.width / size.height;
+
+        if (width / height > ratio) {
+            width = Math.round(height * ratio);
+        } else {
+            height = Math.round(width / ratio);
+        }
+
+        if (size.width <= width && size.height <= height) {
+            return size;
+        }
+
+        return { width: width, height: height };
+    },
+
+    resize: function(size, params) {
+        var width = intParam(params, 'width'),
+            height = intParam(params, 'height');
+
+        if (!width && !height) {
+            return 'Resize is missing `width` and/or `height`';
+        } else if (!height) {
+            height = Math.ceil(size.height / size.width * width);
+        } else if (!width) {
+            width = Math.ceil(size.width / size.height * height);
+        }
+
+        return { width: width, height: height };
+    },
+
+    rotate: function(size, params) {
+        var angle = parseFloat(params.angle);
+
+        if (isNaN(angle) || angle % 90 !== 0) {
+            return 'Rotating by angles other than multiples of 90 degrees adds padding which depends on ImageMagick';
+        }
+
+        return angle % 180 === 0 ? size : { width: size.height, height: size.width };
+    },
+
+    smartSize: function(size, params) {
+        var width = intParam(params, 'width'),
+            height = intParam(params, 'height');
+
+        if (!width || !height) {
+            return 'Smart size is missing `width` and/or `height`';
+        }
+
+        return { width: width, height: height };
+    },
+
+    thumbnail: function(size, params) {
+        var width = intParam(params, 'width') || 50,
+            height = intParam(params, 'height') || 50;
+
+        if (params.fit !== 'inset') {
+            return { width: width, height: height };
+        }
+
+        if (size.width === null || size.height === null) {
+            return { width: null, height: null };
+        }
+
+        // Fit within the given size while keeping the aspect ratio
+        var ratioX = width / size.width,
+            ratioY = height / size.height;
+
+        if (ratioX < ratioY) {
+            return { width: width, height: Math.max(1, Math.round(ratioX * size.height)) };
+        }
+
+        return { width: Math.max(1, Math.round(ratioY * size.width)), height: height };
+    },
+
+    transpose: function(size) {
+        return { width: size.height, height: size.width };
+    },
+
+    transverse: function(size) {
+        return { width: size.height, height: size.width };
+    }
+};
+
+geometry.crop.needsSize = true;
+geometry.maxSize.needsSize = true;
+geometry.resize.needsSize = true;
+
+unchanged.forEach(function(name) {
+    geometry[name] = function(size) {
+        return size;
+    };
+});
+
+/**
+ * Calculate the size of an image after applying the given transformations to it.
+ * Transformations whose output size can not be determined are listed in `undetermined`,
+ * along with the reason. The width and height are `null` if they could not be
+ * determined - transformations resulting in a fixed size (such as `thumbnail`) later
+ * in the chain make the size known again.
+ *
+ * @param  {Array}  transformations
+ * @param  {Object} size
+ * @param  {Number} size.width
+ * @param  {Number} size.height
+ * @return {Object} Object with `width`, `height` and `undetermined` properties
+ */
+function getOutputDimensions(transformations, size) {
+    if (!size || !(size.width > 0) || !(size.height > 0)) {
+        throw new Error('width and height of the original image needs to be specified');
+    }
+
+    var current = { width: Number(size.width), height: Number(size.height) },
+        undetermined = [];
+
+    transformations.forEach(function(transformation, index) {
+        var calculate = geometry.hasOwnProperty(transformation.name) ? geometry[transformation.name] : null,
+            unknownSize = current.width === null || current.height === null,
+            result;
+
+        if (!calculate) {
+            result = 'Unknown transformation';
+        } else if (unknownSize && calculate.needsSize) {
+            result = { width: null, height: null };
+        } else {
+            result = calculate(current, transformation.params);
+        }
+
+        if (typeof result === 'string') {
+            undetermined.push({ index: index, name: transformation.name, reason: result });
+            result = { width: null, height: null };
+        }
+
+        current = result;
+    });
+
+    return {
+        width: current.width,
+        height: current.height,
+        undetermined: undetermined
+    };
+}
+
+module.exports = getOutputDimensions;
@@ -9,6 +9,12 @@
 'use strict';
 
 var ImboUrl = require('./url'),
+    crypto = require('../node/crypto'),
+    Transformation = require('./transformation'),
+    getOutputDimensions = require('./dimensions'),
+    getResponsiveImage = require('./responsive'),
+    constantTimeEqual = require('../utils/constant-time-equal'),
+    presets = require('./presets'),
     extend = require('../utils/extend'),
     parseUrl = require('../node/parseurl');
 
@@ -25,27 +31,28 @@ var backtickify = function(str) {
     return '`' + str + '`';
 };
 
+var stripHash = function(color) {
+    return String(color).replace(/^#/, '');
+};
+
 /**
  * ImageUrl constructor
  *
  * @param {Object} options
  */
 var ImageUrl = function(options) {
-    this.transformations = options.transformations || [];
-    this.rootUrl = options.baseUrl;
-    this.baseUrl = options.baseUrl;
+    this.transformations = (options.transformations || []).map(Transformation.from);
     this.user = options.user || options.publicKey;
     this.publicKey = options.publicKey;
     this.privateKey = options.privateKey;
+    this.signer = options.signer || null;
     this.imageIdentifier = options.imageIdentifier;
     this.extension = options.extension;
     this.queryString = options.queryString;
     this.path = options.path || '';
+    this.accessToken = options.accessToken || null;
 
-    this.baseUrl += [
-        '/users', this.user,
-        'images', this.imageIdentifier
-    ].join('/');
+    this.setBaseUrl(options.baseUrl);
 };
 
 extend(ImageUrl.prototype, ImboUrl.prototype);
@@ -59,6 +66,50 @@ extend(ImageUrl.prototype, {
         return this.append('autoRotate');
     },
 
+    /**
+     * Blur the image
+     *
+     * @param  {Object} options
+     * @param  {String} [options.type=gaussian] Type of blur: "gaussian", "adaptive", "motion" or "radial"
+     * @param  {Number} [options.radius]        Radius of the blur, in pixels (all types except "radial")
+     * @param  {Number} [options.sigma]         Standard deviation of the blur (all types except "radial")
+     * @param  {Number} [options.angle]         Angle of the blur ("motion" and "radial" only)
+     * @return {Imbo.ImageUrl}
+     */
+    blur: function(options) {
+        var opts = options || {},
+            type = opts.type || 'gaussian',
+            types = ['gaussian', 'adaptive', 'motion', 'radial'],
+            params = {};
+
+        if (types.indexOf(type) === -1) {
+            throw new Error('`type` parameter must be either: ' + types.map(backtickify).join(', '));
+        }
+
+        if (type !== 'gaussian') {
+            params.type = type;
+        }
+
+        if (type !== 'radial') {
+            if (!isNumeric(parseFloat(opts.radius)) || !isNumeric(parseFloat(opts.sigma))) {
+                throw new Error('radius and sigma needs to be specified');
+            }
+
+            params.radius = parseFloat(opts.radius);
+            params.sigma = parseFloat(opts.sigma);
+        }
+
+        if (type === 'motion' || type === 'radial') {
+            if (!isNumeric(parseFloat(opts.angle))) {
+                throw new Error('angle needs to be specified for ' + type + ' blur');
+            }
+
+            params.angle = parseFloat(opts.angle);
+        }
+
+        return this.append(new Transformation('blur', params));
+    },
+
     /**
      * Add a border to the image
      *
@@ -72,14 +123,12 @@ extend(ImageUrl.prototype, {
     border: function(options) {
         options = options || {};
 
-        var params = [
-            'color=' + (options.color || '000000').replace(/^#/, ''),
-            'width=' + toInt(options.width || 1),
-            'height=' + toInt(options.height || 1),
-            'mode=' + (options.mode || 'outbound')
-        ];
-
-        return this.append('border:' + params.join(','));
+        return this.append(new Transformation('border', {
+            color: (options.color || '000000').replace(/^#/, ''),
+            width: toInt(options.width || 1),
+            height: toInt(options.height || 1),
+            mode: options.mode || 'outbound'
+        }));
     },
 
     /**
@@ -101,28 +150,56 @@ extend(ImageUrl.prototype, {
             throw new Error('width and height must be specified');
         }
 
-        var params = [
-            'width=' + toInt(options.width),
-            'height=' + toInt(options.height)
-        ];
+        var params = {
+            width: toInt(options.width),
+            height: toInt(options.height)
+        };
 
         if (options.mode) {
-            params.push('mode=' + options.mode);
+            params.mode = options.mode;
         }
 
         if (options.x) {
-            params.push('x=' + toInt(options.x));
+            params.x = toInt(options.x);
         }
 
         if (options.y) {
-            params.push('y=' + toInt(options.y));
+            params.y = toInt(options.y);
         }
 
         if (options.bg) {
-            params.push('bg=' + options.bg.replace(/^#/, ''));
+            params.bg = options.bg.replace(/^#/, '');
+        }
+
+        return this.append(new Transformation('canvas', params));
+    },
+
+    /**
+     * Clip the image using a clipping path embedded in the image, making everything
+     * outside the path transparent
+     *
+     * @param  {Object}  [options]
+     * @param  {String}  [options.path]              Name of the clipping path (defaults to the first path)
+     * @param  {Boolean} [options.ignoreUnknownPath] Leave the image unchanged if the path does not exist
+     * @return {Imbo.ImageUrl}
+     */
+    clip: function(options) {
+        var opts = options || {},
+            params = {};
+
+        if (opts.path) {
+            if (typeof opts.path !== 'string') {
+                throw new Error('path must be a string');
+            }
+
+            params.path = opts.path;
         }
 
-        return this.append('canvas:' + params.join(','));
+        if (opts.ignoreUnknownPath) {
+            params.ignoreUnknownPath = 1;
+        }
+
+        return this.append(new Transformation('clip', params));
     },
 
     /**
@@ -134,7 +211,39 @@ extend(ImageUrl.prototype, {
      */
     compress: function(options) {
         var level = (options || {}).level || options;
-        return this.append('compress:level=' + (isNumeric(level) ? level : 75));
+        return this.append(new Transformation('compress', { level: isNumeric(level) ? level : 75 }));
+    },
+
+    /**
+     * Adjust the contrast of the image
+     *
+     * @param  {Object} [options]
+     * @param  {Number} [options.alpha] Strength of the contrast change - negative values reduce the contrast
+     * @param  {Number} [options.beta]  Midpoint of the contrast change, between 0 and 1
+     * @return {Imbo.ImageUrl}
+     */
+    contrast: function(options) {
+        var opts = options || {},
+            params = {};
+
+        if (typeof opts.alpha !== 'undefined') {
+            if (!isNumeric(parseFloat(opts.alpha))) {
+                throw new Error('alpha must be a number');
+            }
+
+            params.alpha = parseFloat(opts.alpha);
+        }
+
+        if (typeof opts.beta !== 'undefined') {
+            var beta = parseFloat(opts.beta);
+            if (!isNumeric(beta) || beta < 0 || beta > 1) {
+                throw new Error('beta must be a number between 0 and 1');
+            }
+
+            params.beta = beta;
+        }
+
+        return this.append(new Transformation('contrast', params));
     },
 
     /**
@@ -179,24 +288,24 @@ extend(ImageUrl.prototype, {
             throw new Error('width and height needs to be specified');
         }
 
-        var params = [
-            'width=' + toInt(width),
-            'height=' + toInt(height)
-        ];
+        var params = {
+            width: toInt(width),
+            height: toInt(height)
+        };
 
         if (isNumeric(x)) {
-            params.push('x=' + toInt(x));
+            params.x = toInt(x);
         }
 
         if (isNumeric(y)) {
-            params.push('y=' + toInt(y));
+            params.y = toInt(y);
         }
 
         if (mode) {
-            params.push('mode=' + mode);
+            params.mode = mode;
         }
 
-        return this.append('crop:' + params.join(','));
+        return this.append(new Transformation('crop', params));
     },
 
     /**
@@ -208,6 +317,38 @@ extend(ImageUrl.prototype, {
         return this.append('desaturate');
     },
 
+    /**
+     * Draw the points of interest stored in the metadata of the image on top of it
+     *
+     * @param  {Object} [options]
+     * @param  {String} [options.color=ff0000] Color of the outline, in hex-format
+     * @param  {Number} [options.borderSize=2] Width of the outline, in pixels
+     * @param  {Number} [options.pointSize=30] Diameter of points which have no size, in pixels
+     * @return {Imbo.ImageUrl}
+     */
+    drawPois: function(options) {
+        var opts = options || {},
+            params = {};
+
+        if (opts.color) {
+            params.color = stripHash(opts.color);
+        }
+
+        ['borderSize', 'pointSize'].forEach(function(param) {
+            if (typeof opts[param] === 'undefined') {
+                return;
+            }
+
+            if (!(toInt(opts[param]) > 0)) {
+                throw new Error(param + ' must be a positive number');
+            }
+
+            params[param] = toInt(opts[param]);
+        });
+
+        return this.append(new Transformation('drawPois', params));
+    },
+
     /**
      * Flip the image horizontally
      *
@@ -226,6 +367,77 @@ extend(ImageUrl.prototype, {
         return this.append('flipVertically');
     },
 
+    /**
+     * Replace the image with a histogram of it
+     *
+     * @param  {Object} [options]
+     * @param  {Number} [options.scale=1]     Scale of the histogram, multiplying the width of 256 pixels
+     * @param  {Number} [options.ratio=1.618] Ratio between the width and the height of the histogram
+     * @param  {String} [options.red]         Color of the red channel, in hex-format
+     * @param  {String} [options.green]       Color of the green channel, in hex-format
+     * @param  {String} [options.blue]        Color of the blue channel, in hex-format
+     * @return {Imbo.ImageUrl}
+     */
+    histogram: function(options) {
+        var opts = options || {},
+            params = {};
+
+        if (typeof opts.scale !== 'undefined') {
+            if (!(toInt(opts.scale) > 0)) {
+                throw new Error('scale must be a positive number');
+            }
+
+            params.scale = toInt(opts.scale);
+        }
+
+        if (typeof opts.ratio !== 'undefined') {
+            if (!(parseFloat(opts.ratio) > 0)) {
+                throw new Error('ratio must be a positive number');
+            }
+
+            params.ratio = parseFloat(opts.ratio);
+        }
+
+        ['red', 'green', 'blue'].forEach(function(channel) {
+            if (opts[channel]) {
+                params[channel] = stripHash(opts[channel]);
+            }
+        });
+
+        return this.append(new Transformation('histogram', params));
+    },
+
+    /**
+     * Adjust the levels of one or more color channels
+     *
+     * @param  {Object} options
+     * @param  {Number} options.amount    Amount to adjust the levels by, between -100 and 100
+     * @param  {String} [options.channel] Channels to adjust, as a combination of "r", "g", "b",
+     *                                    "c", "m", "y" and "k" (defaults to all channels)
+     * @return {Imbo.ImageUrl}
+     */
+    level: function(options) {
+        var opts = options || {},
+            amount = parseFloat(opts.amount),
+            params = {};
+
+        if (!isNumeric(amount) || amount < -100 || amount > 100) {
+            throw new Error('amount needs to be specified as a number between -100 and 100');
+        }
+
+        if (opts.channel) {
+            if (!/^[rgbcmyk]+$/.test(opts.channel)) {
+                throw new Error('channel must be a combination of `r`, `g`, `b`, `c`, `m`, `y` and `k`');
+            }
+
+            params.channel = opts.channel;
+        }
+
+        params.amount = amount;
+
+        return this.append(new Transformation('level', params));
+    },
+
     /**
      * Resize the image to be at most the size specified while still preserving
      * the aspect ratio. If the image is smaller than the given size, the image
@@ -237,21 +449,21 @@ extend(ImageUrl.prototype, {
      * @return {Imbo.ImageUrl}
      */
     maxSize: function(options) {
-        var params = [];
+        var params = {};
 
         if (options.width) {
-            params.push('width=' + toInt(options.width));
+            params.width = toInt(options.width);
         }
 
         if (options.height) {
-            params.push('height=' + toInt(options.height));
+            params.height = toInt(options.height);
         }
 
-        if (!params.length) {
+        if (!Object.keys(params).length) {
             throw new Error('width and/or height needs to be specified');
         }
 
-        return this.append('maxSize:' + params.join(','));
+        return this.append(new Transformation('maxSize', params));
     },
 
     /**
@@ -264,26 +476,26 @@ extend(ImageUrl.prototype, {
      * @return {Imbo.ImageUrl}
      */
     modulate: function(options) {
-        var params = [],
+        var params = {},
             opts = options || {};
 
         if (isNumeric(opts.brightness) || isNumeric(opts.b)) {
-            params.push('b=' + (opts.brightness || opts.b));
+            params.b = opts.brightness || opts.b;
         }
 
         if (isNumeric(opts.saturation) || isNumeric(opts.s)) {
-            params.push('s=' + (opts.saturation || opts.s));
+            params.s = opts.saturation || opts.s;
         }
 
         if (isNumeric(opts.hue) || isNumeric(opts.h)) {
-            params.push('h=' + (opts.hue || opts.h));
+            params.h = opts.hue || opts.h;
         }
 
-        if (!params.length) {
+        if (!Object.keys(params).length) {
             throw new Error('brightness, saturation or hue needs to be specified');
         }
 
-        return this.append('modulate:' + params.join(','));
+        return this.append(new Transformation('modulate', params));
     },
 
     /**
@@ -305,21 +517,21 @@ extend(ImageUrl.prototype, {
      * @return {Imbo.ImageUrl}
      */
     resize: function(options) {
-        var params = [];
+        var params = {};
 
         if (options && options.width) {
-            params.push('width=' + toInt(options.width));
+            params.width = toInt(options.width);
         }
 
         if (options && options.height) {
-            params.push('height=' + toInt(options.height));
+            params.height = toInt(options.height);
         }
 
-        if (!params.length) {
+        if (!Object.keys(params).length) {
             throw new Error('width and/or height needs to be specified');
         }
 
-        return this.append('resize:' + params.join(','));
+        return this.append(new Transformation('resize', params));
     },
 
     /**
@@ -335,8 +547,10 @@ extend(ImageUrl.prototype, {
             throw new Error('angle needs to be specified');
         }
 
-        var bg = (options.bg || '000000').replace(/^#/, '');
-        return this.append('rotate:angle=' + options.angle + ',bg=' + bg);
+        return this.append(new Transformation('rotate', {
+            angle: options.angle,
+            bg: (options.bg || '000000').replace(/^#/, '')
+        }));
     },
 
     /**
@@ -348,7 +562,7 @@ extend(ImageUrl.prototype, {
      */
     sepia: function(options) {
         var threshold = (options || {}).threshold || options;
-        return this.append('sepia:threshold=' + (isNumeric(threshold) ? threshold : 80));
+        return this.append(new Transformation('sepia', { threshold: isNumeric(threshold) ? threshold : 80 }));
     },
 
     /**
@@ -364,61 +578,47 @@ extend(ImageUrl.prototype, {
      * @return {Imbo.ImageUrl}
      */
     sharpen: function(options) {
-        var params = [],
-            opts = options || {},
-            transform = 'sharpen';
+        var params = {},
+            opts = options || {};
 
         if (opts.preset) {
-            params.push('preset=' + opts.preset);
-        }
-
-        if (typeof opts.radius !== 'undefined') {
-            params.push('radius=' + opts.radius);
-        }
-
-        if (typeof opts.sigma !== 'undefined') {
-            params.push('sigma=' + opts.sigma);
-        }
-
-        if (typeof opts.gain !== 'undefined') {
-            params.push('gain=' + opts.gain);
+            params.preset = opts.preset;
         }
 
-        if (typeof opts.threshold !== 'undefined') {
-            params.push('threshold=' + opts.threshold);
-        }
-
-        if (params.length) {
-            transform += ':' + params.join(',');
-        }
+        ['radius', 'sigma', 'gain', 'threshold'].forEach(function(param) {
+            if (typeof opts[param] !== 'undefined') {
+                params[param] = opts[param];
+            }
+        });
 
-        return this.append(transform);
+        return this.append(new Transformation('sharpen', params));
     },
 
     smartSize: function(options) {
-        var params = [],
-            opts = options || {};
+        var opts = options || {};
 
         if (!opts.width || !opts.height) {
             throw new Error('Both width and height needs to be specified');
         }
 
+        var params = {
+            width: toInt(opts.width),
+            height: toInt(opts.height)
+        };
+
         if (opts.poi) {
-            var poi;
             if (Array.isArray(opts.poi)) {
-                poi = opts.poi.map(toInt).join(',');
+                params.poi = opts.poi.map(toInt);
             } else if (
                 typeof opts.poi.x !== 'undefined' &&
                 typeof opts.poi.y !== 'undefined') {
-                poi = toInt(opts.poi.x) + ',' + toInt(opts.poi.y);
+                params.poi = [toInt(opts.poi.x), toInt(opts.poi.y)];
             } else {
                 throw new Error(
                     '`poi` parameter must be either an array of [x, y]-coordinates ' +
                     ' or an object with `x` and `y` properties'
                 );
             }
-
-            params.push('poi=' + poi);
         }
 
         if (opts.crop) {
@@ -430,10 +630,10 @@ extend(ImageUrl.prototype, {
                 );
             }
 
-            params.push('crop=' + opts.crop);
+            params.crop = opts.crop;
         }
 
-        return this.append('smartSize:' + params.join(','));
+        return this.append(new Transformation('smartSize', params));
     },
 
     /**
@@ -457,11 +657,11 @@ extend(ImageUrl.prototype, {
     thumbnail: function(options) {
         options = options || {};
 
-        return this.append([
-            'thumbnail:width=' + (options.width || 50),
-            'height=' + (options.height || 50),
-            'fit=' + (options.fit || 'outbound')
-        ].join(','));
+        return this.append(new Transformation('thumbnail', {
+            width: options.width || 50,
+            height: options.height || 50,
+            fit: options.fit || 'outbound'
+        }));
     },
 
     /**
@@ -482,6 +682,38 @@ extend(ImageUrl.prototype, {
         return this.append('transverse');
     },
 
+    /**
+     * Add a vignette to the image
+     *
+     * @param  {Object} [options]
+     * @param  {String} [options.inner=none]  Color of the center of the vignette, in hex-format
+     * @param  {String} [options.outer=000]   Color of the edges of the vignette, in hex-format
+     * @param  {Number} [options.scale=1.5]   Scale of the vignette, relative to the image size
+     * @return {Imbo.ImageUrl}
+     */
+    vignette: function(options) {
+        var opts = options || {},
+            params = {};
+
+        if (opts.inner) {
+            params.inner = stripHash(opts.inner);
+        }
+
+        if (opts.outer) {
+            params.outer = stripHash(opts.outer);
+        }
+
+        if (typeof opts.scale !== 'undefined') {
+            if (!(parseFloat(opts.scale) > 0)) {
+                throw new Error('scale must be a positive number');
+            }
+
+            params.scale = parseFloat(opts.scale);
+        }
+
+        return this.append(new Transformation('vignette', params));
+    },
+
     /**
      * Applies a watermark on top of the original image
      *
@@ -500,25 +732,25 @@ extend(ImageUrl.prototype, {
     watermark: function(options) {
         options = options || {};
 
-        var params = [
-            'position=' + (options.position || 'top-left'),
-            'x=' + toInt(options.x || 0),
-            'y=' + toInt(options.y || 0)
-        ];
+        var params = {
+            position: options.position || 'top-left',
+            x: toInt(options.x || 0),
+            y: toInt(options.y || 0)
+        };
 
         if (options.imageIdentifier) {
-            params.push('img=' + options.imageIdentifier);
+            params.img = options.imageIdentifier;
         }
 
         if (options.width > 0) {
-            params.push('width=' + toInt(options.width));
+            params.width = toInt(options.width);
         }
 
         if (options.height > 0) {
-            params.push('height=' + toInt(options.height));
+            params.height = toInt(options.height);
         }
 
-        return this.append('watermark:' + params.join(','));
+        return this.append(new Transformation('watermark', params));
     },
 
     /**
@@ -566,31 +798,51 @@ extend(ImageUrl.prototype, {
      */
     clone: function() {
         return new ImageUrl({
-            transformations: this.transformations.slice(0),
+            transformations: this.transformations.map(function(transformation) {
+                return transformation.clone();
+            }),
             baseUrl: this.rootUrl,
             user: this.user,
             publicKey: this.publicKey,
             privateKey: this.privateKey,
+            signer: this.signer,
             imageIdentifier: this.imageIdentifier,
             extension: this.extension,
             queryString: this.queryString,
-            path: this.path
+            path: this.path,
+            accessToken: this.accessToken
         });
     },
 
+    /**
+     * Apply a preset defined using `ImageUrl.definePreset()`
+     *
+     * @param  {String} name
+     * @param  {Object} [overrides] Parameters to override, keyed by method name,
+     *                              for instance `{ compress: { level: 60 } }`
+     * @return {Imbo.ImageUrl}
+     */
+    preset: function(name, overrides) {
+        return presets.apply(this, name, overrides);
+    },
+
     /**
      * Appends a transformation to the chain
      *
-     * @param  {String} transformation A transformation to be applied
+     * @param  {String|Object|Imbo.Transformation} transformation A transformation to be applied,
+     *                                                            as a string (`crop:x=0,y=0,...`)
+     *                                                            or a `{ name, params }` object
      * @return {Imbo.ImageUrl}
      */
     append: function(transformation) {
-        this.transformations.push(transformation);
+        this.transformations.push(Transformation.from(transformation));
         return this;
     },
 
     /**
-     * Get array of all applied transformations (in the order they were added)
+     * Get array of all applied transformations (in the order they were added). Each
+     * transformation has a `name` and an object of `params`, and serializes to the
+     * format used in the URL when used in a string context.
      *
      * @return {Array}
      */
@@ -598,6 +850,65 @@ extend(ImageUrl.prototype, {
         return this.transformations;
     },
 
+    /**
+     * Replace all applied transformations with the given ones
+     *
+     * @param  {Array} transformations Strings, `{ name, params }` objects or transformations
+     * @return {Imbo.ImageUrl}
+     */
+    setTransformations: function(transformations) {
+        this.transformations = transformations.map(Transformation.from);
+        return this;
+    },
+
+    /**
+     * Remove the transformation at the given index, or all transformations with the given name
+     *
+     * @param  {Number|String} indexOrName
+     * @return {Imbo.ImageUrl}
+     */
+    removeTransformation: function(indexOrName) {
+        this.transformations = this.transformations.filter(function(transformation, index) {
+            return typeof indexOrName === 'number' ? index !== indexOrName : transformation.name !== indexOrName;
+        });
+
+        return this;
+    },
+
+    /**
+     * Calculate the size of the image after all applied transformations, given the size of
+     * the original image (as returned by `getImageProperties()`, for instance). The returned
+     * object has `width` and `height` properties, which are `null` if they can't be determined,
+     * and an `undetermined` array listing the `index`, `name` and `reason` of transformations
+     * whose output size could not be determined.
+     *
+     * @param  {Object} size
+     * @param  {Number} size.width  Width of the original image
+     * @param  {Number} size.height Height of the original image
+     * @return {Object}
+     */
+    getOutputDimensions: function(size) {
+        return getOutputDimensions(this.transformations, size);
+    },
+
+    /**
+     * Generate a `srcset` and data for `<picture>` elements, with a signed URL for each
+     * variant of the image. Each variant is resized using `maxSize` (or `resize`) after
+     * the transformations already applied. See the documentation for available options.
+     * Image URLs with a signer instead of a private key need a callback.
+     *
+     * @param  {Object}   options
+     * @param  {Array}    [options.widths]    Widths of the variants
+     * @param  {Array}    [options.densities] Pixel densities of the variants, relative to `width`/`height`
+     * @param  {Array}    [options.formats]   Output formats - all but the last are returned as `sources`
+     * @param  {String}   [options.sizes]     Value of the `sizes` attribute
+     * @param  {Function} [callback]          Called with `(err, result)`
+     * @return {Object|null} Object with `src`, `srcset`, `sizes` and `sources` properties, or `null` with a callback
+     */
+    getResponsiveImage: function(options, callback) {
+        return getResponsiveImage(this, options, callback);
+    },
+
     /**
      * Get the specified extension of the image (if any)
      *
@@ -624,7 +935,7 @@ extend(ImageUrl.prototype, {
      */
     getQueryString: function(encode) {
         var query = this.queryString || '',
-            transformations = this.transformations,
+            transformations = this.transformations.map(String),
             transformationKey = encode ? 't%5B%5D=' : 't[]=';
 
         if (encode) {
@@ -646,6 +957,22 @@ extend(ImageUrl.prototype, {
      */
     getBaseUrl: function() {
         return this.rootUrl;
+    },
+
+    /**
+     * Set the base URL (host) for the imageUrl instance
+     *
+     * @param  {String} baseUrl
+     * @return {Imbo.ImageUrl}
+     */
+    setBaseUrl: function(baseUrl) {
+        this.rootUrl = baseUrl;
+        this.baseUrl = baseUrl + [
+            '/users', this.user,
+            'images', this.imageIdentifier
+        ].join('/');
+
+        return this;
     }
 });
 
@@ -666,12 +993,17 @@ ImageUrl.parse = function(url, privateKey) {
             return item.indexOf('publicKey=') === 0;
         }).map(function(str) {
             return str.substring(10);
+        })[0],
+        accessToken = query.filter(function(item) {
+            return item.indexOf('accessToken=') === 0;
+        }).map(function(str) {
+            return str.substring(12);
         })[0];
 
     var transformations = query.filter(function(param) {
-        return param.indexOf('t[]=') === 0;
+        return param.indexOf('t[]=') === 0 && param.length > 4;
     }).map(function(param) {
-        return param.substr(4);
+        return Transformation.parse(param.substr(4));
     });
 
     return new ImageUrl({
@@ -683,6 +1015,7 @@ ImageUrl.parse = function(url, privateKey) {
         transformations: transformations,
         extension: path.replace(/.*\/images\/.*?(?:\.|$)(.*)/, '$1') || null,
         imageIdentifier: path.replace(/.*\/images\/(.+?)(\..*|$)/, '$1'),
+        accessToken: accessToken,
         queryString: query.filter(function(item) {
             return item.indexOf('t[]=') === -1 &&
                 item.indexOf('accessToken=') === -1 &&
@@ -691,4 +1024,114 @@ ImageUrl.parse = function(url, privateKey) {
     });
 };
 
+/**
+ * Define a preset, applied to ImageUrl instances using `imageUrl.preset(name)`. The definition
+ * is either a function, called with the ImageUrl instance and the overrides, or an array of
+ * steps. Each step is the name of an ImageUrl method (`"strip"`) or an object with the `name`
+ * of the method and its `params` (`{ "name": "compress", "params": { "level": 80 } }`).
+ *
+ * @param {String}         name
+ * @param {Function|Array} definition
+ */
+ImageUrl.definePreset = function(name, definition) {
+    presets.define(name, definition);
+};
+
+/**
+ * Define multiple presets from an object mapping names to definitions, such as parsed JSON config
+ *
+ * @param {Object} definitions
+ */
+ImageUrl.definePresets = function(definitions) {
+    Object.keys(definitions).forEach(function(name) {
+        presets.define(name, definitions[name]);
+    });
+};
+
+/**
+ * Get the definition of a preset, or `null` if it is not defined
+ *
+ * @param  {String} name
+ * @return {Function|Array|null}
+ */
+ImageUrl.getPreset = function(name) {
+    return presets.get(name);
+};
+
+/**
+ * Get the names of all defined presets
+ *
+ * @return {Array}
+ */
+ImageUrl.getPresets = function() {
+    return presets.names();
+};
+
+/**
+ * Remove a preset, or all presets if no name is given
+ *
+ * @param {String} [name]
+ */
+ImageUrl.removePreset = function(name) {
+    presets.remove(name);
+};
+
+/**
+ * Validate all defined presets by applying them to an image URL, throwing an error
+ * listing the presets which fail
+ */
+ImageUrl.validatePresets = function() {
+    presets.validate(function() {
+        return new ImageUrl({
+            baseUrl: 'http://imbo',
+            publicKey: 'user',
+            privateKey: 'key',
+            imageIdentifier: 'image'
+        });
+    });
+};
+
+/**
+ * Verify the access token of an image URL. The token is checked against the URL exactly as
+ * given (without the `accessToken` parameter), with its query string decoded, and against
+ * the URL as generated by `getUrl()` - covering tokens generated from both encoded and raw
+ * transformations, and the `publicKey` parameter. Tokens are compared in constant time.
+ *
+ * @param  {String}  url
+ * @param  {String}  privateKey
+ * @return {Boolean}
+ */
+ImageUrl.verify = function(url, privateKey) {
+    var match = /([?&])accessToken=([^&#]*)&?/.exec(url);
+
+    if (!match || !match[2] || !privateKey) {
+        return false;
+    }
+
+    var token = match[2],
+        unsigned = url.substr(0, match.index) + (match[0].slice(-1) === '&' ? match[1] : '') +
+            url.substr(match.index + match[0].length),
+        candidates = [unsigned],
+        valid = false;
+
+    try {
+        candidates.push(decodeURIComponent(unsigned));
+    } catch (e) {
+        // Malformed escape sequences - the URL can only match as given
+    }
+
+    // Check all candidates, to avoid revealing which one matched through timing
+    candidates.forEach(function(candidate) {
+        valid = constantTimeEqual(crypto.sha256(privateKey, candidate), token) || valid;
+    });
+
+    try {
+        valid = ImageUrl.parse(url, privateKey).isValidAccessToken() || valid;
+    } catch (e) {
+        // URLs which can't be parsed can only match as given
+    }
+
+    return valid;
+};
+
 module.exports = ImageUrl;
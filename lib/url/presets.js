@@ -0,0 +1,192 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view
+ * the LICENSE file that was distributed with this source code.
+ */
+'use strict';
+
+var extend = require('../utils/extend');
+
+// ImageUrl methods which can be used as steps in presets
+var methods = [
+    'append', 'autoRotate', 'blur', 'border', 'canvas', 'clip', 'compress', 'contrast', 'convert', 'crop',
+    'desaturate', 'drawPois', 'flipHorizontally', 'flipVertically', 'gif', 'histogram', 'jpg', 'level',
+    'maxSize', 'modulate', 'png', 'progressive', 'resize', 'rotate', 'sepia', 'sharpen', 'smartSize',
+    'strip', 'thumbnail', 'transpose', 'transverse', 'vignette', 'watermark'
+];
+
+// Defined presets, by name
+var presets = {};
+
+/**
+ * Normalize a single step of a preset to a `{ name, params }` object
+ *
+ * @param  {String|Object} step
+ * @return {Object}
+ */
+function normalizeStep(step) {
+    var normalized = typeof step === 'string' ? { name: step } : step;
+
+    if (!normalized || typeof normalized !== 'object' || methods.indexOf(normalized.name) === -1) {
+        throw new Error(
+            'Invalid preset step ' + JSON.stringify(step) + ' - steps must be the name of an ' +
+            'ImageUrl method or an object with `name` and `params`'
+        );
+    }
+
+    var result = { name: normalized.name };
+    if ('params' in normalized) {
+        result.params = normalized.params;
+    }
+
+    return result;
+}
+
+/**
+ * Get the parameters of a step, merged with the overrides for the step
+ *
+ * @param  {Object} step
+ * @param  {Object} overrides
+ * @return {*}
+ */
+function getParams(step, overrides) {
+    if (!overrides.hasOwnProperty(step.name)) {
+        return step.params;
+    }
+
+    var override = overrides[step.name];
+    if (override && typeof override === 'object' && step.params && typeof step.params === 'object') {
+        return extend(extend({}, step.params), override);
+    }
+
+    return override;
+}
+
+/**
+ * Define a preset. The definition is either a function, called with the ImageUrl instance
+ * and the overrides, or a JSON-compatible array of steps. Each step is the name of an
+ * ImageUrl method (`"strip"`) or an object with the `name` of the method and its `params`
+ * (`{ "name": "compress", "params": { "level": 80 } }`).
+ *
+ * @param {String}         name
+ * @param {Function|Array} definition
+ */
+function define(name, definition) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Preset name must be a non-empty string');
+    }
+
+    if (typeof definition === 'function') {
+        presets[name] = definition;
+    } else if (Array.isArray(definition)) {
+        presets[name] = definition.map(normalizeStep);
+    } else {
+        throw new Error('Preset "' + name + '" must be defined using a function or an array of steps');
+    }
+}
+
+/**
+ * Get the definition of a preset
+ *
+ * @param  {String} name
+ * @return {Function|Array|null}
+ */
+function get(name) {
+    return presets.hasOwnProperty(name) ? presets[name] : null;
+}
+
+/**
+ * Get the names of all defined presets
+ *
+ * @return {Array}
+ */
+function names() {
+    return Object.keys(presets);
+}
+
+/**
+ * Remove a preset, or all presets if no name is given
+ *
+ * @param {String} [name]
+ */
+function remove(name) {
+    if (name) {
+        delete presets[name];
+    } else {
+        presets = {};
+    }
+}
+
+/**
+ * Apply a preset to the given ImageUrl instance. The steps are applied to a clone of the
+ * instance, leaving it unchanged if any of them throws
+ *
+ * @param  {Imbo.ImageUrl} imageUrl
+ * @param  {String}        name
+ * @param  {Object}        [overrides] Parameters to override, keyed by method name
+ * @return {Imbo.ImageUrl}
+ */
+function apply(imageUrl, name, overrides) {
+    var preset = get(name),
+        url = imageUrl.clone();
+
+    overrides = overrides || {};
+
+    if (!preset) {
+        throw new Error('Unknown preset "' + name + '"');
+    }
+
+    if (typeof preset === 'function') {
+        preset(url, overrides);
+        return extend(imageUrl, url);
+    }
+
+    Object.keys(overrides).forEach(function(method) {
+        var used = preset.some(function(step) {
+            return step.name === method;
+        });
+
+        if (!used) {
+            throw new Error('Preset "' + name + '" has no `' + method + '` step to override');
+        }
+    });
+
+    preset.forEach(function(step) {
+        url[step.name](getParams(step, overrides));
+    });
+
+    return extend(imageUrl, url);
+}
+
+/**
+ * Apply all presets to ImageUrl instances created by the given factory, throwing an
+ * error listing the presets which fail
+ *
+ * @param {Function} createImageUrl
+ */
+function validate(createImageUrl) {
+    var errors = names().map(function(name) {
+        try {
+            apply(createImageUrl(), name);
+            return null;
+        } catch (e) {
+            return name + ': ' + e.message;
+        }
+    }).filter(Boolean);
+
+    if (errors.length) {
+        throw new Error('Invalid presets - ' + errors.join('; '));
+    }
+}
+
+module.exports = {
+    define: define,
+    get: get,
+    names: names,
+    remove: remove,
+    apply: apply,
+    validate: validate
+};
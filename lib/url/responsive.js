@@ -0,0 +1,206 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view
+ * the LICENSE file that was distributed with this source code.
+ */
+'use strict';
+
+var mimeTypes = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * Check that the given value is a non-empty array of positive numbers
+ *
+ * @param  {Array}  values
+ * @param  {String} name
+ * @throws {Error}
+ */
+function assertPositiveNumbers(values, name) {
+    var valid = Array.isArray(values) && values.length && values.every(function(value) {
+        return typeof value === 'number' && value > 0;
+    });
+
+    if (!valid) {
+        throw new Error('`' + name + '` must be a non-empty array of positive numbers');
+    }
+}
+
+/**
+ * Create a single variant of the image
+ *
+ * @param  {Imbo.ImageUrl} imageUrl
+ * @param  {String}        method    Name of the resize transformation ("maxSize" or "resize")
+ * @param  {Object}        size
+ * @param  {String|null}   format
+ * @return {Imbo.ImageUrl}
+ */
+function createVariant(imageUrl, method, size, format) {
+    var variant = imageUrl.clone()[method](size);
+
+    if (format) {
+        variant.convert(format);
+    }
+
+    return variant;
+}
+
+/**
+ * Get the URLs of the given variants, generating access tokens using the signer of the
+ * image URL if it has no private key
+ *
+ * @param {Array}    variants
+ * @param {Function} callback - Called with `(err, urls)`
+ */
+function getVariantUrls(variants, callback) {
+    var urls = new Array(variants.length),
+        remaining = variants.length,
+        failed = false;
+
+    variants.forEach(function(variant, index) {
+        variant.getUrl(function(err, url) {
+            if (failed) {
+                return;
+            } else if (err) {
+                failed = true;
+                callback(err);
+                return;
+            }
+
+            urls[index] = url;
+            if (--remaining === 0) {
+                callback(null, urls);
+            }
+        });
+    });
+}
+
+/**
+ * Generate the URLs needed for responsive images - a `srcset` with a variant of the image for
+ * each of the given widths or pixel densities, and `<source>` elements for the given formats.
+ * The variants are resized after the transformations already applied to the image URL.
+ *
+ * Without a callback, the result is returned. Image URLs without a private key but with a
+ * signer need a callback, which receives the result once the signer has generated the
+ * access tokens of all variants.
+ *
+ * @param  {Imbo.ImageUrl} imageUrl
+ * @param  {Object}        options
+ * @param  {Array}         [options.widths]    Widths of the variants, described using `w` descriptors
+ * @param  {Array}         [options.densities] Pixel densities of the variants, described using `x` descriptors
+ * @param  {Number}        [options.width]     Width of the image at a pixel density of 1 (densities only)
+ * @param  {Number}        [options.height]    Height of the image at a pixel density of 1 (densities only)
+ * @param  {String}        [options.sizes]     Value of the `sizes` attribute (widths only)
+ * @param  {Array}         [options.formats]   Output formats, in order of preference. The last format is
+ *                                             used for the `<img>` element, the others for `<source>` elements
+ * @param  {String}        [options.transformation=maxSize] Transformation used for resizing: "maxSize" or "resize"
+ * @param  {Function}      [callback]          Called with `(err, result)`
+ * @return {Object|null} Object with `src`, `srcset`, `sizes` and `sources` properties, or `null` with a callback
+ */
+function getResponsiveImage(imageUrl, options, callback) {
+    var opts = options || {},
+        method = opts.transformation || 'maxSize',
+        formats = opts.formats || [null],
+        descriptors;
+
+    if (method !== 'maxSize' && method !== 'resize') {
+        throw new Error('`transformation` must be either `maxSize` or `resize`');
+    }
+
+    if (!Array.isArray(formats) || !formats.length) {
+        throw new Error('`formats` must be a non-empty array');
+    }
+
+    if (opts.widths && opts.densities) {
+        throw new Error('Specify either `widths` or `densities`, not both');
+    } else if (opts.densities) {
+        assertPositiveNumbers(opts.densities, 'densities');
+
+        if (!opts.width && !opts.height) {
+            throw new Error('`width` and/or `height` needs to be specified when using `densities`');
+        }
+
+        descriptors = opts.densities.map(function(density) {
+            var size = {};
+
+            if (opts.width) {
+                size.width = Math.round(opts.width * density);
+            }
+
+            if (opts.height) {
+                size.height = Math.round(opts.height * density);
+            }
+
+            return { size: size, descriptor: density + 'x' };
+        });
+    } else {
+        assertPositiveNumbers(opts.widths, 'widths');
+
+        descriptors = opts.widths.map(function(width) {
+            return { size: { width: Math.round(width) }, descriptor: Math.round(width) + 'w' };
+        });
+    }
+
+    if (!callback && !imageUrl.privateKey && imageUrl.signer) {
+        throw new Error(
+            'Access tokens of image URLs without private key are generated by the signer - ' +
+            'pass a callback to get the responsive image'
+        );
+    }
+
+    var sizes = opts.densities ? null : opts.sizes || null,
+        variants = [];
+
+    formats.forEach(function(format) {
+        descriptors.forEach(function(descriptor) {
+            variants.push(createVariant(imageUrl, method, descriptor.size, format));
+        });
+    });
+
+    var getResult = function(urls) {
+        var sources = formats.map(function(format, formatIndex) {
+            var formatUrls = urls.slice(formatIndex * descriptors.length, (formatIndex + 1) * descriptors.length);
+
+            return {
+                type: format ? mimeTypes[format] || 'image/' + format : null,
+                src: formatUrls[0],
+                srcset: descriptors.map(function(descriptor, index) {
+                    return formatUrls[index] + ' ' + descriptor.descriptor;
+                }).join(', '),
+                sizes: sizes
+            };
+        });
+
+        var fallback = sources.pop();
+
+        return {
+            src: fallback.src,
+            srcset: fallback.srcset,
+            sizes: sizes,
+            sources: sources.map(function(source) {
+                return { type: source.type, srcset: source.srcset, sizes: source.sizes };
+            })
+        };
+    };
+
+    if (!callback) {
+        return getResult(variants.map(function(variant) {
+            return variant.getUrl();
+        }));
+    }
+
+    getVariantUrls(variants, function(err, urls) {
+        callback(err, err ? null : getResult(urls));
+    });
+
+    return null;
+}
+
+module.exports = getResponsiveImage;
@@ -0,0 +1,215 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view
+ * the LICENSE file that was distributed with this source code.
+ */
+'use strict';
+
+var extend = require('../utils/extend');
+
+/**
+ * Convert a parameter value from a transformation string to a number if it can be
+ * converted back to the exact same string, leaving values such as `000000` untouched.
+ * Values containing commas (`poi=10,20`) are converted to arrays.
+ *
+ * @param  {String} value
+ * @return {String|Number|Array}
+ */
+function parseValue(value) {
+    if (value.indexOf(',') !== -1) {
+        return value.split(',').map(parseValue);
+    }
+
+    var num = Number(value);
+    return value !== '' && String(num) === value ? num : value;
+}
+
+/**
+ * Convert a parameter value to its string representation
+ *
+ * @param  {String|Number|Array} value
+ * @return {String}
+ */
+function formatValue(value) {
+    return Array.isArray(value) ? value.map(formatValue).join(',') : String(value);
+}
+
+/**
+ * A single image transformation, consisting of a name and an object of parameters.
+ * Parameters are serialized in the order they were added to the object.
+ *
+ * @param {String} name
+ * @param {Object} [params]
+ */
+var Transformation = function(name, params) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Transformation name must be a non-empty string');
+    }
+
+    this.name = name;
+    this.params = extend({}, params);
+    this.raw = null;
+};
+
+extend(Transformation.prototype, {
+    /**
+     * Get the name of the transformation
+     *
+     * @return {String}
+     */
+    getName: function() {
+        return this.name;
+    },
+
+    /**
+     * Get the parameters of the transformation
+     *
+     * @return {Object}
+     */
+    getParams: function() {
+        return this.params;
+    },
+
+    /**
+     * Get the value of a single parameter
+     *
+     * @param  {String} key
+     * @return {String|Number|Array|null}
+     */
+    getParam: function(key) {
+        return this.params.hasOwnProperty(key) ? this.params[key] : null;
+    },
+
+    /**
+     * Set the value of a single parameter. Pass `null` to remove the parameter.
+     *
+     * @param  {String}              key
+     * @param  {String|Number|Array} value
+     * @return {Transformation}
+     */
+    setParam: function(key, value) {
+        if (value === null) {
+            delete this.params[key];
+        } else {
+            this.params[key] = value;
+        }
+
+        this.raw = null;
+        return this;
+    },
+
+    /**
+     * Create a copy of the transformation
+     *
+     * @return {Transformation}
+     */
+    clone: function() {
+        var copy = new Transformation(this.name, this.params);
+        copy.raw = this.raw;
+
+        Object.keys(copy.params).forEach(function(key) {
+            if (Array.isArray(copy.params[key])) {
+                copy.params[key] = copy.params[key].slice();
+            }
+        });
+
+        return copy;
+    },
+
+    /**
+     * Get the transformation as a plain object, suitable for serializing as JSON
+     *
+     * @return {Object}
+     */
+    toJSON: function() {
+        return { name: this.name, params: this.params };
+    },
+
+    /**
+     * Get the transformation in the format used in the `t[]` query parameter,
+     * for instance `crop:x=0,y=0,width=10,height=10`
+     *
+     * @return {String}
+     */
+    toString: function() {
+        if (this.raw !== null) {
+            return this.raw;
+        }
+
+        var params = this.params,
+            keys = Object.keys(params);
+
+        if (!keys.length) {
+            return this.name;
+        }
+
+        return this.name + ':' + keys.map(function(key) {
+            return key + '=' + formatValue(params[key]);
+        }).join(',');
+    }
+});
+
+/**
+ * Parse a transformation string from the `t[]` query parameter. Strings which can't
+ * be represented exactly by a name and parameters are kept as-is when serialized.
+ *
+ * @param  {String} str
+ * @return {Transformation}
+ */
+Transformation.parse = function(str) {
+    var separator = str.indexOf(':'),
+        name = separator === -1 ? str : str.substr(0, separator),
+        params = {},
+        key = null;
+
+    if (separator !== -1) {
+        str.substr(separator + 1).split(',').forEach(function(part) {
+            var eq = part.indexOf('=');
+
+            if (eq === -1 && key !== null) {
+                // Part of a comma separated value, such as `poi=10,20`
+                params[key] += ',' + part;
+                return;
+            }
+
+            key = eq === -1 ? part : part.substr(0, eq);
+            params[key] = eq === -1 ? '' : part.substr(eq + 1);
+        });
+    }
+
+    Object.keys(params).forEach(function(param) {
+        params[param] = parseValue(params[param]);
+    });
+
+    var transformation = new Transformation(name || str, params);
+
+    // Keep the original string if it doesn't survive the round-trip
+    if (transformation.toString() !== str) {
+        transformation.raw = str;
+    }
+
+    return transformation;
+};
+
+/**
+ * Create a transformation from a string, a plain `{ name, params }` object or a transformation
+ *
+ * @param  {String|Object|Transformation} transformation
+ * @return {Transformation}
+ */
+Transformation.from = function(transformation) {
+    if (transformation instanceof Transformation) {
+        return transformation;
+    } else if (typeof transformation === 'string') {
+        return Transformation.parse(transformation);
+    } else if (transformation && typeof transformation === 'object') {
+        return new Transformation(transformation.name, transformation.params);
+    }
+
+    throw new Error('Transformations must be strings or objects with a `name` and `params`');
+};
+
+module.exports = Transformation;
@@ -9,7 +9,41 @@
 'use strict';
 
 var crypto = require('../node/crypto'),
-    extend = require('../utils/extend');
+    extend = require('../utils/extend'),
+    constantTimeEqual = require('../utils/constant-time-equal');
+
+/**
+ * Decode a query string parameter if it is an encoded transformation (`t%5B%5D=...`)
+ *
+ * @param  {String} param
+ * @return {String}
+ */
+function decodeTransformation(param) {
+    if (param.indexOf('t%5B%5D=') !== 0) {
+        return param;
+    }
+
+    try {
+        return 't[]=' + decodeURIComponent(param.substr(8));
+    } catch (e) {
+        return param;
+    }
+}
+
+/**
+ * Add the given access token to an unsigned URL
+ *
+ * @param  {Object} unsigned - Result of `getUnsignedUrl()`
+ * @param  {String} token
+ * @return {String}
+ */
+function appendAccessToken(unsigned, token) {
+    return [
+        unsigned.encodedUrl,
+        (unsigned.url.indexOf('?') > -1 ? '&' : '?'),
+        'accessToken=' + token
+    ].join('');
+}
 
 /**
  * ImboUrl constructor
@@ -22,10 +56,12 @@ var ImboUrl = function(options) {
     this.user = typeof options.user === 'undefined' ? options.publicKey : options.user;
     this.publicKey = options.publicKey;
     this.privateKey = options.privateKey;
+    this.signer = options.signer || null;
     this.extension = options.extension;
     this.imageIdentifier = options.imageIdentifier || '';
     this.path = options.path || '';
     this.queryString = options.queryString;
+    this.accessToken = options.accessToken || null;
 };
 
 extend(ImboUrl.prototype, {
@@ -67,6 +103,26 @@ extend(ImboUrl.prototype, {
         return this;
     },
 
+    /**
+     * Get the base URL (host) for the URL instance
+     *
+     * @return {String}
+     */
+    getBaseUrl: function() {
+        return this.baseUrl;
+    },
+
+    /**
+     * Set the base URL (host) for the URL instance
+     *
+     * @param  {String} baseUrl
+     * @return {Imbo.Url}
+     */
+    setBaseUrl: function(baseUrl) {
+        this.baseUrl = baseUrl;
+        return this;
+    },
+
     /**
      * Set the private key used to generate access tokens
      *
@@ -78,6 +134,20 @@ extend(ImboUrl.prototype, {
         return this;
     },
 
+    /**
+     * Set the signer used to generate access tokens when there is no private key. The signer
+     * is called with an object with the `type` (`accessToken`) and `url` to generate the
+     * access token for, and a callback taking `(err, result)`, where `result` has an
+     * `accessToken` property.
+     *
+     * @param  {Function} signer
+     * @return {Imbo.Url}
+     */
+    setSigner: function(signer) {
+        this.signer = signer || null;
+        return this;
+    },
+
     /**
      * Generate access token for the passed URL
      *
@@ -109,11 +179,12 @@ extend(ImboUrl.prototype, {
     },
 
     /**
-     * Get a string representation of the URL
+     * Get the URL without access token, both with the query string as-is (which is the
+     * URL the access token is generated from) and with the query string encoded
      *
-     * @return {String}
+     * @return {Object} Object with `url` and `encodedUrl` properties
      */
-    getUrl: function() {
+    getUnsignedUrl: function() {
         var extension = this.extension ? ('.' + this.extension) : '',
             url = (this.baseUrl + extension + this.path),
             encodedUrl = url,
@@ -135,11 +206,61 @@ extend(ImboUrl.prototype, {
             encodedUrl += pubKeyParam;
         }
 
-        return [
-            encodedUrl,
-            (url.indexOf('?') > -1 ? '&' : '?'),
-            'accessToken=' + this.getAccessToken(url, this.privateKey)
-        ].join('');
+        return { url: url, encodedUrl: encodedUrl };
+    },
+
+    /**
+     * Get a string representation of the URL, including the access token if the private key is set.
+     * When a callback is given, the URL is passed to it as well - without a private key, the access
+     * token is then generated by the signer, if set.
+     *
+     * @param  {Function} [callback] - Called with `(err, url)`
+     * @return {String}
+     */
+    getUrl: function(callback) {
+        var unsigned = this.getUnsignedUrl();
+
+        if (callback && !this.privateKey && this.signer) {
+            this.signer({ type: 'accessToken', url: unsigned.url }, function(err, result) {
+                callback(err, err ? null : appendAccessToken(unsigned, result.accessToken));
+            });
+
+            return unsigned.encodedUrl;
+        }
+
+        // Without a private key, access tokens have to be generated elsewhere
+        var url = this.privateKey ?
+            appendAccessToken(unsigned, this.getAccessToken(unsigned.url)) :
+            unsigned.encodedUrl;
+
+        if (callback) {
+            process.nextTick(callback.bind(null, null, url));
+        }
+
+        return url;
+    },
+
+    /**
+     * Check whether the given access token (or the one the URL was parsed with) is valid for
+     * the URL in its current state. Tokens generated from the URL with its query string
+     * encoded are accepted as well. Requires the private key to be set.
+     *
+     * @param  {String} [accessToken]
+     * @return {Boolean}
+     */
+    isValidAccessToken: function(accessToken) {
+        var token = accessToken || this.accessToken,
+            unsigned = this.getUnsignedUrl();
+
+        if (!token || !this.privateKey) {
+            return false;
+        }
+
+        // Check both candidates, to avoid revealing which one matched through timing
+        var validRaw = constantTimeEqual(this.getAccessToken(unsigned.url), token),
+            validEncoded = constantTimeEqual(this.getAccessToken(unsigned.encodedUrl), token);
+
+        return validRaw || validEncoded;
     },
 
     /**
@@ -152,4 +273,35 @@ extend(ImboUrl.prototype, {
     }
 });
 
+/**
+ * Add an access token to a URL string as returned by `getUrl()` when there is no private key,
+ * for instance after the host of the URL has been changed. The token is generated from the URL
+ * with its transformations decoded, the same way `getUrl()` generates it.
+ *
+ * @param  {String} url
+ * @param  {String} privateKey
+ * @return {String}
+ */
+ImboUrl.addAccessToken = function(url, privateKey) {
+    var raw = ImboUrl.getRawUrl(url);
+    return appendAccessToken({ url: raw, encodedUrl: url }, crypto.sha256(privateKey, raw));
+};
+
+/**
+ * Get the URL access tokens are generated from for a URL string as returned by `getUrl()`
+ * when there is no private key - the URL with its transformations decoded
+ *
+ * @param  {String} url
+ * @return {String}
+ */
+ImboUrl.getRawUrl = function(url) {
+    var index = url.indexOf('?');
+
+    if (index === -1) {
+        return url;
+    }
+
+    return url.substr(0, index + 1) + url.substr(index + 1).split('&').map(decodeTransformation).join('&');
+};
+
 module.exports = ImboUrl;
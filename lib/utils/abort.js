@@ -0,0 +1,49 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var noop = function() {};
+
+/**
+ * Create the error passed to callbacks when a request has been cancelled
+ *
+ * @return {Error}
+ */
+exports.createCancelError = function() {
+    var err = new Error('Request was cancelled');
+    err.code = 'ECANCELED';
+    return err;
+};
+
+/**
+ * Call the given function when the given signal (an `AbortSignal` or any object
+ * implementing `aborted` and `addEventListener`) is aborted. If the signal has
+ * already been aborted, the function is called asynchronously.
+ *
+ * @param  {AbortSignal} [signal]
+ * @param  {Function}    fn
+ * @return {Function}    Function that stops listening for the abort event
+ */
+exports.onAbort = function(signal, fn) {
+    if (!signal) {
+        return noop;
+    }
+
+    if (signal.aborted) {
+        var timer = setTimeout(fn, 0);
+        return function() {
+            clearTimeout(timer);
+        };
+    }
+
+    signal.addEventListener('abort', fn);
+    return function() {
+        signal.removeEventListener('abort', fn);
+    };
+};
@@ -0,0 +1,32 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var existingImages = require('./existing-images');
+
+/**
+ * Add a single image, picking the client method based on the type of source.
+ * Strings starting with `http://` or `https://` are treated as URLs, other strings
+ * as paths on the filesystem. Everything else is added as a buffer or file.
+ *
+ * @param {ImboClient}                     client
+ * @param {String|Buffer|ArrayBuffer|File} source
+ * @param {Function|Object}                callback - Callback or object of handlers
+ */
+module.exports = function addImage(client, source, callback) {
+    var kind = existingImages.getSourceKind(source);
+
+    if (kind === 'url') {
+        client.addImageFromUrl(source, callback);
+    } else if (kind === 'path') {
+        client.addImage(source, callback);
+    } else {
+        client.addImageFromBuffer(source, callback);
+    }
+};
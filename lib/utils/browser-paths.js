@@ -0,0 +1,21 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+/**
+ * Replace requires of node-specific components with their browser-specific counterparts,
+ * as done when building the browser bundle. Matches both paths relative to `lib/`
+ * (`./node/`, `../node/`) and to the package root (`./lib/node/`).
+ *
+ * @param  {String} source
+ * @return {String}
+ */
+module.exports = function toBrowserPaths(source) {
+    return source.replace(/\.\/(lib\/)?node\//g, './$1browser/');
+};
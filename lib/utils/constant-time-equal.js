@@ -0,0 +1,30 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+/**
+ * Compare two strings in constant time (for strings of equal length), so the time taken
+ * does not reveal how much of a secret, such as an access token, was guessed correctly
+ *
+ * @param  {String} a
+ * @param  {String} b
+ * @return {Boolean}
+ */
+module.exports = function constantTimeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+
+    var difference = 0;
+    for (var i = 0; i < a.length; i++) {
+        difference += Math.abs(a.charCodeAt(i) - b.charCodeAt(i));
+    }
+
+    return difference === 0;
+};
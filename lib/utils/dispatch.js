@@ -0,0 +1,152 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var ImboError = require('../imbo-error'),
+    extend = require('./extend'),
+    retry = require('./retry'),
+    abort = require('./abort');
+
+/**
+ * Send a request through a transport, retrying failed attempts according to the
+ * retry policy and cancelling the request if the given signal is aborted
+ *
+ * @param {Object}          options
+ * @param {Function}        options.transport    Transport which performs a single attempt
+ * @param {String|Function} options.uri          URI to request. If a function is given, it is called
+ *                                               before each attempt (allowing the URI to be re-signed)
+ * @param {Object|Function} [options.headers]    Request headers. If a function is given, it is called
+ *                                               before each attempt
+ * @param {Object}          [options.retry]      Retry policy for failed requests (see utils/retry)
+ * @param {Function}        [options.beforeRetry] Called with a callback before each retry, which is
+ *                                               called with an error (failing the request) or without
+ *                                               once the request can be sent again (allowing the URI
+ *                                               to be re-signed asynchronously)
+ * @param {AbortSignal}     [options.signal]     Signal which cancels the request when aborted
+ * @param {Function}        [options.onComplete] Called with `(err, res, body)` once the request is done.
+ *                                               If omitted, the request is handed to the transport
+ *                                               without a callback, allowing its response to be streamed
+ * @return {Object} The request object returned by the transport
+ */
+function dispatch(options) {
+    var opts = extend({}, options),
+        transport = opts.transport,
+        uri = opts.uri,
+        headers = opts.headers,
+        policy = retry.getPolicy(opts.retry),
+        beforeRetry = opts.beforeRetry,
+        signal = opts.signal,
+        onComplete = opts.onComplete,
+        replayable = true,
+        completed = false,
+        attempt = 0,
+        stopListening,
+        current,
+        resend,
+        timer;
+
+    opts.method = (opts.method || 'GET').toUpperCase();
+    delete opts.transport;
+    delete opts.retry;
+    delete opts.beforeRetry;
+    delete opts.signal;
+    delete opts.onComplete;
+
+    var getOptions = function() {
+        return extend(extend({}, opts), {
+            uri: (typeof uri === 'function' ? uri() : uri).toString(),
+            headers: typeof headers === 'function' ? headers() : headers
+        });
+    };
+
+    if (!onComplete) {
+        current = transport(getOptions());
+        stopListening = abort.onAbort(signal, function() {
+            current.abort();
+        });
+
+        if (typeof current.on === 'function') {
+            current.on('end', stopListening).on('error', stopListening);
+        }
+
+        return current;
+    }
+
+    var complete = function(err, res, body) {
+        if (!completed) {
+            completed = true;
+            stopListening();
+            onComplete(err, res, body);
+        }
+    };
+
+    stopListening = abort.onAbort(signal, function() {
+        clearTimeout(timer);
+        current.abort();
+        complete(abort.createCancelError());
+    });
+
+    var send = function() {
+        attempt++;
+
+        var reqOpts = getOptions();
+
+        current = transport(reqOpts, function(err, res, body) {
+            var failed = err || res.statusCode >= 400;
+
+            if (completed) {
+                return;
+            } else if (failed && replayable && retry.shouldRetry(policy, attempt, err, res)) {
+                timer = setTimeout(resend, retry.getDelay(policy, attempt));
+                return;
+            } else if (!err && failed) {
+                err = ImboError.fromResponse(reqOpts, res, body);
+            }
+
+            complete(err || null, res, body);
+        });
+
+        // Streams piped into the request can't be replayed, so don't retry those
+        if (typeof current.on === 'function') {
+            current.on('pipe', function() {
+                replayable = false;
+            });
+        }
+
+        return current;
+    };
+
+    resend = function() {
+        if (!beforeRetry) {
+            send();
+            return;
+        }
+
+        beforeRetry(function(err) {
+            if (completed) {
+                return;
+            } else if (err) {
+                complete(err);
+            } else {
+                send();
+            }
+        });
+    };
+
+    send();
+
+    // Signal already aborted? Make sure the request is never sent
+    if (signal && signal.aborted) {
+        current.abort();
+    }
+
+    return current;
+}
+
+module.exports = dispatch;
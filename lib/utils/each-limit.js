@@ -0,0 +1,54 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+/**
+ * Run the given task for each index from 0 to `count - 1`, keeping at most `limit`
+ * tasks running at a time. Tasks receive the index and a function to call once done.
+ *
+ * @param {Number}   count
+ * @param {Number}   limit
+ * @param {Function} task
+ * @param {Function} callback - Called once all tasks are done
+ */
+module.exports = function eachLimit(count, limit, task, callback) {
+    var next = 0,
+        pending = 0;
+
+    if (!count) {
+        process.nextTick(callback);
+        return;
+    }
+
+    var run = function() {
+        var index = next++,
+            done = false;
+
+        pending++;
+
+        task(index, function() {
+            if (done) {
+                return;
+            }
+
+            done = true;
+            pending--;
+
+            if (next < count) {
+                run();
+            } else if (!pending) {
+                callback();
+            }
+        });
+    };
+
+    while (pending < limit && next < count) {
+        run();
+    }
+};
@@ -0,0 +1,133 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var ImboQuery = require('../query'),
+    eachLimit = require('./each-limit');
+
+// Maximum number of checksums to look up per query, keeping the URL of each query well
+// within the limits of servers and proxies (about 60 characters per checksum)
+var checksumsPerQuery = 50;
+
+/**
+ * Check if the given string is an HTTP(S) URL rather than a path
+ *
+ * @param  {*} source
+ * @return {Boolean}
+ */
+function isUrl(source) {
+    return typeof source === 'string' && /^https?:\/\//i.test(source);
+}
+
+/**
+ * Get the kind of an image source as used by batch uploads, where strings are either URLs
+ * or paths, and everything else is a buffer or file
+ *
+ * @param  {String|Buffer|ArrayBuffer|File} source
+ * @return {String} `url`, `path` or `buffer`
+ */
+function getSourceKind(source) {
+    if (isUrl(source)) {
+        return 'url';
+    }
+
+    return typeof source === 'string' ? 'path' : 'buffer';
+}
+
+/**
+ * Calculate the MD5 checksum of an image source. Images from URLs have to be downloaded
+ * to calculate the checksum - the downloaded data is passed along so it can be added
+ * without downloading it again.
+ *
+ * @param {ImboClient}                     client
+ * @param {String|Buffer|ArrayBuffer|File} source   - Path, URL, buffer or file
+ * @param {String}                         kind     - Kind of source: `path`, `url` or `buffer`
+ *                                                    (including strings holding image data)
+ * @param {Function}                       callback - Called with `(err, checksum, data)`
+ */
+function getChecksum(client, source, kind, callback) {
+    if (kind === 'url') {
+        client.getImageDataFromUrl(source, function(err, data) {
+            if (err) {
+                return callback(err);
+            }
+
+            client.getImageChecksumFromBuffer(data, function(sumErr, checksum) {
+                callback(sumErr, checksum, data);
+            });
+        });
+    } else if (kind === 'path' || (typeof Blob === 'function' && source instanceof Blob)) {
+        client.getImageChecksum(source, function(err, checksum) {
+            callback(err ? new Error(String(err.message || err)) : null, checksum, null);
+        });
+    } else {
+        client.getImageChecksumFromBuffer(source, function(err, checksum) {
+            callback(err, checksum, null);
+        });
+    }
+}
+
+/**
+ * Find the images on the server with the given original checksums. Checksums are looked
+ * up in batches of a bounded size, one query at a time.
+ *
+ * @param {ImboClient} client
+ * @param {Array}      checksums
+ * @param {Function}   callback  - Called with `(err, images, response)`, where `images`
+ *                                 maps each checksum found to its image, and `response`
+ *                                 is the response to the last query
+ */
+function findByChecksums(client, checksums, callback) {
+    var unique = checksums.filter(function(checksum, i) {
+            return checksum && checksums.indexOf(checksum) === i;
+        }),
+        batches = Math.ceil(unique.length / checksumsPerQuery),
+        found = {},
+        failure = null,
+        response = null;
+
+    eachLimit(batches, 1, function(batch, next) {
+        if (failure) {
+            return next();
+        }
+
+        var batchChecksums = unique.slice(batch * checksumsPerQuery, (batch + 1) * checksumsPerQuery),
+            query = (new ImboQuery()).originalChecksums(batchChecksums).limit(batchChecksums.length);
+
+        client.getImages(query, function(err, images, search, res) {
+            if (err) {
+                failure = err;
+                return next();
+            }
+
+            (images || []).forEach(function(image) {
+                var checksum = image.originalChecksum || image.checksum;
+                if (!found[checksum]) {
+                    found[checksum] = image;
+                }
+            });
+
+            response = res;
+            next();
+        });
+    }, function() {
+        if (failure) {
+            return callback(failure);
+        }
+
+        callback(null, found, response);
+    });
+}
+
+module.exports = {
+    isUrl: isUrl,
+    getSourceKind: getSourceKind,
+    getChecksum: getChecksum,
+    findByChecksums: findByChecksums
+};
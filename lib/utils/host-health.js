@@ -0,0 +1,94 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./extend');
+
+/**
+ * Keeps track of failing hosts, marking them as unhealthy for a cool-down
+ * period once they have failed a given number of times in a row
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.maxFailures=3] Consecutive failures before a host is marked unhealthy
+ * @param {Number} [options.cooldown=30000] Milliseconds a host stays unhealthy
+ */
+var HostHealth = function(options) {
+    var opts = options || {};
+
+    this.maxFailures = opts.maxFailures || 3;
+    this.cooldown = opts.cooldown || 30000;
+    this.failures = {};
+    this.unhealthyUntil = {};
+};
+
+extend(HostHealth.prototype, {
+    /**
+     * Register a failed request against the given host
+     *
+     * @param  {String} host
+     * @return {HostHealth}
+     */
+    markFailure: function(host) {
+        this.failures[host] = (this.failures[host] || 0) + 1;
+
+        if (this.failures[host] >= this.maxFailures) {
+            this.unhealthyUntil[host] = Date.now() + this.cooldown;
+            this.failures[host] = 0;
+        }
+
+        return this;
+    },
+
+    /**
+     * Register a successful request against the given host
+     *
+     * @param  {String} host
+     * @return {HostHealth}
+     */
+    markSuccess: function(host) {
+        delete this.failures[host];
+        delete this.unhealthyUntil[host];
+        return this;
+    },
+
+    /**
+     * Check whether the given host is considered healthy
+     *
+     * @param  {String} host
+     * @return {Boolean}
+     */
+    isHealthy: function(host) {
+        var until = this.unhealthyUntil[host];
+        return !until || until <= Date.now();
+    },
+
+    /**
+     * Pick the host at the given index, or the next healthy host if it is
+     * unhealthy. Falls back to the host at the given index if none are healthy.
+     *
+     * @param  {Array}  hosts
+     * @param  {Number} index
+     * @param  {Array}  [exclude] Hosts which should not be picked
+     * @return {String|null}
+     */
+    pick: function(hosts, index, exclude) {
+        var skip = exclude || [];
+
+        for (var i = 0; i < hosts.length; i++) {
+            var host = hosts[(index + i) % hosts.length];
+            if (skip.indexOf(host) === -1 && this.isHealthy(host)) {
+                return host;
+            }
+        }
+
+        return skip.length ? null : hosts[index];
+    }
+});
+
+module.exports = HostHealth;
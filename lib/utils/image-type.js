@@ -0,0 +1,194 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./extend');
+
+// Number of bytes needed to recognize the built-in image types
+var headerLength = 16;
+
+// Magic bytes of the image types recognized out of the box. `null` matches any byte.
+var signatures = {
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38, 0x37, 0x61], [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]],
+    'image/tiff': [[0x49, 0x49, 0x2a, 0x00], [0x4d, 0x4d, 0x00, 0x2a]]
+};
+
+var defaultTypes = ['image/jpeg', 'image/png', 'image/gif'];
+
+/**
+ * Get the first bytes of the given data as an array of numbers
+ *
+ * @param  {Buffer|ArrayBuffer|Uint8Array|String} data
+ * @return {Array}
+ */
+function getBytes(data) {
+    var length = Math.min(headerLength, typeof data.byteLength === 'number' ? data.byteLength : data.length),
+        bytes = [],
+        view = data;
+
+    if (typeof ArrayBuffer !== 'undefined' && data instanceof ArrayBuffer) {
+        view = new Uint8Array(data, 0, length);
+    }
+
+    for (var i = 0; i < length; i++) {
+        bytes.push(typeof view === 'string' ? view.charCodeAt(i) % 256 : view[i]);
+    }
+
+    return bytes;
+}
+
+/**
+ * Get the size of the given data, in bytes
+ *
+ * @param  {Buffer|ArrayBuffer|Uint8Array|String} data
+ * @return {Number}
+ */
+function getSize(data) {
+    return typeof data.byteLength === 'number' ? data.byteLength : data.length;
+}
+
+/**
+ * Check if the bytes start with the given signature
+ *
+ * @param  {Array} bytes
+ * @param  {Array} signature
+ * @return {Boolean}
+ */
+function matches(bytes, signature) {
+    if (bytes.length < signature.length) {
+        return false;
+    }
+
+    for (var i = 0; i < signature.length; i++) {
+        if (signature[i] !== null && signature[i] !== bytes[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Detect the MIME type of an image from its first bytes
+ *
+ * @param  {Buffer|ArrayBuffer|Uint8Array|String} data
+ * @param  {Object} [extraTypes] Additional signatures, mapping MIME types to arrays of bytes
+ * @return {String|null}
+ */
+function detect(data, extraTypes) {
+    var bytes = getBytes(data),
+        known = extend(extend({}, signatures), extraTypes);
+
+    var types = Object.keys(known);
+    for (var i = 0; i < types.length; i++) {
+        var sigs = known[types[i]];
+
+        // Extra types can be given with a single signature
+        sigs = typeof sigs[0] === 'number' || sigs[0] === null ? [sigs] : sigs;
+
+        for (var j = 0; j < sigs.length; j++) {
+            if (matches(bytes, sigs[j])) {
+                return types[i];
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Create the error passed to callbacks when an image fails validation
+ *
+ * @param  {String} message
+ * @param  {String} type
+ * @param  {Number} size
+ * @return {Error}
+ */
+function createValidationError(message, type, size) {
+    var err = new Error(message);
+    err.code = 'EINVALIDIMAGE';
+    err.detectedType = type;
+    err.size = size;
+    return err;
+}
+
+/**
+ * Normalize the `validateImages` option of the client
+ *
+ * @param  {Boolean|Object} options
+ * @return {Object|null}
+ */
+function getOptions(options) {
+    if (!options) {
+        return null;
+    }
+
+    var opts = extend({
+        types: defaultTypes,
+        extraTypes: {},
+        maxSize: null
+    }, options === true ? {} : options);
+
+    opts.types = opts.types.concat(Object.keys(opts.extraTypes));
+    return opts;
+}
+
+/**
+ * Validate an image using the first bytes of it and its total size. Returns an error
+ * describing the problem, or `null` if the image is valid.
+ *
+ * @param  {Buffer|ArrayBuffer|Uint8Array|String} header  - The first bytes of the image (or all of it)
+ * @param  {Number}                               size    - Size of the image, in bytes
+ * @param  {Object}                               options - Options, as returned by `getOptions()`
+ * @return {Error|null}
+ */
+function validate(header, size, options) {
+    if (!size) {
+        return createValidationError('Image is empty', null, 0);
+    }
+
+    var type = detect(header, options.extraTypes);
+
+    if (!type) {
+        return createValidationError(
+            'Unrecognized image data - expected one of: ' + options.types.join(', '),
+            null,
+            size
+        );
+    }
+
+    if (options.types.indexOf(type) === -1) {
+        return createValidationError(
+            'Unsupported image type ' + type + ' - expected one of: ' + options.types.join(', '),
+            type,
+            size
+        );
+    }
+
+    if (options.maxSize && size > options.maxSize) {
+        return createValidationError(
+            'Image is too large: ' + size + ' bytes exceeds the maximum of ' + options.maxSize + ' bytes',
+            type,
+            size
+        );
+    }
+
+    return null;
+}
+
+module.exports = {
+    headerLength: headerLength,
+    getSize: getSize,
+    detect: detect,
+    getOptions: getOptions,
+    validate: validate
+};
@@ -0,0 +1,83 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./extend');
+
+/**
+ * Check if the given value can be used as a callback (a function or an
+ * object with an `onComplete` function, as used by the upload methods)
+ *
+ * @param  {*} value
+ * @return {Boolean}
+ */
+function isCallback(value) {
+    return typeof value === 'function' || Boolean(
+        value && typeof value === 'object' && typeof value.onComplete === 'function'
+    );
+}
+
+/**
+ * Wrap a callback-based method so that it returns a promise when called without
+ * a callback. When the callback yields a single value, the promise resolves with
+ * that value - otherwise it resolves with an object keyed by the given names.
+ *
+ * @param  {Function} method        - Method to wrap
+ * @param  {Number}   callbackIndex - Position of the callback argument
+ * @param  {Array}    names         - Names of the values passed to the callback (after `err`)
+ * @return {Function}
+ */
+module.exports = function promisify(method, callbackIndex, names) {
+    return function promisified() {
+        var args = Array.prototype.slice.call(arguments);
+
+        // Called with a callback? Use the regular, callback-based behaviour
+        if (args.some(isCallback)) {
+            return method.apply(this, args);
+        }
+
+        if (typeof Promise === 'undefined') {
+            throw new Error('No callback given, and no `Promise` implementation is available');
+        }
+
+        var resolve, reject;
+        var promise = new Promise(function(res, rej) {
+            resolve = res;
+            reject = rej;
+        });
+
+        var onComplete = function(err) {
+            if (err) {
+                return reject(err);
+            }
+
+            if (names.length === 1) {
+                return resolve(arguments[1]);
+            }
+
+            var result = {};
+            for (var i = 0; i < names.length; i++) {
+                result[names[i]] = arguments[i + 1];
+            }
+
+            resolve(result);
+        };
+
+        // Allow passing an object with (for instance) an `onProgress` handler
+        var callbackArg = args[callbackIndex];
+        args[callbackIndex] = callbackArg && typeof callbackArg === 'object' ?
+            extend(extend({}, callbackArg), { onComplete: onComplete }) :
+            onComplete;
+
+        // Invalid arguments throw synchronously, just as with callbacks
+        method.apply(this, args);
+
+        return promise;
+    };
+};
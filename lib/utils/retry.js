@@ -0,0 +1,81 @@
+/**
+ * This file is part of the imboclient-js package
+ *
+ * (c) Espen Hovlandsdal <espen@hovlandsdal.com>
+ *
+ * For the full copyright and license information, please view the LICENSE file that was
+ * distributed with this source code.
+ */
+'use strict';
+
+var extend = require('./extend');
+
+// Default retry policy - a single attempt, meaning requests are not retried
+var defaults = {
+    attempts: 1,
+    minDelay: 100,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    statusCodes: [502, 503, 504],
+    errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EXHR', 'EFETCH']
+};
+
+/**
+ * Get a complete retry policy, filling in defaults for any missing options
+ *
+ * @param  {Object}   [options]
+ * @param  {Number}   [options.attempts=1]     Maximum number of attempts, including the first one
+ * @param  {Number}   [options.minDelay=100]   Delay before the first retry, in milliseconds
+ * @param  {Number}   [options.maxDelay=10000] Upper bound for the delay between attempts, in milliseconds
+ * @param  {Number}   [options.factor=2]       Factor to multiply the delay with for each attempt
+ * @param  {Boolean}  [options.jitter=true]    Whether to randomize the delay between attempts
+ * @param  {Array}    [options.statusCodes]    HTTP status codes that should be retried
+ * @param  {Array}    [options.errorCodes]     Network error codes that should be retried
+ * @return {Object}
+ */
+exports.getPolicy = function(options) {
+    return extend(extend({}, defaults), options || {});
+};
+
+/**
+ * Check whether a failed attempt should be retried
+ *
+ * @param  {Object} policy
+ * @param  {Number} attempt - Number of attempts performed so far
+ * @param  {Error}  err
+ * @param  {Object} [res]
+ * @return {Boolean}
+ */
+exports.shouldRetry = function(policy, attempt, err, res) {
+    if (attempt >= policy.attempts) {
+        return false;
+    }
+
+    if (res && res.statusCode) {
+        return policy.statusCodes.indexOf(res.statusCode) > -1;
+    }
+
+    return Boolean(err && err.code && policy.errorCodes.indexOf(err.code) > -1);
+};
+
+/**
+ * Get the number of milliseconds to wait before the next attempt,
+ * using exponential backoff with optional jitter
+ *
+ * @param  {Object} policy
+ * @param  {Number} attempt - Number of attempts performed so far
+ * @return {Number}
+ */
+exports.getDelay = function(policy, attempt) {
+    var delay = Math.min(
+        policy.maxDelay,
+        policy.minDelay * Math.pow(policy.factor, attempt - 1)
+    );
+
+    if (policy.jitter) {
+        delay = delay / 2 + Math.random() * delay / 2;
+    }
+
+    return Math.round(delay);
+};
@@ -0,0 +1,284 @@
+'use strict';
+
+var BatchUpload = require('../../lib/batch-upload'),
+    assert = require('assert');
+
+describe('BatchUpload', function() {
+    var calls, inFlight, maxInFlight, queries, existing, client;
+
+    var upload = function(method) {
+        return function(input, callbacks) {
+            calls.push({ method: method, input: input });
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+
+            setImmediate(function() {
+                callbacks.onProgress({ loaded: 1, total: 2 });
+
+                setImmediate(function() {
+                    inFlight--;
+
+                    if (String(input).indexOf('fail') !== -1) {
+                        return callbacks.onComplete(new Error('HTTP 400 Bad Request'), null);
+                    }
+
+                    callbacks.onComplete(null, 'id-' + input, { imageIdentifier: 'id-' + input });
+                });
+            });
+        };
+    };
+
+    beforeEach(function() {
+        calls = [];
+        inFlight = 0;
+        maxInFlight = 0;
+        queries = [];
+        existing = [];
+
+        client = {
+            addImage: upload('addImage'),
+            addImageFromUrl: upload('addImageFromUrl'),
+            addImageFromBuffer: upload('addImageFromBuffer'),
+            getImageChecksum: function(file, callback) {
+                setImmediate(callback, null, 'sum-' + file);
+            },
+            getImageChecksumFromBuffer: function(buffer, callback) {
+                setImmediate(callback, null, 'sum-' + buffer.toString());
+            },
+            getImageDataFromUrl: function(url, callback) {
+                setImmediate(callback, null, new Buffer(url.replace(/.*\//, '')));
+            },
+            getImages: function(query, callback) {
+                queries.push(query.originalChecksums());
+
+                setImmediate(function() {
+                    var images = existing.filter(function(image) {
+                        return query.originalChecksums().indexOf(image.originalChecksum) !== -1;
+                    });
+
+                    callback(null, images, { hits: images.length });
+                });
+            }
+        };
+    });
+
+    it('should pick the upload method based on the type of input', function(done) {
+        var buffer = new Buffer('image');
+
+        (new BatchUpload(client, ['/tmp/cat.jpg', 'https://example.com/cat.jpg', buffer])).start(function(err) {
+            assert.ifError(err);
+            assert.deepEqual(['addImage', 'addImageFromUrl', 'addImageFromBuffer'], calls.map(function(call) {
+                return call.method;
+            }));
+            assert.equal(buffer, calls[2].input);
+            done();
+        });
+    });
+
+    it('should limit the number of concurrent uploads', function(done) {
+        var inputs = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+        (new BatchUpload(client, inputs, { concurrency: 3 })).start(function(err, results) {
+            assert.ifError(err);
+            assert.equal(3, maxInFlight);
+            assert.equal(7, results.length);
+            done();
+        });
+    });
+
+    it('should report results in the order of the inputs, including failures', function(done) {
+        (new BatchUpload(client, ['a', 'fail', 'b'], { concurrency: 2 })).start(function(err, results) {
+            assert.ifError(err);
+            assert.deepEqual({ input: 'a', imageIdentifier: 'id-a', error: null, skipped: false }, results[0]);
+            assert.equal('fail', results[1].input);
+            assert.equal(null, results[1].imageIdentifier);
+            assert(results[1].error.message.match(/\b400\b/));
+            assert.deepEqual({ input: 'b', imageIdentifier: 'id-b', error: null, skipped: false }, results[2]);
+            done();
+        });
+    });
+
+    it('should call the progress, success and failure handlers for each input', function(done) {
+        var events = [];
+
+        (new BatchUpload(client, ['a', 'fail'], {
+            onProgress: function(input, event, index) {
+                events.push(['progress', input, event.loaded, index]);
+            },
+            onSuccess: function(input, imageIdentifier, index, body) {
+                events.push(['success', input, imageIdentifier, index, body.imageIdentifier]);
+            },
+            onFailure: function(input, err, index) {
+                events.push(['failure', input, err.message, index]);
+            }
+        })).start(function() {
+            assert.deepEqual([
+                ['progress', 'a', 1, 0],
+                ['progress', 'fail', 1, 1],
+                ['success', 'a', 'id-a', 0, 'id-a'],
+                ['failure', 'fail', 'HTTP 400 Bad Request', 1]
+            ], events);
+            done();
+        });
+    });
+
+    it('should report invalid inputs as failures without stopping the batch', function(done) {
+        (new BatchUpload(client, [null, 'a'])).start(function(err, results) {
+            assert.ifError(err);
+            assert(results[0].error.message.match(/Invalid input/));
+            assert.equal('id-a', results[1].imageIdentifier);
+            done();
+        });
+    });
+
+    it('should complete with an empty list of results when given no inputs', function(done) {
+        (new BatchUpload(client, [])).start(function(err, results) {
+            assert.ifError(err);
+            assert.deepEqual([], results);
+            done();
+        });
+    });
+
+    describe('with skipIfExists', function() {
+        beforeEach(function() {
+            existing = [
+                { imageIdentifier: 'existing-a', originalChecksum: 'sum-a' },
+                { imageIdentifier: 'existing-c', originalChecksum: 'sum-c' }
+            ];
+        });
+
+        it('should look up all checksums using a single query, and URLs when uploading them', function(done) {
+            var inputs = ['a', new Buffer('b'), 'http://example.com/c', 'http://example.com/d'];
+
+            (new BatchUpload(client, inputs, { skipIfExists: true })).start(function(err) {
+                assert.ifError(err);
+                assert.deepEqual([['sum-a', 'sum-b'], ['sum-c'], ['sum-d']], queries);
+                done();
+            });
+        });
+
+        it('should look up large numbers of checksums in bounded batches', function(done) {
+            var inputs = [];
+            for (var i = 0; i < 120; i++) {
+                inputs.push(i === 110 ? 'a' : 'file-' + i);
+            }
+
+            (new BatchUpload(client, inputs, { skipIfExists: true })).start(function(err, results) {
+                assert.ifError(err);
+                assert.deepEqual([50, 50, 20], queries.map(function(checksums) {
+                    return checksums.length;
+                }));
+                assert.equal('sum-file-0', queries[0][0]);
+                assert.equal('sum-file-119', queries[2][19]);
+                assert.equal('existing-a', results[110].imageIdentifier);
+                assert.equal(true, results[110].skipped);
+                assert.equal(119, calls.length);
+                done();
+            });
+        });
+
+        it('should only keep images from URLs in memory while uploading them', function(done) {
+            var downloads = 0,
+                getImageDataFromUrl = client.getImageDataFromUrl;
+
+            client.getImageDataFromUrl = function(url, callback) {
+                downloads++;
+                assert(downloads - calls.length <= 1, 'images should be downloaded right before uploading them');
+                getImageDataFromUrl(url, callback);
+            };
+
+            var inputs = ['d', 'e', 'f', 'g'].map(function(name) {
+                return 'http://example.com/' + name;
+            });
+
+            (new BatchUpload(client, inputs, { skipIfExists: true, concurrency: 1 })).start(function(err, results) {
+                assert.ifError(err);
+                assert.equal(4, downloads);
+                assert.deepEqual(['d', 'e', 'f', 'g'], calls.map(function(call) {
+                    return call.input.toString();
+                }));
+                assert.equal('id-e', results[1].imageIdentifier);
+                done();
+            });
+        });
+
+        it('should only upload images which do not exist', function(done) {
+            var inputs = ['a', 'b', 'http://example.com/c'];
+
+            (new BatchUpload(client, inputs, { skipIfExists: true })).start(function(err, results) {
+                assert.ifError(err);
+                assert.deepEqual(['b'], calls.map(function(call) {
+                    return call.input;
+                }));
+
+                assert.deepEqual({ input: 'a', imageIdentifier: 'existing-a', error: null, skipped: true }, results[0]);
+                assert.deepEqual({ input: 'b', imageIdentifier: 'id-b', error: null, skipped: false }, results[1]);
+                assert.equal('existing-c', results[2].imageIdentifier);
+                assert.equal(true, results[2].skipped);
+                done();
+            });
+        });
+
+        it('should upload the downloaded data of URLs which do not exist', function(done) {
+            existing = [];
+
+            (new BatchUpload(client, ['http://example.com/d'], { skipIfExists: true })).start(function(err) {
+                assert.ifError(err);
+                assert.equal('addImageFromBuffer', calls[0].method);
+                assert.equal('d', calls[0].input.toString());
+                done();
+            });
+        });
+
+        it('should call the success handler for skipped images', function(done) {
+            var skipped = [];
+
+            (new BatchUpload(client, ['a'], {
+                skipIfExists: true,
+                onSuccess: function(input, imageIdentifier, index, body) {
+                    skipped.push([input, imageIdentifier, body.originalChecksum]);
+                }
+            })).start(function() {
+                assert.deepEqual([['a', 'existing-a', 'sum-a']], skipped);
+                done();
+            });
+        });
+
+        it('should fail inputs whose checksum could not be calculated', function(done) {
+            client.getImageChecksum = function(file, callback) {
+                setImmediate(callback, new Error('File does not exist'));
+            };
+
+            (new BatchUpload(client, ['b', new Buffer('c')], { skipIfExists: true })).start(function(err, results) {
+                assert.ifError(err);
+                assert(results[0].error.message.match(/does not exist/));
+                assert.equal('existing-c', results[1].imageIdentifier);
+                assert.deepEqual([['sum-c']], queries);
+                done();
+            });
+        });
+    });
+
+    it('should throw on invalid arguments', function() {
+        assert.throws(function() {
+            return new BatchUpload(client, 'a');
+        }, /inputs/);
+
+        assert.throws(function() {
+            return new BatchUpload(client, [], { concurrency: -1 });
+        }, /concurrency/);
+    });
+
+    it('should throw on a concurrency of zero or which is not a number', function() {
+        [0, NaN, Infinity, '4', null, 0.5].forEach(function(concurrency) {
+            assert.throws(function() {
+                return new BatchUpload(client, [], { concurrency: concurrency });
+            }, /concurrency/, 'concurrency: ' + concurrency);
+        });
+    });
+
+    it('should default to a concurrency of 4', function() {
+        assert.equal(4, (new BatchUpload(client, [])).concurrency);
+        assert.equal(2, (new BatchUpload(client, [], { concurrency: 2.5 })).concurrency);
+    });
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+var fetchRequest = require('../../lib/browser/fetch'),
+    browserRequest = require('../../lib/browser/request'),
+    assert = require('assert');
+
+describe('fetch transport (browser)', function() {
+    var originalFetch = global.fetch,
+        calls;
+
+    var createResponse = function(status, body, headers) {
+        var responseHeaders = headers || {};
+
+        return {
+            status: status,
+            statusText: status === 200 ? 'OK' : 'Not Found',
+            headers: {
+                forEach: function(fn) {
+                    Object.keys(responseHeaders).forEach(function(key) {
+                        fn(responseHeaders[key], key);
+                    });
+                }
+            },
+            text: function() {
+                return Promise.resolve(body);
+            },
+            arrayBuffer: function() {
+                return Promise.resolve(new Buffer(body).buffer);
+            }
+        };
+    };
+
+    var mockFetch = function(response) {
+        global.fetch = function(uri, init) {
+            calls.push({ uri: uri, init: init });
+            return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+        };
+    };
+
+    beforeEach(function() {
+        calls = [];
+    });
+
+    afterEach(function() {
+        global.fetch = originalFetch;
+    });
+
+    it('should return a normalized response', function(done) {
+        mockFetch(createResponse(200, 'foo', { 'Content-Type': 'text/plain' }));
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/status.json' }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal('OK', res.statusMessage);
+            assert.equal('text/plain', res.headers['content-type']);
+            assert.equal('foo', body);
+            done();
+        });
+    });
+
+    it('should not treat error statuses as transport errors', function(done) {
+        mockFetch(createResponse(404, '{"error":{}}'));
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/status.json', json: true }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(404, res.statusCode);
+            assert.deepEqual({ error: {} }, body);
+            done();
+        });
+    });
+
+    it('should serialize JSON payloads and skip disallowed headers', function(done) {
+        mockFetch(createResponse(200, '{"foo":"bar"}'));
+
+        fetchRequest({
+            method: 'PUT',
+            uri: 'http://imbo/users/pub/images/foo/metadata',
+            json: { foo: 'bar' },
+            headers: { 'User-Agent': 'imboclient-js', 'X-Foo': 'bar' }
+        }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal('bar', body.foo);
+            assert.equal('PUT', calls[0].init.method);
+            assert.equal('{"foo":"bar"}', calls[0].init.body);
+            assert.equal('application/json', calls[0].init.headers['Content-Type']);
+            assert.equal('application/json', calls[0].init.headers.Accept);
+            assert.equal('bar', calls[0].init.headers['X-Foo']);
+            assert.equal(-1, Object.keys(calls[0].init.headers).indexOf('User-Agent'));
+            done();
+        });
+    });
+
+    it('should return binary data as an ArrayBuffer when encoding is null', function(done) {
+        mockFetch(createResponse(200, 'binary'));
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/image.jpg', encoding: null }, function(err, res, body) {
+            assert.ifError(err);
+            assert(body instanceof ArrayBuffer);
+            done();
+        });
+    });
+
+    it('should pass network errors with an EFETCH code', function(done) {
+        mockFetch(new TypeError('Failed to fetch'));
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/status.json' }, function(err) {
+            assert(err);
+            assert.equal('EFETCH', err.code);
+            done();
+        });
+    });
+
+    it('should fail with a timeout error if no response is received in time', function(done) {
+        global.fetch = function() {
+            return new Promise(function() {});
+        };
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/status.json', timeout: 10 }, function(err) {
+            assert(err);
+            assert.equal('ETIMEDOUT', err.code);
+            done();
+        });
+    });
+
+    it('should not call the callback after being aborted', function(done) {
+        mockFetch(createResponse(200, 'foo'));
+
+        fetchRequest({ method: 'GET', uri: 'http://imbo/status.json' }, function() {
+            throw new Error('Callback should not be called');
+        }).abort();
+
+        setTimeout(done, 20);
+    });
+
+    describe('transport selection', function() {
+        var originalXhr = global.XMLHttpRequest;
+
+        afterEach(function() {
+            global.XMLHttpRequest = originalXhr;
+        });
+
+        it('should use fetch for uploads with progress handlers when XMLHttpRequest is unavailable', function(done) {
+            delete global.XMLHttpRequest;
+            mockFetch(createResponse(201, '{"imageIdentifier":"abc"}'));
+
+            browserRequest({
+                method: 'POST',
+                uri: 'http://imbo/users/pub/images',
+                body: 'image data',
+                json: true,
+                onProgress: function() {}
+            }, function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(1, calls.length);
+                assert.equal(201, res.statusCode);
+                assert.equal('abc', body.imageIdentifier);
+                done();
+            });
+        });
+
+        it('should use XMLHttpRequest for uploads with progress handlers when available', function() {
+            var opened = [];
+
+            mockFetch(createResponse(200, '{}'));
+            global.XMLHttpRequest = function() {
+                this.upload = { addEventListener: function() {} };
+                this.open = function(method, uri) {
+                    opened.push(uri);
+                };
+                this.setRequestHeader = function() {};
+                this.send = function() {};
+                this.abort = function() {};
+            };
+
+            browserRequest({
+                method: 'POST',
+                uri: 'http://imbo/users/pub/images',
+                body: 'image data',
+                onProgress: function() {}
+            }, function() {});
+
+            assert.deepEqual(['http://imbo/users/pub/images'], opened);
+            assert.equal(0, calls.length);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+var toBrowserPaths = require('../../lib/utils/browser-paths'),
+    assert = require('assert'),
+    path = require('path'),
+    fs = require('fs');
+
+var root = path.join(__dirname, '..', '..'),
+    nodeDir = path.join(root, 'lib', 'node'),
+    browserDir = path.join(root, 'lib', 'browser');
+
+var getSourceFiles = function(dir) {
+    return fs.readdirSync(dir).reduce(function(files, name) {
+        var file = path.join(dir, name);
+
+        if (fs.statSync(file).isDirectory()) {
+            return file === nodeDir || file === browserDir ? files : files.concat(getSourceFiles(file));
+        }
+
+        return /\.js$/.test(name) && !/\.min\.js$/.test(name) ? files.concat(file) : files;
+    }, []);
+};
+
+var getRequiredFiles = function(file) {
+    var source = toBrowserPaths(fs.readFileSync(file, 'utf8')),
+        pattern = /require\('(\.[^']+)'\)/g,
+        files = [],
+        match;
+
+    while ((match = pattern.exec(source))) {
+        files.push(path.resolve(path.dirname(file), match[1]));
+    }
+
+    return files;
+};
+
+describe('browser paths', function() {
+    it('should rewrite paths relative to lib', function() {
+        assert.equal('./browser/request', toBrowserPaths('./node/request'));
+        assert.equal('../browser/crypto', toBrowserPaths('../node/crypto'));
+    });
+
+    it('should rewrite paths relative to the package root', function() {
+        assert.equal('./lib/browser/middleware', toBrowserPaths('./lib/node/middleware'));
+    });
+
+    it('should resolve the signing middleware to the browser stub', function() {
+        var middleware = getRequiredFiles(path.join(root, 'index.js')).filter(function(file) {
+            return /middleware$/.test(file);
+        });
+
+        assert.deepEqual([path.join(browserDir, 'middleware')], middleware);
+    });
+
+    it('should not include node-specific components in the browser build', function() {
+        var files = [path.join(root, 'index.js')].concat(getSourceFiles(path.join(root, 'lib')));
+
+        files.forEach(function(file) {
+            getRequiredFiles(file).forEach(function(required) {
+                assert.notEqual(nodeDir, path.dirname(required), file + ' requires ' + required);
+
+                if (path.dirname(required) === browserDir) {
+                    assert(fs.existsSync(required + '.js'), required + ' does not exist');
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+var xhrRequest = require('../../lib/browser/xhr'),
+    dispatch = require('../../lib/utils/dispatch'),
+    ImboError = require('../../lib/imbo-error'),
+    assert = require('assert');
+
+describe('XMLHttpRequest transport (browser)', function() {
+    var originalXhr = global.XMLHttpRequest,
+        response;
+
+    beforeEach(function() {
+        response = { status: 200, statusText: 'OK', responseText: '' };
+
+        global.XMLHttpRequest = function() {
+            var self = this;
+
+            this.upload = { addEventListener: function() {} };
+            this.open = function() {};
+            this.setRequestHeader = function() {};
+            this.abort = function() {};
+            this.getAllResponseHeaders = function() {
+                return 'Content-Type: text/html';
+            };
+            this.send = function() {
+                setImmediate(function() {
+                    self.readyState = 4;
+                    self.status = response.status;
+                    self.statusText = response.statusText;
+                    self.responseText = response.responseText;
+                    self.onreadystatechange();
+                });
+            };
+        };
+    });
+
+    afterEach(function() {
+        global.XMLHttpRequest = originalXhr;
+    });
+
+    it('should parse JSON responses', function(done) {
+        response.responseText = '{"imageIdentifier":"abc"}';
+
+        xhrRequest({ method: 'GET', uri: 'http://imbo/users/pub', json: true }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal('text/html', res.headers['content-type']);
+            assert.equal('abc', body.imageIdentifier);
+            done();
+        });
+    });
+
+    it('should not throw on JSON requests with bodies which are not JSON', function(done) {
+        response = { status: 502, statusText: 'Bad Gateway', responseText: '<html>Bad Gateway</html>' };
+
+        xhrRequest({ method: 'GET', uri: 'http://imbo/users/pub', json: true }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(502, res.statusCode);
+            assert.equal(null, body);
+            done();
+        });
+    });
+
+    it('should produce an ImboError for error responses which are not JSON', function(done) {
+        response = { status: 502, statusText: 'Bad Gateway', responseText: '' };
+
+        dispatch({
+            transport: xhrRequest,
+            method: 'GET',
+            uri: 'http://imbo/users/pub',
+            json: true,
+            onComplete: function(err) {
+                assert(err instanceof ImboError);
+                assert.equal(502, err.statusCode);
+                assert.equal('HTTP 502 Bad Gateway', err.message);
+                done();
+            }
+        });
+    });
+});
@@ -1,8 +1,12 @@
 'use strict';
 
 var assert = require('assert'),
+    crypto = require('crypto'),
     fs = require('fs'),
+    http = require('http'),
     path = require('path'),
+    servers = require('../servers'),
+    extend = require('../../lib/utils/extend'),
     Imbo = require('../../');
 
 var fixtures = path.join(__dirname, '..', 'fixtures'),
@@ -66,15 +70,17 @@ describe('ImboClient', function() {
         });
 
         it('should throw on invalid privateKey', function() {
-            assert.throws(function() {
-                client = new Imbo.Client({ hosts: ['foo'], publicKey: 'foo', privateKey: '' });
-            }, /privateKey/);
-
             assert.throws(function() {
                 client = new Imbo.Client({ hosts: ['foo'], publicKey: 'foo', privateKey: [] });
             }, /privateKey/);
         });
 
+        it('should not require a private key', function() {
+            client = new Imbo.Client({ hosts: ['http://imbo'], publicKey: 'foo', privateKey: '' });
+            assert.equal(null, client.options.signer);
+            assert.equal('http://imbo/users/foo', client.getUserUrl().toString());
+        });
+
         it('should throw on invalid user', function() {
             assert.throws(function() {
                 client = new Imbo.Client({ hosts: ['foo'], publicKey: 'foo', privateKey: 'bar', user: [] });
@@ -549,298 +555,1597 @@ describe('ImboClient', function() {
         });
     });
 
-    describe('#getHostForImageIdentifier', function() {
-        it('should return the same host for the same image identifiers every time', function() {
-            for (var i = 0; i < 10; i++) {
-                assert.equal('http://imbo1', client.getHostForImageIdentifier('61ca9892205a0d5077a353eb3487e8c8'));
-                assert.equal('http://imbo2', client.getHostForImageIdentifier('3b71c51547c3aa1ae81a5e9c57dfef67'));
-                assert.equal('http://imbo1', client.getHostForImageIdentifier('61ca9892205a0d5077a353eb3487e8c8'));
-                assert.equal('http://imbo', client.getHostForImageIdentifier('3faab4bb128b56bd7d7e977164b3cc7f'));
-            }
+    describe('#getSignedResourceHeaders', function() {
+        it('should generate valid authentication headers', function() {
+            var auth = client.getSignedResourceHeaders('PUT', '/images/' + catMd5 + '/meta', new Date(1349268217000));
+            assert.equal(auth.url, '/images/' + catMd5 + '/meta');
+            assert.deepEqual(auth.headers, {
+                'X-Imbo-Authenticate-Signature': 'afd4c4de76a95d5ed5c23a908278cab40817012a5a5c750d971177d3cba97bf5',
+                'X-Imbo-Authenticate-Timestamp': '2012-10-03T12:43:37Z'
+            });
+        });
+
+        it('should add a public key if user and public key differs', function() {
+            client = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'foo', privateKey: 'bar', user: 'someuser' });
+            var auth = client.getSignedResourceHeaders('PUT', '/images/' + catMd5 + '/meta', new Date(1349268217000));
+            assert.equal(auth.url, '/images/' + catMd5 + '/meta?publicKey=foo');
+            assert.equal(
+                auth.headers['X-Imbo-Authenticate-Signature'],
+                '9e16eee7c7b997e006c1843cefed174e0f0aef142dbf80abc8c4a94c83dd2b2a'
+            );
         });
     });
 
-    describe('#headImage()', function() {
-        it('should return error on a 404-response', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(404);
+    describe('header signing', function() {
+        var server, received;
+
+        beforeEach(function(done) {
+            received = null;
+            server = http.createServer(function(req, res) {
+                received = req;
+                req.resume();
+                req.on('end', function() {
+                    res.writeHead(req.method === 'POST' ? 201 : 200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ imageIdentifier: catMd5 }));
+                });
+            }).listen(6778, '127.0.0.1', done);
 
-            client.headImage(catMd5, function(err) {
-                assert(err);
-                assert(err.message.match(/\b404\b/));
-                done();
+            client = new Imbo.Client({
+                hosts: 'http://127.0.0.1:6778',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                signWithHeaders: true
             });
         });
 
-        it('should return error on a 503-response', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(503);
+        afterEach(function(done) {
+            server.close(done);
+        });
 
-            client.headImage(catMd5, function(err) {
-                assert(err);
-                assert(err.message.match(/\b503\b/));
+        it('should sign write requests using headers instead of the query string', function(done) {
+            client.deleteImage(catMd5, function(err, res) {
+                assert.ifError(err);
+                assert.equal(200, res.statusCode);
+                assert.equal(-1, received.url.indexOf('signature='));
+                assert.equal(-1, received.url.indexOf('timestamp='));
+                assert(/^[a-f0-9]{64}$/.test(received.headers['x-imbo-authenticate-signature']));
+                assert(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(
+                    received.headers['x-imbo-authenticate-timestamp']
+                ));
                 done();
             });
         });
 
-        it('should not return an error on a 200-response', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(200);
-
-            client.headImage(catMd5, function(err) {
-                assert.ifError(err, 'headImage should not give an error on success');
+        it('should keep existing headers on signed requests', function(done) {
+            client.addImageFromBuffer(fs.readFileSync(fixtures + '/cat.jpg'), function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                assert.equal('imboclient-js', received.headers['user-agent']);
+                assert(/^[a-f0-9]{64}$/.test(received.headers['x-imbo-authenticate-signature']));
                 done();
             });
         });
+    });
 
-        it('should return an http-response on success', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(200, 'OK', { 'X-Imbo-Imageidentifier': catMd5 });
+    describe('upload progress', function() {
+        var server, received, events;
 
-            client.headImage(catMd5, function(err, res) {
-                assert.ifError(err);
-                assert.equal(res.headers['x-imbo-imageidentifier'], catMd5);
-                done();
+        var onProgress = function(event) {
+            events.push(event);
+        };
+
+        beforeEach(function(done) {
+            received = null;
+            events = [];
+            server = http.createServer(function(req, res) {
+                if (req.method === 'GET') {
+                    return fs.createReadStream(path.join(fixtures, 'cat.jpg')).pipe(res);
+                }
+
+                received = { headers: req.headers, length: 0 };
+                req.on('data', function(chunk) {
+                    received.length += chunk.length;
+                });
+                req.on('end', function() {
+                    res.writeHead(201, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ imageIdentifier: catMd5 }));
+                });
+            }).listen(6778, '127.0.0.1', done);
+
+            client = new Imbo.Client({ hosts: 'http://127.0.0.1:6778', publicKey: 'pub', privateKey: 'priv' });
+        });
+
+        afterEach(function(done) {
+            server.close(done);
+        });
+
+        it('should report progress while sending buffers', function(done) {
+            var buffer = new Buffer(200 * 1024);
+            buffer.fill(1);
+
+            client.addImageFromBuffer(buffer, {
+                onProgress: onProgress,
+                onComplete: function(err, imageIdentifier) {
+                    assert.ifError(err);
+                    assert.equal(catMd5, imageIdentifier);
+                    assert.equal(buffer.length, received.length);
+                    assert.equal(String(buffer.length), received.headers['content-length']);
+
+                    assert(events.length > 1);
+                    events.reduce(function(loaded, event) {
+                        assert(event.loaded > loaded);
+                        assert.equal(true, event.lengthComputable);
+                        assert.equal(buffer.length, event.total);
+                        return event.loaded;
+                    }, 0);
+                    assert.equal(buffer.length, events[events.length - 1].loaded);
+                    done();
+                }
             });
         });
 
-        it('should return error when host could not be reached', function(done) {
-            this.timeout(10000);
-            errClient.headImage(catMd5, function(err) {
-                assert.ok(err, 'headImage should give error if host is unreachable');
-                done();
+        it('should report progress while sending files', function() {
+            var size = fs.statSync(path.join(fixtures, 'cat.jpg')).size;
+
+            return client.addImage(path.join(fixtures, 'cat.jpg'), { onProgress: onProgress }).then(function() {
+                assert.deepEqual({ lengthComputable: true, loaded: size, total: size }, events[events.length - 1]);
+            });
+        });
+
+        it('should report progress while piping images from URLs', function() {
+            var size = fs.statSync(path.join(fixtures, 'cat.jpg')).size;
+
+            return client.addImageFromUrl('http://127.0.0.1:6778/cat.jpg', {
+                onProgress: onProgress
+            }).then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+                assert.equal(size, received.length);
+                assert.equal(size, events[events.length - 1].loaded);
             });
         });
     });
 
-    describe('#deleteImage', function() {
-        it('should return an http-response on success', function(done) {
-            mock.filteringPath(urlCleaner)
-                .intercept('/users/pub/images/' + catMd5, 'DELETE')
-                .reply(200, 'OK', { 'X-Imbo-Imageidentifier': catMd5 });
+    describe('signer', function() {
+        var server, keyless, signatures, requested;
 
-            client.deleteImage(catMd5, function(err, res) {
+        var mockUpload = function() {
+            return mock.filteringPath(function(uri) {
+                requested = uri;
+                return signatureCleaner(uri);
+            }).post('/users/pub/images');
+        };
+
+        var isSigned = function(method, uri) {
+            var query = uri.replace(/^[^?]*\?/, ''),
+                signature = decodeURIComponent(query.replace(/.*signature=([^&]*).*/, '$1')),
+                timestamp = decodeURIComponent(query.replace(/.*timestamp=([^&]*).*/, '$1')),
+                url = 'http://imbo' + uri.replace(/\?.*/, '');
+
+            return signature === client.generateSignature(method, url, timestamp);
+        };
+
+        beforeEach(function(done) {
+            signatures = 0;
+
+            var middleware = Imbo.middleware({
+                client: new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', privateKey: 'priv' }),
+                authorize: function(req, signRequest) {
+                    return signRequest.type === 'accessToken' || signRequest.method === 'POST';
+                }
+            });
+
+            server = http.createServer(function(req, res) {
+                signatures++;
+                req.url = req.url.replace(/^\/imbo/, '');
+                middleware(req, res, function() {
+                    res.statusCode = 404;
+                    res.end();
+                });
+            }).listen(6778, '127.0.0.1', done);
+
+            keyless = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                signer: 'http://127.0.0.1:6778/imbo/sign'
+            });
+        });
+
+        afterEach(function(done) {
+            server.close(done);
+        });
+
+        it('should validate the signer', function() {
+            assert.equal(null, keyless.options.privateKey);
+
+            assert.throws(function() {
+                keyless = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', signer: {} });
+            }, /signer/);
+
+            assert.throws(function() {
+                keyless.generateSignature('GET', 'http://imbo/users/pub', '2014-01-01T00:00:00Z');
+            }, /private key/);
+        });
+
+        it('should let the signer sign write requests', function(done) {
+            mockUpload().reply(201, function() {
+                assert(isSigned('POST', requested));
+                return { imageIdentifier: catMd5 };
+            }, { 'Content-Type': 'application/json' });
+
+            keyless.addImageFromBuffer(fs.readFileSync(fixtures + '/cat.jpg'), function(err, imageIdentifier) {
                 assert.ifError(err);
-                assert.equal(res.headers['x-imbo-imageidentifier'], catMd5);
+                assert.equal(catMd5, imageIdentifier);
+                assert.equal(1, signatures);
                 done();
             });
         });
-    });
 
-    describe('#imageIdentifierExists', function() {
-        it('should return true if the identifier exists', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(200, 'OK');
+        it('should upload streams through the signer', function(done) {
+            var file = path.join(fixtures, 'cat.jpg'),
+                expected = fs.readFileSync(file).toString('hex');
 
-            client.imageIdentifierExists(catMd5, function(err, exists) {
-                assert.ifError(err, 'Image that exists should not give an error');
-                assert.equal(true, exists);
+            mockUpload().reply(201, function(uri, body) {
+                assert(isSigned('POST', requested));
+                assert.equal(expected, new Buffer(body, 'hex').toString('hex'));
+                return { imageIdentifier: catMd5 };
+            }, { 'Content-Type': 'application/json' });
+
+            keyless.addImageFromStream(fs.createReadStream(file), {
+                length: fs.statSync(file).size
+            }, function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
                 done();
             });
         });
 
-        it('should return false if the identifier does not exist', function(done) {
-            mock.filteringPath(urlCleaner)
-                .head('/users/pub/images/' + catMd5)
-                .reply(404, 'Image not found');
+        it('should get access tokens for read requests from the signer', function(done) {
+            var expected = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', privateKey: 'priv' })
+                .getUserUrl().toString();
 
-            client.imageIdentifierExists(catMd5, function(err, exists) {
-                assert.ifError(err, 'imageIdentifierExists should not fail when image does not exist on server');
-                assert.equal(false, exists);
+            mock.get(expected.replace('http://imbo', '')).reply(200, { user: 'pub' });
+
+            keyless.getUserInfo(function(err, info) {
+                assert.ifError(err);
+                assert.equal('pub', info.user);
+                assert.equal(1, signatures);
                 done();
             });
         });
 
-        it('should return an error if the server could not be reached', function(done) {
-            errClient.imageIdentifierExists(catMd5, function(err) {
-                assert.ok(err, 'imageIdentifierExists should give error if host is unreachable');
+        it('should fail requests the signer does not allow', function(done) {
+            keyless.deleteImage(catMd5, function(err) {
+                assert(err);
+                assert.equal(403, err.statusCode);
+                assert.equal(1, signatures);
                 done();
             });
         });
     });
 
-    describe('#imageExists', function() {
-        it('should return error if the local image does not exist', function(done) {
-            var filename = fixtures + '/non-existant.jpg';
-            client.imageExists(filename, function(err) {
-                assert.equal('File does not exist (' + filename + ')', err);
+    describe('signer functions', function() {
+        var keyless;
+
+        var createKeyless = function(signer) {
+            keyless = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', signer: signer });
+        };
+
+        var signWithClient = function(payload) {
+            if (payload.type === 'accessToken') {
+                return { accessToken: client.getImageUrl(catMd5).getAccessToken(payload.url) };
+            }
+
+            return { url: client.getSignedResourceUrl(payload.method, payload.url) };
+        };
+
+        it('should sign requests using signers taking a callback', function(done) {
+            var payloads = [];
+            createKeyless(function(payload, callback) {
+                payloads.push(payload);
+                setImmediate(callback.bind(null, null, signWithClient(payload)));
+            });
+
+            mock.filteringPath(signatureCleaner)
+                .delete('/users/pub/images/' + catMd5)
+                .reply(200, { imageIdentifier: catMd5 });
+
+            keyless.deleteImage(catMd5, function(err) {
+                assert.ifError(err);
+                assert.deepEqual([{
+                    type: 'request',
+                    method: 'DELETE',
+                    url: 'http://imbo/users/pub/images/' + catMd5
+                }], payloads);
                 done();
             });
         });
 
-        it('should return true if the image exists on disk and on server', function(done) {
-            mock.filteringPath(urlCleaner)
-                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
-                .reply(200, {
-                    search: { hits: 1 },
-                    images: [ { imageIdentifier: catMd5 } ]
-                }, {
-                    'Content-Type': 'application/json'
-                });
+        it('should generate access tokens using signers returning promises', function(done) {
+            createKeyless(function(payload) {
+                return Promise.resolve(signWithClient(payload));
+            });
 
-            client.imageExists(fixtures + '/cat.jpg', function(err, exists) {
-                assert.ifError(err, 'imageExists should not give error if image exists on disk and server');
-                assert.equal(true, exists);
+            var expected = client.getImageUrl(catMd5).setBaseUrl('http://imbo').maxSize({ width: 320 }).getUrl();
+
+            keyless.getImageUrl(catMd5).maxSize({ width: 320 }).getUrl(function(err, url) {
+                assert.ifError(err);
+                assert.equal(expected, url);
                 done();
             });
         });
 
-        it('should return false if the image exists on disk but not on server', function(done) {
-            mock.filteringPath(urlCleaner)
-                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
-                .reply(200, {
-                    search: { hits: 0 },
-                    images: []
-                }, {
-                    'Content-Type': 'application/json'
+        it('should not hold back large responses to read requests', function(done) {
+            var data = new Buffer(200 * 1024),
+                keyed = new Imbo.Client({ hosts: 'http://127.0.0.1:6778', publicKey: 'pub', privateKey: 'priv' });
+
+            data.fill(1);
+
+            var server = http.createServer(function(req, res) {
+                res.end(data);
+            }).listen(6778, '127.0.0.1', function() {
+                keyless = new Imbo.Client({
+                    hosts: 'http://127.0.0.1:6778',
+                    publicKey: 'pub',
+                    signer: function(payload) {
+                        return Promise.resolve({
+                            accessToken: keyed.getImageUrl(catMd5).getAccessToken(payload.url)
+                        });
+                    }
                 });
 
-            client.imageExists(fixtures + '/cat.jpg', function(err, exists) {
-                assert.ifError(err, 'imageExists should not give error if the image does not exist on server');
-                assert.equal(false, exists);
+                keyless.getImageData(catMd5, function(err, body) {
+                    assert.ifError(err);
+                    assert.equal(data.length, body.length);
+                    server.close(done);
+                });
+            });
+        });
+
+        it('should sign retried requests again', function(done) {
+            var calls = 0, paths = [];
+
+            keyless = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                retry: { attempts: 2, minDelay: 1 },
+                signer: function(payload) {
+                    calls++;
+                    return Promise.resolve({ url: signWithClient(payload).url + '&attempt=' + calls });
+                }
+            });
+
+            mock.filteringPath(function(urlPath) {
+                paths.push(urlPath);
+                return signatureCleaner(urlPath.replace(/&attempt=\d+$/, ''));
+            })
+                .delete('/users/pub/images/' + catMd5).reply(503)
+                .delete('/users/pub/images/' + catMd5).reply(200, { imageIdentifier: catMd5 });
+
+            keyless.deleteImage(catMd5, function(err) {
+                assert.ifError(err);
+                assert.equal(2, calls);
+                assert(paths[0].match(/attempt=1$/));
+                assert(paths[paths.length - 1].match(/attempt=2$/));
                 done();
             });
         });
-    });
 
-    describe('#imageWithChecksumExists', function() {
-        it('should return true if the image exists on server', function(done) {
-            mock.filteringPath(urlCleaner)
-                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
-                .reply(200, {
-                    search: { hits: 1 },
-                    images: [ { imageIdentifier: catMd5 } ]
-                }, {
-                    'Content-Type': 'application/json'
-                });
+        it('should sign requests again for the next host when failing over', function(done) {
+            var urls = [];
 
-            client.imageWithChecksumExists(catMd5, function(err, exists) {
-                assert.ifError(err, 'imageWithChecksumExists should not give error if image exists on server');
-                assert.equal(true, exists);
+            keyless = new Imbo.Client({
+                hosts: ['http://imbo', 'http://imbo1'],
+                publicKey: 'pub',
+                failover: { maxFailures: 2, cooldown: 60000 },
+                signer: function(payload, callback) {
+                    urls.push(payload.url);
+                    callback(null, signWithClient(payload));
+                }
+            });
+
+            mock.filteringPath(signatureCleaner)
+                .delete('/users/pub/images/' + catMd5).reply(503);
+
+            mockImgUrl.filteringPath(signatureCleaner)
+                .delete('/users/pub/images/' + catMd5).reply(200, { imageIdentifier: catMd5 });
+
+            keyless.deleteImage(catMd5, function(err) {
+                assert.ifError(err);
+                assert.deepEqual([
+                    'http://imbo/users/pub/images/' + catMd5,
+                    'http://imbo1/users/pub/images/' + catMd5
+                ], urls);
                 done();
             });
         });
 
-        it('should return false if the image does exist on server', function(done) {
-            mock.filteringPath(urlCleaner)
-                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
-                .reply(200, {
-                    search: { hits: 0 },
-                    images: []
-                }, {
-                    'Content-Type': 'application/json'
-                });
+        it('should fail retried requests when the signer fails', function(done) {
+            var calls = 0;
 
-            client.imageWithChecksumExists(catMd5, function(err, exists) {
-                assert.ifError(err, 'imageWithChecksumExists should not give error if the image does not exist on server');
-                assert.equal(false, exists);
+            keyless = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                retry: { attempts: 2, minDelay: 1 },
+                signer: function(payload) {
+                    return ++calls > 1 ?
+                        Promise.reject(new Error('Not allowed')) :
+                        Promise.resolve(signWithClient(payload));
+                }
+            });
+
+            mock.filteringPath(signatureCleaner)
+                .delete('/users/pub/images/' + catMd5).reply(503);
+
+            keyless.deleteImage(catMd5, function(err) {
+                assert(err.message.match(/Not allowed/));
                 done();
             });
         });
 
-        it('should give back error if encountering server issues', function(done) {
-            mock.filteringPath(urlCleaner)
-                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
-                .reply(503, 'Internal Server Error');
+        it('should pass access tokens from the signer to parsed URLs', function(done) {
+            createKeyless(function(payload) {
+                return Promise.resolve(signWithClient(payload));
+            });
 
-            client.imageWithChecksumExists(catMd5, function(err) {
-                assert.ok(err, 'imageWithChecksumExists should not give error if the image does not exist on server');
+            var url = client.getImageUrl(catMd5).strip().getUrl();
+
+            keyless.parseImageUrl(url.replace(/&accessToken=.*/, '')).getUrl(function(err, signed) {
+                assert.ifError(err);
+                assert.equal(url, signed);
                 done();
             });
         });
-    });
 
-    describe('#addImage', function() {
-        it('should return error if the local image does not exist', function(done) {
-            var filename = fixtures + '/does-not-exist.jpg';
-            client.addImage(filename, function(err) {
-                assert.ok(err, 'addImage should give error if file does not exist');
-                assert.equal(err.code, 'ENOENT');
+        it('should fail requests when the signer fails', function(done) {
+            createKeyless(function() {
+                return Promise.reject(new Error('Not allowed'));
+            });
+
+            keyless.getUserInfo(function(err) {
+                assert(err.message.match(/Not allowed/));
                 done();
             });
         });
 
-        it('should return an error if the image could not be added', function(done) {
-            mock.filteringPath(urlCleaner)
-                .filteringRequestBody(bodyCleaner)
-                .post('/users/pub/images', '*')
-                .reply(400, 'Image already exists', { 'X-Imbo-Imageidentifier': catMd5 });
+        it('should fail requests when the signer does not respond with a signature', function(done) {
+            createKeyless(function(payload, callback) {
+                callback(null, { signature: 'foo' });
+            });
 
-            client.addImage(fixtures + '/cat.jpg', function(err, imageIdentifier) {
-                assert(err);
-                assert(err.message.match(/\b400\b/));
-                assert.equal(null, imageIdentifier);
+            keyless.deleteImage(catMd5, function(err) {
+                assert(err.message.match(/`url`/));
                 done();
             });
         });
 
-        it('should return an error if the server could not be reached', function(done) {
+        it('should sign resource URLs using the signer', function(done) {
+            createKeyless(function(payload, callback) {
+                callback(null, signWithClient(payload));
+            });
+
+            var url = keyless.getImagesUrl().toString();
+            assert.throws(function() {
+                keyless.getSignedResourceUrl('POST', url);
+            }, /private key/);
+
+            keyless.getSignedResourceUrl('POST', url, function(err, signed) {
+                assert.ifError(err);
+                assert.equal(0, signed.indexOf(url + '?signature='));
+
+                client.getSignedResourceUrl('POST', url, new Date(0), function(keyedErr, keyedSigned) {
+                    assert.ifError(keyedErr);
+                    assert.equal(url + '?signature=', keyedSigned.substr(0, url.length + 11));
+                    assert(keyedSigned.match(/timestamp=1970-01-01T00%3A00%3A00Z$/));
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('without private key and signer', function() {
+        var keyless;
+
+        beforeEach(function() {
+            keyless = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub' });
+        });
+
+        it('should send read requests without access token', function(done) {
+            mock.get('/users/pub').reply(200, { user: 'pub' });
+
+            keyless.getUserInfo(function(err, info) {
+                assert.ifError(err);
+                assert.equal('pub', info.user);
+                done();
+            });
+        });
+
+        it('should fail write requests without sending them', function(done) {
+            keyless.deleteImage(catMd5, function(err) {
+                assert(err.message.match(/private key or a signer/));
+                done();
+            });
+        });
+
+        it('should fail signing resource URLs', function(done) {
+            keyless.getSignedResourceUrl('DELETE', keyless.getImagesUrl().toString(), function(err, signed) {
+                assert(err.message.match(/private key or a signer/));
+                assert.equal(null, signed);
+                done();
+            });
+        });
+    });
+
+    describe('custom transports', function() {
+        var calls;
+
+        var createTransport = function(responses) {
+            return function(options, callback) {
+                var response = responses.shift();
+                calls.push(options);
+
+                setImmediate(function() {
+                    callback(response.err || null, { statusCode: response.statusCode, headers: {} }, response.body);
+                });
+
+                return { abort: function() {} };
+            };
+        };
+
+        beforeEach(function() {
+            calls = [];
+        });
+
+        it('should throw if the transport is not a function', function() {
+            assert.throws(function() {
+                client = new Imbo.Client({
+                    hosts: 'http://imbo',
+                    publicKey: 'pub',
+                    privateKey: 'priv',
+                    transport: 'fetch'
+                });
+            }, /transport/);
+        });
+
+        it('should expose the built-in transport', function() {
+            assert.equal('function', typeof Imbo.Client.defaultTransport);
+        });
+
+        it('should keep exposing the built-in transport as `request`', function() {
+            assert.equal(Imbo.Client.defaultTransport, Imbo.Client.request);
+        });
+
+        it('should send requests through the given transport', function(done) {
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                transport: createTransport([{ statusCode: 201, body: JSON.stringify({ imageIdentifier: catMd5 }) }])
+            });
+
+            client.addImageFromBuffer(new Buffer('foo'), function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                assert.equal(1, calls.length);
+                assert.equal('POST', calls[0].method);
+                assert.equal('string', typeof calls[0].uri);
+                assert(calls[0].uri.indexOf('http://imbo/users/pub/images?') === 0);
+                assert(calls[0].uri.indexOf('signature=') > -1);
+                assert.equal('imboclient-js', calls[0].headers['User-Agent']);
+                assert.equal('foo', calls[0].body.toString());
+                done();
+            });
+        });
+
+        it('should turn error responses from the transport into errors', function(done) {
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                transport: createTransport([{ statusCode: 404 }])
+            });
+
+            client.getImageProperties(catMd5, function(err) {
+                assert(err);
+                assert.equal(404, err.statusCode);
+                done();
+            });
+        });
+
+        it('should apply the retry policy to the transport', function(done) {
+            var reset = new Error('socket hang up');
+            reset.code = 'ECONNRESET';
+
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                retry: { attempts: 2, minDelay: 1 },
+                transport: createTransport([
+                    { err: reset },
+                    { statusCode: 200, body: { numImages: 3 } }
+                ])
+            });
+
+            client.getNumImages(function(err, numImages) {
+                assert.ifError(err);
+                assert.equal(3, numImages);
+                assert.equal(2, calls.length);
+                done();
+            });
+        });
+
+        it('should allow overriding the transport per call', function(done) {
+            var transport = createTransport([{ statusCode: 200, body: { numImages: 3 } }]);
+
+            client.withRequestOptions({ transport: transport }).getNumImages(function(err, numImages) {
+                assert.ifError(err);
+                assert.equal(3, numImages);
+                assert.equal(1, calls.length);
+                done();
+            });
+        });
+    });
+
+    describe('middleware', function() {
+        var calls, responses;
+
+        var transport = function(options, callback) {
+            var response = responses.shift() || { statusCode: 200, body: {} };
+            calls.push(options);
+
+            setImmediate(function() {
+                callback(null, { statusCode: response.statusCode, headers: {} }, response.body);
+            });
+
+            return { abort: function() {} };
+        };
+
+        beforeEach(function() {
+            calls = [];
+            responses = [];
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                transport: transport
+            });
+        });
+
+        it('should throw when given middleware without hooks', function() {
+            assert.throws(function() {
+                client.use({});
+            }, /middleware/i);
+        });
+
+        it('should accept middleware in the constructor options', function(done) {
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                transport: transport,
+                middleware: [{
+                    request: function(req) {
+                        req.headers['X-Trace-Id'] = 'abc123';
+                    }
+                }]
+            });
+
+            client.getImages(function(err) {
+                assert.ifError(err);
+                assert.equal('abc123', calls[0].headers['X-Trace-Id']);
+                done();
+            });
+        });
+
+        it('should run request hooks in order, and response hooks in reverse order', function(done) {
+            var order = [];
+
+            ['first', 'second'].forEach(function(name) {
+                client.use({
+                    request: function() {
+                        order.push('request:' + name);
+                    },
+                    response: function() {
+                        order.push('response:' + name);
+                    }
+                });
+            });
+
+            client.getServerStatus(function(err) {
+                assert.ifError(err);
+                assert.deepEqual(
+                    ['request:first', 'request:second', 'response:second', 'response:first'],
+                    order
+                );
+                done();
+            });
+        });
+
+        it('should sign requests after the URI has been rewritten', function(done) {
+            client.use({
+                request: function(req) {
+                    return extend(req, { uri: req.uri.replace('http://imbo', 'http://cdn') });
+                }
+            });
+
+            client.deleteImage(catMd5, function(err) {
+                assert.ifError(err);
+
+                var url = calls[0].uri,
+                    unsigned = url.replace(/[?&]signature=.*$/, ''),
+                    timestamp = decodeURIComponent(url.match(/timestamp=([^&]+)/)[1]);
+
+                assert.equal(0, url.indexOf('http://cdn/users/pub/images/' + catMd5));
+                assert.equal(
+                    client.getSignedResourceUrl('DELETE', unsigned, new Date(timestamp)),
+                    url
+                );
+                done();
+            });
+        });
+
+        it('should generate access tokens after the URI has been rewritten', function(done) {
+            var seen;
+            client.use({
+                request: function(req) {
+                    seen = req.uri;
+                    return extend(req, { uri: req.uri.replace('http://imbo', 'http://cdn') });
+                }
+            });
+
+            var url = client.getImageUrl(catMd5).maxSize({ width: 320 }).border({ color: 'fff' });
+
+            client.getImageDataFromUrl(url, function(err) {
+                assert.ifError(err);
+                assert.equal(-1, seen.indexOf('accessToken='));
+                assert.equal(url.clone().setBaseUrl('http://cdn').getUrl(), calls[0].uri);
+                done();
+            });
+        });
+
+        it('should request access tokens from the signer after the URI has been rewritten', function(done) {
+            var payloads = [];
+
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                transport: transport,
+                signer: function(payload, callback) {
+                    payloads.push(payload);
+                    callback(null, { accessToken: 'token' });
+                }
+            });
+
+            client.use({
+                request: function(req) {
+                    req.uri = req.uri.replace('http://imbo', 'http://cdn');
+                }
+            });
+
+            client.getImageDataFromUrl(client.getImageUrl(catMd5).maxSize({ width: 320 }), function(err) {
+                assert.ifError(err);
+                assert.deepEqual([{
+                    type: 'accessToken',
+                    url: 'http://cdn/users/pub/images/' + catMd5 + '?t[]=maxSize:width=320'
+                }], payloads);
+                assert.equal(
+                    'http://cdn/users/pub/images/' + catMd5 + '?t%5B%5D=maxSize%3Awidth%3D320&accessToken=token',
+                    calls[0].uri
+                );
+                done();
+            });
+        });
+
+        it('should allow changing the body of requests', function(done) {
+            client.use({
+                request: function(req) {
+                    req.json = extend({ injected: true }, req.json);
+                }
+            });
+
+            client.editMetadata(catMd5, { foo: 'bar' }, function(err) {
+                assert.ifError(err);
+                assert.deepEqual({ injected: true, foo: 'bar' }, calls[0].json);
+                done();
+            });
+        });
+
+        it('should allow inspecting responses and errors of reads', function(done) {
+            var seen;
+            responses.push({ statusCode: 404 });
+
+            client.use({
+                response: function(result) {
+                    seen = result;
+                }
+            });
+
+            client.headImage(catMd5, function(err) {
+                assert.equal(404, err.statusCode);
+                assert.equal(err, seen.error);
+                assert.equal(404, seen.response.statusCode);
+                assert.equal('HEAD', seen.request.method);
+                done();
+            });
+        });
+
+        it('should allow replacing the response and error', function(done) {
+            responses.push({ statusCode: 503 });
+
+            client.use({
+                response: function() {
+                    return {
+                        error: null,
+                        response: { statusCode: 200, headers: {} },
+                        body: { numImages: 42 }
+                    };
+                }
+            });
+
+            client.getNumImages(function(err, numImages) {
+                assert.ifError(err);
+                assert.equal(42, numImages);
+                done();
+            });
+        });
+    });
+
+    describe('error responses', function() {
+        var errorBody = {
+            error: {
+                code: 400,
+                message: 'Unsupported image type: text/plain',
+                date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+                imboErrorCode: 205
+            }
+        };
+
+        it('should return an ImboError with the details of the error', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(400, errorBody, { 'Content-Type': 'application/json' });
+
+            client.addImageFromBuffer(new Buffer('foo'), function(err) {
+                assert(err instanceof Imbo.ImboError);
+                assert(err instanceof Error);
+                assert.equal(400, err.statusCode);
+                assert.equal(205, err.imboErrorCode);
+                assert.equal('Unsupported image type: text/plain', err.serverMessage);
+                assert.equal('Mon, 19 Oct 2026 10:00:00 GMT', err.date);
+                assert.equal('POST', err.method);
+                assert.equal(0, err.url.indexOf('http://imbo/users/pub/images'));
+                assert.equal(-1, err.url.indexOf('signature='));
+                assert.equal(400, err.response.statusCode);
+                done();
+            });
+        });
+
+        it('should return an ImboError for reads', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images/' + catMd5 + '/meta')
+                .reply(404, { error: { code: 404, message: 'Image not found', imboErrorCode: 0 } }, {
+                    'Content-Type': 'application/json'
+                });
+
+            client.getMetadata(catMd5, function(err) {
+                assert(err instanceof Imbo.ImboError);
+                assert.equal(404, err.statusCode);
+                assert.equal(0, err.imboErrorCode);
+                assert.equal('Image not found', err.serverMessage);
+                assert.equal('GET', err.method);
+                done();
+            });
+        });
+    });
+
+    describe('#getHostForImageIdentifier', function() {
+        it('should return the same host for the same image identifiers every time', function() {
+            for (var i = 0; i < 10; i++) {
+                assert.equal('http://imbo1', client.getHostForImageIdentifier('61ca9892205a0d5077a353eb3487e8c8'));
+                assert.equal('http://imbo2', client.getHostForImageIdentifier('3b71c51547c3aa1ae81a5e9c57dfef67'));
+                assert.equal('http://imbo1', client.getHostForImageIdentifier('61ca9892205a0d5077a353eb3487e8c8'));
+                assert.equal('http://imbo', client.getHostForImageIdentifier('3faab4bb128b56bd7d7e977164b3cc7f'));
+            }
+        });
+    });
+
+    describe('#headImage()', function() {
+        it('should return error on a 404-response', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(404);
+
+            client.headImage(catMd5, function(err) {
+                assert(err);
+                assert(err.message.match(/\b404\b/));
+                done();
+            });
+        });
+
+        it('should return error on a 503-response', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(503);
+
+            client.headImage(catMd5, function(err) {
+                assert(err);
+                assert(err.message.match(/\b503\b/));
+                done();
+            });
+        });
+
+        it('should not return an error on a 200-response', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(200);
+
+            client.headImage(catMd5, function(err) {
+                assert.ifError(err, 'headImage should not give an error on success');
+                done();
+            });
+        });
+
+        it('should return an http-response on success', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(200, 'OK', { 'X-Imbo-Imageidentifier': catMd5 });
+
+            client.headImage(catMd5, function(err, res) {
+                assert.ifError(err);
+                assert.equal(res.headers['x-imbo-imageidentifier'], catMd5);
+                done();
+            });
+        });
+
+        it('should return error when host could not be reached', function(done) {
+            this.timeout(10000);
+            errClient.headImage(catMd5, function(err) {
+                assert.ok(err, 'headImage should give error if host is unreachable');
+                done();
+            });
+        });
+    });
+
+    describe('#deleteImage', function() {
+        it('should return an http-response on success', function(done) {
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE')
+                .reply(200, 'OK', { 'X-Imbo-Imageidentifier': catMd5 });
+
+            client.deleteImage(catMd5, function(err, res) {
+                assert.ifError(err);
+                assert.equal(res.headers['x-imbo-imageidentifier'], catMd5);
+                done();
+            });
+        });
+    });
+
+    describe('#imageIdentifierExists', function() {
+        it('should return true if the identifier exists', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(200, 'OK');
+
+            client.imageIdentifierExists(catMd5, function(err, exists) {
+                assert.ifError(err, 'Image that exists should not give an error');
+                assert.equal(true, exists);
+                done();
+            });
+        });
+
+        it('should return false if the identifier does not exist', function(done) {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(404, 'Image not found');
+
+            client.imageIdentifierExists(catMd5, function(err, exists) {
+                assert.ifError(err, 'imageIdentifierExists should not fail when image does not exist on server');
+                assert.equal(false, exists);
+                done();
+            });
+        });
+
+        it('should return an error if the server could not be reached', function(done) {
+            errClient.imageIdentifierExists(catMd5, function(err) {
+                assert.ok(err, 'imageIdentifierExists should give error if host is unreachable');
+                done();
+            });
+        });
+    });
+
+    describe('#imageExists', function() {
+        it('should return error if the local image does not exist', function(done) {
+            var filename = fixtures + '/non-existant.jpg';
+            client.imageExists(filename, function(err) {
+                assert.equal('File does not exist (' + filename + ')', err);
+                done();
+            });
+        });
+
+        it('should return true if the image exists on disk and on server', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: 1 },
+                    images: [ { imageIdentifier: catMd5 } ]
+                }, {
+                    'Content-Type': 'application/json'
+                });
+
+            client.imageExists(fixtures + '/cat.jpg', function(err, exists) {
+                assert.ifError(err, 'imageExists should not give error if image exists on disk and server');
+                assert.equal(true, exists);
+                done();
+            });
+        });
+
+        it('should return false if the image exists on disk but not on server', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: 0 },
+                    images: []
+                }, {
+                    'Content-Type': 'application/json'
+                });
+
+            client.imageExists(fixtures + '/cat.jpg', function(err, exists) {
+                assert.ifError(err, 'imageExists should not give error if the image does not exist on server');
+                assert.equal(false, exists);
+                done();
+            });
+        });
+    });
+
+    describe('#imageWithChecksumExists', function() {
+        it('should return true if the image exists on server', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: 1 },
+                    images: [ { imageIdentifier: catMd5 } ]
+                }, {
+                    'Content-Type': 'application/json'
+                });
+
+            client.imageWithChecksumExists(catMd5, function(err, exists) {
+                assert.ifError(err, 'imageWithChecksumExists should not give error if image exists on server');
+                assert.equal(true, exists);
+                done();
+            });
+        });
+
+        it('should return false if the image does exist on server', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: 0 },
+                    images: []
+                }, {
+                    'Content-Type': 'application/json'
+                });
+
+            client.imageWithChecksumExists(catMd5, function(err, exists) {
+                assert.ifError(err, 'imageWithChecksumExists should not give error if the image does not exist on server');
+                assert.equal(false, exists);
+                done();
+            });
+        });
+
+        it('should give back error if encountering server issues', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(503, 'Internal Server Error');
+
+            client.imageWithChecksumExists(catMd5, function(err) {
+                assert.ok(err, 'imageWithChecksumExists should not give error if the image does not exist on server');
+                done();
+            });
+        });
+    });
+
+    describe('#addImage', function() {
+        it('should return error if the local image does not exist', function(done) {
+            var filename = fixtures + '/does-not-exist.jpg';
+            client.addImage(filename, function(err) {
+                assert.ok(err, 'addImage should give error if file does not exist');
+                assert.equal(err.code, 'ENOENT');
+                done();
+            });
+        });
+
+        it('should return an error if the image could not be added', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(400, 'Image already exists', { 'X-Imbo-Imageidentifier': catMd5 });
+
+            client.addImage(fixtures + '/cat.jpg', function(err, imageIdentifier) {
+                assert(err);
+                assert(err.message.match(/\b400\b/));
+                assert.equal(null, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should return an error if the server could not be reached', function(done) {
             errClient.addImage(fixtures + '/cat.jpg', function(err) {
                 assert.ok(err, 'addImage should give error if host is unreachable');
                 done();
             });
         });
 
-        it('should return an image identifier and an http-response on success', function(done) {
+        it('should return an image identifier and an http-response on success', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5 }, {
+                    'X-Imbo-ImageIdentifier': catMd5,
+                    'Content-Type': 'application/json'
+                });
+
+            client.addImage(fixtures + '/cat.jpg', function(err, imageIdentifier, body, response) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                assert.equal(catMd5, body.imageIdentifier);
+                assert.equal(201, response.statusCode);
+
+                done();
+            });
+        });
+    });
+
+    describe('#addImageFromBuffer', function() {
+        it('should return an error if the image could not be added', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(400, 'Image already exists', {
+                    'X-Imbo-Imageidentifier': catMd5
+                });
+
+            var buffer = fs.readFileSync(fixtures + '/cat.jpg');
+            client.addImageFromBuffer(buffer, function(err, imageIdentifier) {
+                assert(err);
+                assert(err.message.match(/\b400\b/));
+                assert.equal(null, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should return an image identifier and an http-response on success', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5 }, {
+                    'X-Imbo-Imageidentifier': catMd5,
+                    'Content-Type': 'application/json'
+                });
+
+            var buffer = fs.readFileSync(fixtures + '/cat.jpg');
+            client.addImageFromBuffer(buffer, function(err, imageIdentifier, body, response) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                assert.equal(catMd5, body.imageIdentifier);
+                assert.equal(201, response.statusCode);
+
+                done();
+            });
+        });
+    });
+
+    describe('skipIfExists', function() {
+        var existing = function(hits) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: hits },
+                    images: hits ? [{ imageIdentifier: 'existing', originalChecksum: catMd5, width: 100 }] : []
+                }, { 'Content-Type': 'application/json' });
+        };
+
+        it('should return the existing image without uploading', function(done) {
+            existing(1);
+
+            client.addImage(path.join(fixtures, 'cat.jpg'), {
+                skipIfExists: true,
+                onComplete: function(err, imageIdentifier, body) {
+                    assert.ifError(err);
+                    assert.equal('existing', imageIdentifier);
+                    assert.equal(100, body.width);
+                    done();
+                }
+            });
+        });
+
+        it('should upload images which do not exist', function() {
+            existing(0);
+
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' });
+
+            return client.addImageFromBuffer(fs.readFileSync(fixtures + '/cat.jpg'), {
+                skipIfExists: true
+            }).then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+            });
+        });
+
+        it('should check images from URLs without downloading them twice', function() {
+            mock.get('/cat.jpg')
+                .reply(200, fs.readFileSync(path.join(fixtures, 'cat.jpg')));
+
+            existing(1);
+
+            return client.addImageFromUrl('http://imbo/cat.jpg', {
+                skipIfExists: true
+            }).then(function(result) {
+                assert.equal('existing', result.imageIdentifier);
+            });
+        });
+
+        it('should look up and add strings holding image data as buffers', function(done) {
+            var data = 'not a path',
+                checksum = crypto.createHash('md5').update(data).digest('hex');
+
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + checksum)
+                .reply(200, { search: { hits: 0 }, images: [] }, { 'Content-Type': 'application/json' });
+
+            mock.filteringPath(urlCleaner)
+                .post('/users/pub/images', data)
+                .reply(201, { imageIdentifier: checksum }, { 'Content-Type': 'application/json' });
+
+            client.addImageFromBuffer(data, {
+                skipIfExists: true,
+                onComplete: function(err, imageIdentifier) {
+                    assert.ifError(err);
+                    assert.equal(checksum, imageIdentifier);
+                    done();
+                }
+            });
+        });
+
+        it('should pass errors from the existence check', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(503);
+
+            client.addImageFromBuffer(fs.readFileSync(fixtures + '/cat.jpg'), {
+                skipIfExists: true,
+                onComplete: function(err) {
+                    assert(err);
+                    assert.equal(503, err.statusCode);
+                    done();
+                }
+            });
+        });
+    });
+
+    describe('image validation', function() {
+        var invalid = path.join(fixtures, 'invalid.png');
+
+        beforeEach(function() {
+            client = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                validateImages: { maxSize: 30000 }
+            });
+        });
+
+        it('should reject invalid files before uploading', function(done) {
+            client.addImage(invalid, function(err, imageIdentifier) {
+                assert.equal('EINVALIDIMAGE', err.code);
+                assert(/Unrecognized image data/.test(err.message));
+                assert.equal(null, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should reject invalid buffers before uploading', function() {
+            return client.addImageFromBuffer(fs.readFileSync(invalid)).then(function() {
+                throw new Error('Should not resolve');
+            }, function(err) {
+                assert.equal('EINVALIDIMAGE', err.code);
+            });
+        });
+
+        it('should reject images exceeding the maximum size', function(done) {
+            var buffer = new Buffer(40000);
+            buffer.fill(0);
+            buffer.write('GIF89a', 0, 'binary');
+
+            client.addImageFromBuffer(buffer, function(err) {
+                assert.equal('EINVALIDIMAGE', err.code);
+                assert.equal('image/gif', err.detectedType);
+                assert(/too large/.test(err.message));
+                done();
+            });
+        });
+
+        it('should upload valid images', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' });
+
+            client.addImage(path.join(fixtures, 'cat.jpg'), function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should pass errors when reading files', function(done) {
+            client.addImage(path.join(fixtures, 'does-not-exist.jpg'), function(err) {
+                assert.equal('ENOENT', err.code);
+                done();
+            });
+        });
+
+        it('should allow skipping validation per upload', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(415, 'Unsupported media type');
+
+            client.addImage(invalid, {
+                skipValidation: true,
+                onComplete: function(err) {
+                    assert.equal(415, err.statusCode);
+                    done();
+                }
+            });
+        });
+
+        it('should not validate uploads unless enabled', function(done) {
+            client = new Imbo.Client('http://imbo', 'pub', 'priv');
+
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(415, 'Unsupported media type');
+
+            client.addImage(invalid, function(err) {
+                assert.equal(415, err.statusCode);
+                done();
+            });
+        });
+
+        describe('#validateImage', function() {
+            it('should return the detected type of valid images', function() {
+                return client.validateImage(path.join(fixtures, 'cat.jpg')).then(function(type) {
+                    assert.equal('image/jpeg', type);
+                });
+            });
+
+            it('should use the default options if validation is not enabled', function(done) {
+                client = new Imbo.Client('http://imbo', 'pub', 'priv');
+
+                client.validateImage(fs.readFileSync(invalid), function(err) {
+                    assert.equal('EINVALIDIMAGE', err.code);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('#addImageFromStream', function() {
+        var mockUpload = function(verify) {
+            mock.filteringPath(urlCleaner)
+                .post('/users/pub/images')
+                .reply(201, function(uri, body) {
+                    verify(body);
+                    return { imageIdentifier: catMd5 };
+                }, { 'Content-Type': 'application/json' });
+        };
+
+        var expected = fs.readFileSync(path.join(fixtures, 'cat.jpg')).toString('hex');
+
+        it('should upload streams with a given length', function(done) {
+            mockUpload(function(body) {
+                assert.equal(expected, new Buffer(body, 'hex').toString('hex'));
+            });
+
+            var file = path.join(fixtures, 'cat.jpg');
+            client.addImageFromStream(fs.createReadStream(file), {
+                length: fs.statSync(file).size
+            }, function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should measure streams without a given length', function() {
+            mockUpload(function(body) {
+                assert.equal(expected, new Buffer(body, 'hex').toString('hex'));
+            });
+
+            return client.addImageFromStream(fs.createReadStream(path.join(fixtures, 'cat.jpg'))).then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+            });
+        });
+
+        it('should spool large streams to a temporary file', function(done) {
+            mockUpload(function(body) {
+                assert.equal(expected, new Buffer(body, 'hex').toString('hex'));
+            });
+
+            client.addImageFromStream(fs.createReadStream(path.join(fixtures, 'cat.jpg')), {
+                maxMemorySize: 1024
+            }, function(err, imageIdentifier) {
+                assert.ifError(err);
+                assert.equal(catMd5, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should pass stream errors', function(done) {
+            client.addImageFromStream(fs.createReadStream(path.join(fixtures, 'does-not-exist.jpg')), function(err) {
+                assert.equal('ENOENT', err.code);
+                done();
+            });
+        });
+    });
+
+    describe('#addImageWithMetadata', function() {
+        var buffer = fs.readFileSync(path.join(fixtures, 'cat.jpg'));
+
+        var mockUpload = function(statusCode) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(statusCode || 201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' });
+        };
+
+        var mockMetadata = function(statusCode) {
+            // Request bodies are already filtered by the upload mock
+            mock.filteringPath(urlCleaner)
+                .post('/users/pub/images/' + catMd5 + '/meta', '*')
+                .reply(statusCode, statusCode === 200 ? { foo: 'bar' } : 'Bad Request', {
+                    'Content-Type': 'application/json'
+                });
+        };
+
+        it('should add the image and its metadata', function() {
+            mockUpload();
+            mockMetadata(200);
+
+            return client.addImageWithMetadata(buffer, { foo: 'bar' }).then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+                assert.deepEqual({ foo: 'bar' }, result.metadata);
+                assert.equal(catMd5, result.body.imageIdentifier);
+            });
+        });
+
+        it('should not apply metadata if the image could not be added', function(done) {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(400, 'Invalid image');
+
+            client.addImageWithMetadata(buffer, { foo: 'bar' }, function(err, imageIdentifier) {
+                assert.equal(400, err.statusCode);
+                assert.equal(null, imageIdentifier);
+                assert.equal(false, 'imageIdentifier' in err);
+                done();
+            });
+        });
+
+        it('should report partial failures with the identifier of the added image', function(done) {
+            mockUpload();
+            mockMetadata(400);
+
+            client.addImageWithMetadata(path.join(fixtures, 'cat.jpg'), { foo: 'bar' }, function(err, imageIdentifier) {
+                assert.equal(400, err.statusCode);
+                assert.equal(catMd5, err.imageIdentifier);
+                assert.equal(false, err.rolledBack);
+                assert.equal(catMd5, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should delete the added image if the metadata could not be applied', function(done) {
+            mockUpload();
+            mockMetadata(400);
+
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE')
+                .reply(200, 'OK');
+
+            client.addImageWithMetadata(buffer, { foo: 'bar' }, { rollback: true }, function(err, imageIdentifier) {
+                assert.equal(400, err.statusCode);
+                assert.equal(catMd5, err.imageIdentifier);
+                assert.equal(true, err.rolledBack);
+                assert.equal(null, err.rollbackError);
+                assert.equal(null, imageIdentifier);
+                done();
+            });
+        });
+
+        it('should report errors when rolling back', function(done) {
+            mockUpload();
+            mockMetadata(400);
+
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE')
+                .reply(503);
+
+            client.addImageWithMetadata(buffer, { foo: 'bar' }, { rollback: true }).catch(function(err) {
+                assert.equal(false, err.rolledBack);
+                assert.equal(503, err.rollbackError.statusCode);
+                done();
+            });
+        });
+
+        it('should not delete images which already existed', function(done) {
+            mockUpload(200);
+            mockMetadata(400);
+
+            client.addImageWithMetadata(buffer, { foo: 'bar' }, { rollback: true }, function(err, imageIdentifier) {
+                assert.equal(false, err.rolledBack);
+                assert.equal(catMd5, imageIdentifier);
+                done();
+            });
+        });
+    });
+
+    describe('#addImages', function() {
+        it('should add all the inputs and resolve with the results', function() {
             mock.filteringPath(urlCleaner)
                 .filteringRequestBody(bodyCleaner)
                 .post('/users/pub/images', '*')
-                .reply(201, { imageIdentifier: catMd5 }, {
-                    'X-Imbo-ImageIdentifier': catMd5,
-                    'Content-Type': 'application/json'
-                });
+                .reply(201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' })
+                .post('/users/pub/images', '*')
+                .reply(400, { error: { code: 400, message: 'Invalid image', imboErrorCode: 205 } });
 
-            client.addImage(fixtures + '/cat.jpg', function(err, imageIdentifier, body, response) {
-                assert.ifError(err);
-                assert.equal(catMd5, imageIdentifier);
-                assert.equal(catMd5, body.imageIdentifier);
-                assert.equal(201, response.statusCode);
+            var buffer = fs.readFileSync(fixtures + '/cat.jpg'),
+                file = path.join(fixtures, 'cat.jpg');
 
-                done();
+            return client.addImages([buffer, file], { concurrency: 1 }).then(function(results) {
+                assert.equal(2, results.length);
+                assert.equal(buffer, results[0].input);
+                assert.equal(catMd5, results[0].imageIdentifier);
+                assert.equal(file, results[1].input);
+                assert.equal(205, results[1].error.imboErrorCode);
             });
         });
-    });
 
-    describe('#addImageFromBuffer', function() {
-        it('should return an error if the image could not be added', function(done) {
+        it('should accept a callback without options', function(done) {
             mock.filteringPath(urlCleaner)
                 .filteringRequestBody(bodyCleaner)
                 .post('/users/pub/images', '*')
-                .reply(400, 'Image already exists', {
-                    'X-Imbo-Imageidentifier': catMd5
-                });
+                .reply(201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' });
 
-            var buffer = fs.readFileSync(fixtures + '/cat.jpg');
-            client.addImageFromBuffer(buffer, function(err, imageIdentifier) {
-                assert(err);
-                assert(err.message.match(/\b400\b/));
-                assert.equal(null, imageIdentifier);
+            client.addImages([fs.readFileSync(fixtures + '/cat.jpg')], function(err, results) {
+                assert.ifError(err);
+                assert.equal(catMd5, results[0].imageIdentifier);
                 done();
             });
         });
 
-        it('should return an image identifier and an http-response on success', function(done) {
+        it('should check for existing images using a single query with skipIfExists', function() {
             mock.filteringPath(urlCleaner)
-                .filteringRequestBody(bodyCleaner)
-                .post('/users/pub/images', '*')
-                .reply(201, { imageIdentifier: catMd5 }, {
-                    'X-Imbo-Imageidentifier': catMd5,
-                    'Content-Type': 'application/json'
-                });
+                .get('/users/pub/images?page=1&limit=1&originalChecksums[]=' + catMd5)
+                .reply(200, {
+                    search: { hits: 1 },
+                    images: [{ imageIdentifier: 'existing', originalChecksum: catMd5 }]
+                }, { 'Content-Type': 'application/json' });
 
             var buffer = fs.readFileSync(fixtures + '/cat.jpg');
-            client.addImageFromBuffer(buffer, function(err, imageIdentifier, body, response) {
-                assert.ifError(err);
-                assert.equal(catMd5, imageIdentifier);
-                assert.equal(catMd5, body.imageIdentifier);
-                assert.equal(201, response.statusCode);
 
-                done();
+            return client.addImages([buffer, path.join(fixtures, 'cat.jpg')], {
+                skipIfExists: true
+            }).then(function(results) {
+                assert.equal('existing', results[0].imageIdentifier);
+                assert.equal(true, results[0].skipped);
+                assert.equal('existing', results[1].imageIdentifier);
+                assert.equal(true, results[1].skipped);
             });
         });
     });
@@ -1102,6 +2407,67 @@ describe('ImboClient', function() {
         });
     });
 
+    describe('#searchImages', function() {
+        it('should send the metadata query to the images endpoint', function(done) {
+            var metadataQuery = (new Imbo.MetadataQuery()).eq('photographer', 'Espen');
+
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images?page=2&limit=5&sort[]=added:desc', 'SEARCH', {
+                    photographer: { $eq: 'Espen' }
+                })
+                .reply(200, { images: [{ imageIdentifier: catMd5 }], search: { hits: 6 } });
+
+            var query = (new Imbo.Query()).page(2).limit(5).sort('added', 'desc');
+            client.searchImages(metadataQuery, query, function(err, images, search, res) {
+                assert.ifError(err);
+                assert.equal(catMd5, images[0].imageIdentifier);
+                assert.equal(6, search.hits);
+                assert.equal(200, res.statusCode);
+                done();
+            });
+        });
+
+        it('should accept plain objects and work without a query', function(done) {
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images', 'SEARCH', { $or: [{ a: { $exists: true } }, { b: { $lt: 3 } }] })
+                .reply(200, { images: [], search: { hits: 0 } });
+
+            client.searchImages({ $or: [{ a: { $exists: true } }, { b: { $lt: 3 } }] }).then(function(result) {
+                assert.equal(0, result.search.hits);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('#iterateImages', function() {
+        it('should page through all images matching the query', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images?page=1&limit=2')
+                .reply(200, { images: [{ imageIdentifier: 'a' }, { imageIdentifier: 'b' }], search: { hits: 3 } })
+                .get('/users/pub/images?page=2&limit=2')
+                .reply(200, { images: [{ imageIdentifier: 'c' }], search: { hits: 3 } });
+
+            var iterator = client.iterateImages((new Imbo.Query()).limit(2)),
+                identifiers = [];
+
+            var next = function() {
+                iterator.next(function(err, image, finished) {
+                    assert.ifError(err);
+
+                    if (finished) {
+                        assert.deepEqual(['a', 'b', 'c'], identifiers);
+                        return done();
+                    }
+
+                    identifiers.push(image.imageIdentifier);
+                    next();
+                });
+            };
+
+            next();
+        });
+    });
+
     describe('#getMetadata', function() {
         it('should return an object of key => value data', function(done) {
             mock.filteringPath(urlCleaner)
@@ -1753,6 +3119,388 @@ describe('ImboClient', function() {
             });
         });
     });
+
+    describe('retries', function() {
+        var retryClient;
+
+        beforeEach(function() {
+            retryClient = new Imbo.Client({
+                hosts: 'http://imbo',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                retry: { attempts: 3, minDelay: 1 }
+            });
+        });
+
+        it('should retry requests failing with a retryable status code', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/status').reply(503)
+                .get('/status').reply(502)
+                .get('/status').reply(200, JSON.stringify({ date: 'Fri, 14 Mar 2014 07:43:49 GMT' }), {
+                    'Content-Type': 'application/json'
+                });
+
+            retryClient.getServerStatus(function(err, status) {
+                assert.ifError(err, 'getServerStatus should succeed after retrying');
+                assert.equal(200, status.status);
+                done();
+            });
+        });
+
+        it('should give up after the maximum number of attempts', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/status').times(3).reply(503);
+
+            retryClient.getServerStatus(function(err) {
+                assert(err);
+                assert.equal(503, err.statusCode);
+                done();
+            });
+        });
+
+        it('should not retry non-retryable status codes', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/status').reply(400);
+
+            retryClient.getServerStatus(function(err) {
+                assert(err);
+                assert.equal(400, err.statusCode);
+                done();
+            });
+        });
+
+        it('should re-sign signed requests on every attempt', function(done) {
+            var signed = 0,
+                getSignedResourceUrl = retryClient.getSignedResourceUrl;
+
+            retryClient.getSignedResourceUrl = function() {
+                signed++;
+                return getSignedResourceUrl.apply(this, arguments);
+            };
+
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE').reply(503)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE').reply(200, 'OK');
+
+            retryClient.deleteImage(catMd5, function(err, res) {
+                assert.ifError(err, 'deleteImage should succeed after retrying');
+                assert.equal(200, res.statusCode);
+                assert.equal(2, signed);
+                done();
+            });
+        });
+
+        it('should retry requests that fail with a network error', function(done) {
+            var server = servers.createResetServer(6777);
+            retryClient = new Imbo.Client({
+                hosts: 'http://127.0.0.1:6777',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                retry: { attempts: 2, minDelay: 1 }
+            });
+
+            var attempts = 0;
+            server.on('connection', function() {
+                attempts++;
+            });
+
+            retryClient.getServerStats(function(err) {
+                server.close();
+                assert(err);
+                assert.equal(2, attempts);
+                done();
+            });
+        });
+    });
+
+    describe('failover', function() {
+        var failoverClient, mockImgUrl2;
+
+        beforeEach(function() {
+            failoverClient = new Imbo.Client({
+                hosts: ['http://imbo', 'http://imbo1', 'http://imbo2'],
+                publicKey: 'pub',
+                privateKey: 'priv',
+                failover: { maxFailures: 2, cooldown: 60000 }
+            });
+
+            mockImgUrl2 = getNock()('http://imbo2');
+        });
+
+        afterEach(function() {
+            mockImgUrl2.done();
+        });
+
+        it('should retry a request against the next host on 5xx-responses', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/stats').reply(503);
+
+            mockImgUrl.filteringPath(urlCleaner)
+                .get('/stats').reply(200, { foo: 'bar' }, { 'Content-Type': 'application/json' });
+
+            failoverClient.getServerStats(function(err, stats) {
+                assert.ifError(err, 'getServerStats should succeed against the second host');
+                assert.equal('bar', stats.foo);
+                done();
+            });
+        });
+
+        it('should not fail over on 4xx-responses', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/stats').reply(404);
+
+            failoverClient.getServerStats(function(err) {
+                assert.equal(404, err.statusCode);
+                done();
+            });
+        });
+
+        it('should give up when all hosts have failed', function(done) {
+            mock.filteringPath(urlCleaner).get('/stats').reply(503);
+            mockImgUrl.filteringPath(urlCleaner).get('/stats').reply(502);
+            mockImgUrl2.filteringPath(urlCleaner).get('/stats').reply(500);
+
+            failoverClient.getServerStats(function(err) {
+                assert.equal(500, err.statusCode);
+                done();
+            });
+        });
+
+        it('should re-sign signed requests for the next host', function(done) {
+            mock.filteringPath(urlCleaner)
+                .intercept('/users/pub/images/' + catMd5, 'DELETE').reply(503);
+
+            mockImgUrl.filteringPath(function(urlPath) {
+                assert(urlPath.indexOf('signature=') > -1);
+                return urlCleaner(urlPath);
+            }).intercept('/users/pub/images/' + catMd5, 'DELETE').reply(200, 'OK');
+
+            failoverClient.deleteImage(catMd5, function(err, res) {
+                assert.ifError(err, 'deleteImage should succeed against the second host');
+                assert.equal(200, res.statusCode);
+                done();
+            });
+        });
+
+        it('should generate access tokens for the next host', function(done) {
+            var requested;
+
+            mock.filteringPath(urlCleaner).get('/users/pub').reply(503);
+            mockImgUrl.filteringPath(function(urlPath) {
+                requested = urlPath;
+                return urlCleaner(urlPath);
+            }).get('/users/pub').reply(200, { user: 'pub' });
+
+            failoverClient.getUserInfo(function(err, info) {
+                assert.ifError(err, 'getUserInfo should succeed against the second host');
+                assert.equal('pub', info.user);
+                assert.equal(
+                    '/users/pub?accessToken=' + failoverClient.getUserUrl().getAccessToken('http://imbo1/users/pub'),
+                    requested
+                );
+                done();
+            });
+        });
+
+        it('should route around hosts marked as unhealthy', function(done) {
+            mock.filteringPath(urlCleaner).get('/stats').times(2).reply(503);
+            mockImgUrl.filteringPath(urlCleaner).get('/stats').times(3).reply(200, {}, {
+                'Content-Type': 'application/json'
+            });
+
+            failoverClient.getServerStats(function() {
+                failoverClient.getServerStats(function() {
+                    assert.equal('http://imbo1', failoverClient.getHostForImageIdentifier(catMd5, true));
+                    assert(failoverClient.getStatsUrl().toString().indexOf('http://imbo1/stats') === 0);
+
+                    failoverClient.getServerStats(function(err) {
+                        assert.ifError(err);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should use the deterministic host when all hosts are healthy', function() {
+            assert.equal('http://imbo2', failoverClient.getHostForImageIdentifier('3b71c51547c3aa1ae81a5e9c57dfef67'));
+            assert.equal('http://imbo', failoverClient.getHostForImageIdentifier(catMd5, true));
+        });
+    });
+
+    describe('timeouts and cancellation', function() {
+        var createSignal = function() {
+            var listeners = [];
+
+            return {
+                aborted: false,
+                addEventListener: function(type, fn) {
+                    listeners.push(fn);
+                },
+                removeEventListener: function(type, fn) {
+                    listeners.splice(listeners.indexOf(fn), 1);
+                },
+                abort: function() {
+                    this.aborted = true;
+                    listeners.slice().forEach(function(fn) {
+                        fn();
+                    });
+                }
+            };
+        };
+
+        it('should fail with a timeout error if the server does not respond in time', function(done) {
+            var server = http.createServer(function() {}).listen(6778, '127.0.0.1');
+
+            client = new Imbo.Client({
+                hosts: 'http://127.0.0.1:6778',
+                publicKey: 'pub',
+                privateKey: 'priv',
+                timeout: 50
+            });
+
+            client.getServerStats(function(err) {
+                server.close();
+                assert(err);
+                assert(/TIMEDOUT/.test(err.code));
+                done();
+            });
+        });
+
+        it('should allow overriding the timeout per call', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/stats')
+                .delayConnection(100)
+                .reply(200, { foo: 'bar' }, { 'Content-Type': 'application/json' });
+
+            client = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', privateKey: 'priv', timeout: 10 });
+            client.withRequestOptions({ timeout: 5000 }).getServerStats(function(err, stats) {
+                assert.ifError(err);
+                assert.equal('bar', stats.foo);
+                done();
+            });
+        });
+
+        it('should call back with a cancellation error when aborted', function(done) {
+            var signal = createSignal();
+
+            mock.filteringPath(urlCleaner)
+                .get('/stats')
+                .delayConnection(500)
+                .reply(200, {}, { 'Content-Type': 'application/json' });
+
+            client.withRequestOptions({ signal: signal }).getServerStats(function(err) {
+                assert(err);
+                assert.equal('ECANCELED', err.code);
+                done();
+            });
+
+            setTimeout(signal.abort.bind(signal), 10);
+        });
+
+        it('should not send requests when the signal has already been aborted', function(done) {
+            var signal = createSignal();
+            signal.aborted = true;
+
+            client.withRequestOptions({ signal: signal }).getServerStats(function(err) {
+                assert.equal('ECANCELED', err.code);
+                done();
+            });
+        });
+
+        it('should share state with the original client', function() {
+            var scoped = client.withRequestOptions({ timeout: 10 });
+            assert.equal('undefined', typeof client.options.timeout);
+            assert.equal(10, scoped.options.timeout);
+            assert.equal(client.getStatsUrl().toString(), scoped.getStatsUrl().toString());
+        });
+    });
+
+    describe('promises', function() {
+        it('should return the client when given a callback', function(done) {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images/' + catMd5 + '/meta')
+                .reply(200, JSON.stringify({ foo: 'bar' }), { 'Content-Type': 'application/json' });
+
+            var res = client.getMetadata(catMd5, function(err) {
+                assert.ifError(err);
+                done();
+            });
+
+            assert.equal(client, res);
+        });
+
+        it('should resolve with a single value if the callback only gets one', function() {
+            mock.filteringPath(urlCleaner)
+                .head('/users/pub/images/' + catMd5)
+                .reply(200, 'OK');
+
+            return client.imageIdentifierExists(catMd5).then(function(exists) {
+                assert.strictEqual(true, exists);
+            });
+        });
+
+        it('should resolve with an object of named values', function() {
+            mock.filteringPath(urlCleaner)
+                .get('/users/pub/images')
+                .reply(200, JSON.stringify({ images: [{ imageIdentifier: catMd5 }], search: { hits: 1 } }), {
+                    'Content-Type': 'application/json'
+                });
+
+            return client.getImages().then(function(result) {
+                assert.equal(catMd5, result.images[0].imageIdentifier);
+                assert.equal(1, result.search.hits);
+                assert.equal(200, result.response.statusCode);
+            });
+        });
+
+        it('should resolve when called with optional arguments after the callback', function() {
+            mock.filteringPath(urlCleaner)
+                .put('/users/pub/images/' + catMd5 + '/meta', { foo: 'bar' })
+                .reply(200, { foo: 'bar' }, { 'Content-Type': 'application/json' });
+
+            return client.editMetadata(catMd5, { foo: 'bar' }, null, 'PUT').then(function(result) {
+                assert.equal('bar', result.metadata.foo);
+            });
+        });
+
+        it('should resolve uploads with the image identifier and body', function() {
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5, width: 665 }, { 'Content-Type': 'application/json' });
+
+            return client.addImage(fixtures + '/cat.jpg').then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+                assert.equal(665, result.body.width);
+                assert.equal(201, result.response.statusCode);
+            });
+        });
+
+        it('should keep progress handlers when no onComplete is given', function() {
+            var buffer = fs.readFileSync(fixtures + '/cat.jpg');
+
+            mock.filteringPath(urlCleaner)
+                .filteringRequestBody(bodyCleaner)
+                .post('/users/pub/images', '*')
+                .reply(201, { imageIdentifier: catMd5 }, { 'Content-Type': 'application/json' });
+
+            return client.addImageFromBuffer(buffer, { onProgress: function() {} }).then(function(result) {
+                assert.equal(catMd5, result.imageIdentifier);
+            });
+        });
+
+        it('should reject on errors', function() {
+            mock.filteringPath(urlCleaner)
+                .get('/status')
+                .reply(503);
+
+            return client.getServerStatus().then(function() {
+                throw new Error('getServerStatus should not resolve on a 503-response');
+            }, function(err) {
+                assert.equal(503, err.statusCode);
+            });
+        });
+    });
 });
 
 function getNock() {
@@ -38,6 +38,16 @@ describe('feature-support', function() {
             unsupported = features.getUnsupported({ XMLHttpRequest: XMLHttpRequest });
             assert.equal(-1, unsupported.indexOf('XMLHttpRequest2'));
         });
+
+        it('should not require XMLHttpRequest or FileReader if fetch is supported', function() {
+            unsupported = features.getUnsupported({
+                ArrayBuffer: true,
+                fetch: function() {},
+                Response: function() {}
+            });
+
+            assert.equal(0, unsupported.length);
+        });
     });
 
     describe('#checkFeatures', function() {
@@ -51,5 +61,13 @@ describe('feature-support', function() {
 
             assert.throws(shouldThrow, Error, 'Error thrown');
         });
+
+        it('should not throw in fetch-only environments', function() {
+            features.checkFeatures({
+                ArrayBuffer: true,
+                fetch: function() {},
+                Response: function() {}
+            });
+        });
     });
 });
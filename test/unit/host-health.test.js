@@ -0,0 +1,60 @@
+'use strict';
+
+var HostHealth = require('../../lib/utils/host-health'),
+    assert = require('assert');
+
+describe('HostHealth', function() {
+    var hosts = ['http://imbo', 'http://imbo1', 'http://imbo2'],
+        health;
+
+    beforeEach(function() {
+        health = new HostHealth({ maxFailures: 2, cooldown: 1000 });
+    });
+
+    describe('#markFailure', function() {
+        it('should mark a host as unhealthy after the max number of failures', function() {
+            health.markFailure('http://imbo');
+            assert.equal(true, health.isHealthy('http://imbo'));
+
+            health.markFailure('http://imbo');
+            assert.equal(false, health.isHealthy('http://imbo'));
+        });
+
+        it('should consider the host healthy again after the cool-down', function() {
+            health = new HostHealth({ maxFailures: 1, cooldown: -1 });
+            health.markFailure('http://imbo');
+            assert.equal(true, health.isHealthy('http://imbo'));
+        });
+    });
+
+    describe('#markSuccess', function() {
+        it('should reset the failure count of a host', function() {
+            health.markFailure('http://imbo').markSuccess('http://imbo').markFailure('http://imbo');
+            assert.equal(true, health.isHealthy('http://imbo'));
+        });
+    });
+
+    describe('#pick', function() {
+        it('should pick the host at the given index if it is healthy', function() {
+            assert.equal('http://imbo1', health.pick(hosts, 1));
+        });
+
+        it('should pick the next healthy host if the host is unhealthy', function() {
+            health.markFailure('http://imbo1').markFailure('http://imbo1');
+            assert.equal('http://imbo2', health.pick(hosts, 1));
+        });
+
+        it('should fall back to the host at the given index if no hosts are healthy', function() {
+            hosts.forEach(function(host) {
+                health.markFailure(host).markFailure(host);
+            });
+
+            assert.equal('http://imbo1', health.pick(hosts, 1));
+        });
+
+        it('should skip excluded hosts, returning null if none are left', function() {
+            assert.equal('http://imbo2', health.pick(hosts, 0, ['http://imbo', 'http://imbo1']));
+            assert.equal(null, health.pick(hosts, 0, hosts));
+        });
+    });
+});
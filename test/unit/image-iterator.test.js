@@ -0,0 +1,181 @@
+'use strict';
+
+var Imbo = require('../../'),
+    ImageIterator = require('../../lib/image-iterator'),
+    assert = require('assert');
+
+describe('ImageIterator', function() {
+    var images, requests, failNext, client;
+
+    var createImages = function(num) {
+        var list = [];
+        for (var i = 0; i < num; i++) {
+            list.push({ imageIdentifier: 'image-' + i });
+        }
+
+        return list;
+    };
+
+    var collect = function(iterator, callback, onImage) {
+        var result = [];
+
+        var next = function() {
+            iterator.next(function(err, image, done) {
+                if (err || done) {
+                    return callback(err, result);
+                }
+
+                result.push(image.imageIdentifier);
+
+                if (onImage) {
+                    onImage(image, result.length);
+                }
+
+                next();
+            });
+        };
+
+        next();
+    };
+
+    beforeEach(function() {
+        images = createImages(5);
+        requests = [];
+        failNext = false;
+
+        client = {
+            getImages: function(query, callback) {
+                var page = query.page(),
+                    limit = query.limit(),
+                    start = (page - 1) * limit;
+
+                requests.push({ page: page, limit: limit, fields: query.fields() });
+
+                setImmediate(function() {
+                    if (failNext) {
+                        failNext = false;
+                        return callback(new Error('HTTP 503 Service Unavailable'));
+                    }
+
+                    callback(null, images.slice(start, start + limit), {
+                        hits: images.length,
+                        page: page,
+                        limit: limit,
+                        count: images.slice(start, start + limit).length
+                    });
+                });
+            }
+        };
+    });
+
+    it('should page through all images using the limit of the query', function(done) {
+        collect(new ImageIterator(client, (new Imbo.Query()).limit(2)), function(err, result) {
+            assert.ifError(err);
+            assert.deepEqual(['image-0', 'image-1', 'image-2', 'image-3', 'image-4'], result);
+            assert.deepEqual([1, 2, 3], requests.map(function(req) {
+                return req.page;
+            }));
+            assert.equal(2, requests[0].limit);
+            done();
+        });
+    });
+
+    it('should stop when the number of hits is exhausted', function(done) {
+        images = createImages(4);
+
+        collect(new ImageIterator(client, (new Imbo.Query()).limit(2)), function(err, result) {
+            assert.ifError(err);
+            assert.equal(4, result.length);
+            assert.equal(2, requests.length);
+            done();
+        });
+    });
+
+    it('should not change the page of the given query', function(done) {
+        var query = (new Imbo.Query()).limit(2);
+
+        collect(new ImageIterator(client, query), function(err) {
+            assert.ifError(err);
+            assert.equal(1, query.page());
+            done();
+        });
+    });
+
+    it('should start at the page of the given query', function(done) {
+        collect(new ImageIterator(client, (new Imbo.Query()).limit(2).page(2)), function(err, result) {
+            assert.ifError(err);
+            assert.deepEqual(['image-2', 'image-3', 'image-4'], result);
+            done();
+        });
+    });
+
+    it('should request image identifiers when limiting fields', function(done) {
+        collect(new ImageIterator(client, (new Imbo.Query()).fields(['width'])), function(err) {
+            assert.ifError(err);
+            assert.deepEqual(['width', 'imageIdentifier'], requests[0].fields);
+            done();
+        });
+    });
+
+    it('should not return images twice when images are added while iterating', function(done) {
+        var query = (new Imbo.Query()).limit(2);
+
+        collect(new ImageIterator(client, query), function(err, result) {
+            assert.ifError(err);
+            assert.deepEqual(['image-0', 'image-1', 'image-2', 'image-3', 'image-4'], result);
+            done();
+        }, function(image, count) {
+            if (count === 2) {
+                images.unshift({ imageIdentifier: 'new-image' });
+            }
+        });
+    });
+
+    it('should not skip images when images are deleted while iterating', function(done) {
+        var query = (new Imbo.Query()).limit(2);
+
+        collect(new ImageIterator(client, query), function(err, result) {
+            assert.ifError(err);
+            assert.deepEqual(['image-0', 'image-1', 'image-2', 'image-3', 'image-4'], result.sort());
+            done();
+        }, function(image, count) {
+            if (count === 2) {
+                images.shift();
+            }
+        });
+    });
+
+    it('should pass errors and allow resuming', function(done) {
+        var iterator = new ImageIterator(client, (new Imbo.Query()).limit(2));
+        failNext = true;
+
+        iterator.next(function(err) {
+            assert(err);
+
+            collect(iterator, function(resumeErr, result) {
+                assert.ifError(resumeErr);
+                assert.equal(5, result.length);
+                done();
+            });
+        });
+    });
+
+    it('should return promises when called without a callback', function() {
+        var iterator = new ImageIterator(client, (new Imbo.Query()).limit(3));
+
+        return iterator.next().then(function(result) {
+            assert.deepEqual({ value: { imageIdentifier: 'image-0' }, done: false }, result);
+            return iterator.return();
+        }).then(function(result) {
+            assert.equal(true, result.done);
+            return iterator.next();
+        }).then(function(result) {
+            assert.equal(true, result.done);
+        });
+    });
+
+    it('should be an async iterable', function() {
+        var iterator = new ImageIterator(client);
+        assert.equal(iterator, iterator[Symbol.asyncIterator]());
+    });
+});
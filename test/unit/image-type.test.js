@@ -0,0 +1,92 @@
+'use strict';
+
+var imageType = require('../../lib/utils/image-type'),
+    assert = require('assert'),
+    fs = require('fs'),
+    path = require('path');
+
+var fixtures = path.join(__dirname, '..', 'fixtures');
+
+describe('imageType', function() {
+    var bytes = function(list) {
+        return new Buffer(list);
+    };
+
+    describe('#detect', function() {
+        it('should detect the built-in image types', function() {
+            assert.equal('image/jpeg', imageType.detect(fs.readFileSync(path.join(fixtures, 'cat.jpg'))));
+            assert.equal('image/png', imageType.detect(bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])));
+            assert.equal('image/gif', imageType.detect(new Buffer('GIF89a...')));
+            assert.equal('image/gif', imageType.detect(new Buffer('GIF87a...')));
+            assert.equal('image/webp', imageType.detect(new Buffer('RIFF\u0000\u0001\u0002\u0003WEBPVP8 ')));
+            assert.equal('image/tiff', imageType.detect(bytes([0x49, 0x49, 0x2a, 0x00, 0x08])));
+            assert.equal('image/tiff', imageType.detect(bytes([0x4d, 0x4d, 0x00, 0x2a, 0x00])));
+        });
+
+        it('should return null for unrecognized data', function() {
+            assert.equal(null, imageType.detect(fs.readFileSync(path.join(fixtures, 'invalid.png'))));
+            assert.equal(null, imageType.detect(bytes([0xff, 0xd8])));
+        });
+
+        it('should detect types from array buffers and binary strings', function() {
+            var buffer = new ArrayBuffer(4),
+                view = new Uint8Array(buffer);
+
+            view.set([0x49, 0x49, 0x2a, 0x00]);
+
+            assert.equal('image/tiff', imageType.detect(buffer));
+            assert.equal('image/jpeg', imageType.detect('\u00ff\u00d8\u00ff\u00e0'));
+        });
+
+        it('should detect extra types', function() {
+            assert.equal('image/bmp', imageType.detect(new Buffer('BM...'), { 'image/bmp': [0x42, 0x4d] }));
+        });
+    });
+
+    describe('#validate', function() {
+        var options = imageType.getOptions(true),
+            jpeg = bytes([0xff, 0xd8, 0xff, 0xe0]);
+
+        it('should accept supported images', function() {
+            assert.equal(null, imageType.validate(jpeg, 1000, options));
+        });
+
+        it('should reject empty images', function() {
+            var err = imageType.validate(new Buffer(0), 0, options);
+            assert.equal('EINVALIDIMAGE', err.code);
+            assert.equal('Image is empty', err.message);
+        });
+
+        it('should reject unrecognized data', function() {
+            var err = imageType.validate(new Buffer('THIS IS NOT A VALID PNG'), 30, options);
+            assert.equal('EINVALIDIMAGE', err.code);
+            assert.equal(null, err.detectedType);
+            assert(/Unrecognized image data.*image\/jpeg, image\/png, image\/gif/.test(err.message));
+        });
+
+        it('should only allow WebP and TIFF when enabled', function() {
+            var tiff = bytes([0x49, 0x49, 0x2a, 0x00]);
+
+            var err = imageType.validate(tiff, 30, options);
+            assert.equal('image/tiff', err.detectedType);
+            assert(/Unsupported image type image\/tiff/.test(err.message));
+
+            assert.equal(null, imageType.validate(tiff, 30, imageType.getOptions({
+                types: ['image/jpeg', 'image/tiff']
+            })));
+        });
+
+        it('should allow extra types', function() {
+            assert.equal(null, imageType.validate(new Buffer('BM...'), 5, imageType.getOptions({
+                extraTypes: { 'image/bmp': [0x42, 0x4d] }
+            })));
+        });
+
+        it('should reject images exceeding the maximum size', function() {
+            var err = imageType.validate(jpeg, 2048, imageType.getOptions({ maxSize: 1024 }));
+            assert.equal('image/jpeg', err.detectedType);
+            assert.equal(2048, err.size);
+            assert.equal('Image is too large: 2048 bytes exceeds the maximum of 1024 bytes', err.message);
+        });
+    });
+});
@@ -1,7 +1,8 @@
 'use strict';
 
 var Imbo = require('../../'),
-    assert = require('assert');
+    assert = require('assert'),
+    crypto = require('crypto');
 
 var catMd5 = '61da9892205a0d5077a353eb3487e8c8';
 
@@ -386,6 +387,25 @@ describe('Imbo.ImageUrl', function() {
             assertUrlContains(url.smartSize({ width: 320, height: 240 }), '?t[]=smartSize:width=320,height=240');
         });
 
+        it('should include the width and height', function() {
+            assert.equal(url.smartSize({ width: 320, height: 240 }).getQueryString(), 't[]=smartSize:width=320,height=240');
+        });
+
+        it('should include the width and height before the other params', function() {
+            assert.equal('t[]=smartSize:width=320,height=240,crop=wide', url.smartSize({
+                width: '320',
+                height: 240,
+                crop: 'wide'
+            }).getQueryString());
+        });
+
+        it('should include the width and height with a POI', function() {
+            assert.equal(
+                url.smartSize({ width: 320, height: 240, poi: [1, '2'] }).getQueryString(),
+                't[]=smartSize:width=320,height=240,poi=1,2'
+            );
+        });
+
         it('should handle coordinate array', function() {
             assertUrlContains(url.smartSize({ width: 320, height: 240, poi: [1, '2'] }), '?t[]=smartSize:width=320,height=240,poi=1,2');
         });
@@ -610,6 +630,668 @@ describe('Imbo.ImageUrl', function() {
         });
     });
 
+    describe('#blur', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=blur:radius=1,sigma=2', url.clone().blur({ radius: 1, sigma: '2' }).getQueryString());
+            assert.equal('t[]=blur:type=adaptive,radius=3,sigma=1.5', url.clone().blur({
+                type: 'adaptive', radius: 3, sigma: 1.5
+            }).getQueryString());
+            assert.equal('t[]=blur:type=motion,radius=1,sigma=2,angle=45', url.clone().blur({
+                type: 'motion', radius: 1, sigma: 2, angle: 45
+            }).getQueryString());
+            assert.equal('t[]=blur:type=radial,angle=5', url.clone().blur({ type: 'radial', angle: 5 }).getQueryString());
+        });
+
+        it('should throw on invalid options', function() {
+            assert.throws(function() {
+                url.blur();
+            }, /radius and sigma/);
+
+            assert.throws(function() {
+                url.blur({ radius: 1 });
+            }, /radius and sigma/);
+
+            assert.throws(function() {
+                url.blur({ type: 'motion', radius: 1, sigma: 2 });
+            }, /angle/);
+
+            assert.throws(function() {
+                url.blur({ type: 'radial' });
+            }, /angle/);
+
+            assert.throws(function() {
+                url.blur({ type: 'wat', radius: 1, sigma: 2 });
+            }, /type/);
+        });
+    });
+
+    describe('#clip', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=clip', url.clone().clip().getQueryString());
+            assert.equal('t[]=clip:path=Path 1,ignoreUnknownPath=1', url.clone().clip({
+                path: 'Path 1',
+                ignoreUnknownPath: true
+            }).getQueryString());
+        });
+
+        it('should throw on invalid path', function() {
+            assert.throws(function() {
+                url.clip({ path: 13 });
+            }, /path/);
+        });
+    });
+
+    describe('#contrast', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=contrast', url.clone().contrast().getQueryString());
+            assert.equal('t[]=contrast:alpha=-2.5,beta=0.2', url.clone().contrast({ alpha: -2.5, beta: '0.2' }).getQueryString());
+        });
+
+        it('should throw on invalid options', function() {
+            assert.throws(function() {
+                url.contrast({ alpha: 'wat' });
+            }, /alpha/);
+
+            assert.throws(function() {
+                url.contrast({ beta: 1.5 });
+            }, /beta/);
+        });
+    });
+
+    describe('#drawPois', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=drawPois', url.clone().drawPois().getQueryString());
+            assert.equal('t[]=drawPois:color=00ff00,borderSize=3,pointSize=20', url.clone().drawPois({
+                color: '#00ff00',
+                borderSize: 3,
+                pointSize: '20'
+            }).getQueryString());
+        });
+
+        it('should throw on invalid sizes', function() {
+            assert.throws(function() {
+                url.drawPois({ borderSize: 0 });
+            }, /borderSize/);
+
+            assert.throws(function() {
+                url.drawPois({ pointSize: 'wat' });
+            }, /pointSize/);
+        });
+    });
+
+    describe('#histogram', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=histogram', url.clone().histogram().getQueryString());
+            assert.equal('t[]=histogram:scale=2,ratio=2.5,red=f00,green=0f0,blue=00f', url.clone().histogram({
+                scale: 2,
+                ratio: 2.5,
+                red: '#f00',
+                green: '0f0',
+                blue: '00f'
+            }).getQueryString());
+        });
+
+        it('should throw on invalid options', function() {
+            assert.throws(function() {
+                url.histogram({ scale: -1 });
+            }, /scale/);
+
+            assert.throws(function() {
+                url.histogram({ ratio: 0 });
+            }, /ratio/);
+        });
+    });
+
+    describe('#level', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=level:amount=30', url.clone().level({ amount: 30 }).getQueryString());
+            assert.equal('t[]=level:channel=rg,amount=-15', url.clone().level({ channel: 'rg', amount: -15 }).getQueryString());
+        });
+
+        it('should throw on invalid options', function() {
+            assert.throws(function() {
+                url.level();
+            }, /amount/);
+
+            assert.throws(function() {
+                url.level({ amount: 101 });
+            }, /amount/);
+
+            assert.throws(function() {
+                url.level({ amount: 10, channel: 'rx' });
+            }, /channel/);
+        });
+    });
+
+    describe('#vignette', function() {
+        it('should return correct transformation', function() {
+            assert.equal('t[]=vignette', url.clone().vignette().getQueryString());
+            assert.equal('t[]=vignette:inner=fff,outer=333,scale=2', url.clone().vignette({
+                inner: '#fff',
+                outer: '333',
+                scale: 2
+            }).getQueryString());
+        });
+
+        it('should throw on invalid scale', function() {
+            assert.throws(function() {
+                url.vignette({ scale: 'wat' });
+            }, /scale/);
+        });
+    });
+
+    describe('.parse with effect transformations', function() {
+        it('should parse the transformations into names and params', function() {
+            var qs = 't[]=blur:type=motion,radius=1,sigma=2,angle=45&t[]=contrast:alpha=3&t[]=level:channel=r,amount=30' +
+                '&t[]=vignette:outer=000,scale=1.5&t[]=histogram:scale=2&t[]=clip:path=Path 1&t[]=drawPois:color=f00';
+
+            var parsed = Imbo.ImageUrl.parse('http://imbo/users/pub/images/' + catMd5 + '?' + qs, priv),
+                transformations = parsed.getTransformations();
+
+            assert.deepEqual(
+                ['blur', 'contrast', 'level', 'vignette', 'histogram', 'clip', 'drawPois'],
+                transformations.map(function(transformation) {
+                    return transformation.name;
+                })
+            );
+
+            assert.deepEqual({ type: 'motion', radius: 1, sigma: 2, angle: 45 }, transformations[0].params);
+            assert.deepEqual({ channel: 'r', amount: 30 }, transformations[2].params);
+            assert.strictEqual('000', transformations[3].params.outer);
+            assert.equal(qs, parsed.getQueryString());
+        });
+
+        it('should generate the same URLs as the builder methods', function() {
+            url.blur({ radius: 1, sigma: 2 }).contrast({ alpha: 3 }).level({ amount: 30 }).vignette().drawPois();
+            assert.equal(url.getUrl(), Imbo.ImageUrl.parse(url.getUrl(), priv).getUrl());
+        });
+    });
+
+    describe('structured transformations', function() {
+        it('should expose the name and params of applied transformations', function() {
+            url.crop({ x: 5, y: 10, width: 100, height: 200 }).strip();
+
+            var transformations = url.getTransformations();
+            assert.equal('crop', transformations[0].name);
+            assert.deepEqual({ width: 100, height: 200, x: 5, y: 10 }, transformations[0].params);
+            assert.equal('strip', transformations[1].name);
+        });
+
+        it('should accept transformations as objects', function() {
+            url.append({ name: 'maxSize', params: { width: 100 } }).append(new Imbo.Transformation('strip'));
+            assert.equal('t[]=maxSize:width=100&t[]=strip', url.getQueryString());
+        });
+
+        it('should reflect edited transformations in the URL', function() {
+            url.maxSize({ width: 100 }).getTransformations()[0].setParam('height', 50);
+            assert.equal('t[]=maxSize:width=100,height=50', url.getQueryString());
+        });
+
+        it('should remove transformations by index or name', function() {
+            url.flipHorizontally().strip().flipHorizontally().desaturate();
+
+            assert.equal('t[]=strip&t[]=desaturate', url.removeTransformation('flipHorizontally').getQueryString());
+            assert.equal('t[]=desaturate', url.removeTransformation(0).getQueryString());
+        });
+
+        it('should replace transformations', function() {
+            url.strip().setTransformations(['desaturate', { name: 'resize', params: { width: 10 } }]);
+            assert.equal('t[]=desaturate&t[]=resize:width=10', url.getQueryString());
+        });
+
+        it('should not share transformations with clones', function() {
+            url.maxSize({ width: 100 });
+
+            var clone = url.clone();
+            clone.getTransformations()[0].setParam('width', 200);
+
+            assert.equal('t[]=maxSize:width=100', url.getQueryString());
+            assert.equal('t[]=maxSize:width=200', clone.getQueryString());
+        });
+
+        it('should round-trip parsed URLs losslessly', function() {
+            var qs = 't[]=smartSize:width=320,height=240,poi=10,20&t[]=border:color=000000,width=1,height=1,mode=inline' +
+                '&t[]=custom:flag&t[]=sharpen',
+                parsed = Imbo.ImageUrl.parse('http://imbo/users/pub/images/' + catMd5 + '?' + qs);
+
+            assert.equal(qs, parsed.getQueryString());
+            assert.deepEqual([10, 20], parsed.getTransformations()[0].params.poi);
+            assert.strictEqual('000000', parsed.getTransformations()[1].params.color);
+        });
+    });
+
+    describe('#getOutputDimensions', function() {
+        var original = { width: 800, height: 600 };
+
+        var dimensions = function(imageUrl) {
+            var result = imageUrl.getOutputDimensions(original);
+            return [result.width, result.height];
+        };
+
+        it('should return the original size without transformations', function() {
+            assert.deepEqual({ width: 800, height: 600, undetermined: [] }, url.getOutputDimensions(original));
+        });
+
+        it('should throw if the original size is missing', function() {
+            assert.throws(function() {
+                url.getOutputDimensions({ width: 800 });
+            }, /width and height/);
+        });
+
+        it('should calculate the size of resized images', function() {
+            assert.deepEqual([400, 300], dimensions(url.clone().resize({ width: 400 })));
+            assert.deepEqual([267, 200], dimensions(url.clone().resize({ height: 200 })));
+            assert.deepEqual([100, 100], dimensions(url.clone().resize({ width: 100, height: 100 })));
+        });
+
+        it('should keep the aspect ratio and never upscale with maxSize', function() {
+            assert.deepEqual([200, 150], dimensions(url.clone().maxSize({ width: 200, height: 200 })));
+            assert.deepEqual([400, 300], dimensions(url.clone().maxSize({ height: 300 })));
+            assert.deepEqual([800, 600], dimensions(url.clone().maxSize({ width: 1000 })));
+        });
+
+        it('should calculate the size of crops', function() {
+            assert.deepEqual([100, 50], dimensions(url.clone().crop({ x: 10, y: 10, width: 100, height: 50 })));
+            assert.deepEqual([400, 600], dimensions(url.clone().crop({ mode: 'center-x', y: 0, width: 400, height: 600 })));
+            assert.deepEqual([800, 600], dimensions(url.clone().crop({ x: 0, y: 0, width: 1000, height: 1000 })));
+        });
+
+        it('should flag crops which are out of bounds', function() {
+            var result = url.crop({ x: 700, y: 0, width: 200, height: 100 }).getOutputDimensions(original);
+
+            assert.equal(null, result.width);
+            assert.equal(null, result.height);
+            assert.deepEqual([{ index: 0, name: 'crop', reason: 'Crop area is out of bounds' }], result.undetermined);
+        });
+
+        it('should calculate the size of thumbnails', function() {
+            assert.deepEqual([50, 50], dimensions(url.clone().thumbnail()));
+            assert.deepEqual([100, 75], dimensions(url.clone().thumbnail({ width: 100, height: 100, fit: 'inset' })));
+            assert.deepEqual([320, 240], dimensions(url.clone().smartSize({ width: 320, height: 240 })));
+        });
+
+        it('should calculate the size of borders and canvases', function() {
+            assert.deepEqual([810, 604], dimensions(url.clone().border({ width: 5, height: 2 })));
+            assert.deepEqual([800, 600], dimensions(url.clone().border({ width: 5, mode: 'inline' })));
+            assert.deepEqual([1000, 900], dimensions(url.clone().canvas({ width: 1000, height: 900 })));
+        });
+
+        it('should swap the dimensions when rotating by 90 degrees, transposing and transversing', function() {
+            assert.deepEqual([600, 800], dimensions(url.clone().rotate({ angle: 90 })));
+            assert.deepEqual([800, 600], dimensions(url.clone().rotate({ angle: -180 })));
+            assert.deepEqual([600, 800], dimensions(url.clone().transpose()));
+            assert.deepEqual([600, 800], dimensions(url.clone().transverse()));
+        });
+
+        it('should not change the size for transformations which keep it', function() {
+            url.flipHorizontally().flipVertically().desaturate().sepia().sharpen().strip().compress().watermark();
+            assert.deepEqual([800, 600], dimensions(url));
+        });
+
+        it('should calculate the size through the whole chain', function() {
+            url
+                .crop({ x: 0, y: 0, width: 400, height: 600 })
+                .rotate({ angle: 90 })
+                .maxSize({ width: 300 })
+                .border({ width: 10, height: 10 });
+
+            assert.deepEqual({ width: 320, height: 220, undetermined: [] }, url.getOutputDimensions(original));
+        });
+
+        it('should flag undeterminable transformations and recover on fixed sizes', function() {
+            url.autoRotate().resize({ width: 100 }).append('foobar').rotate({ angle: 45 }).thumbnail({ width: 80 });
+
+            var result = url.getOutputDimensions(original);
+            assert.equal(80, result.width);
+            assert.equal(50, result.height);
+            assert.deepEqual(['autoRotate', 'foobar', 'rotate'], result.undetermined.map(function(item) {
+                return item.name;
+            }));
+            assert.deepEqual([0, 2, 3], result.undetermined.map(function(item) {
+                return item.index;
+            }));
+        });
+
+        it('should work for parsed URLs', function() {
+            var parsed = Imbo.ImageUrl.parse(
+                'http://imbo/users/pub/images/' + catMd5 + '?t[]=maxSize:width=400&t[]=canvas:width=500,height=400'
+            );
+
+            assert.deepEqual({ width: 500, height: 400, undetermined: [] }, parsed.getOutputDimensions(original));
+        });
+    });
+
+    describe('#getResponsiveImage', function() {
+        it('should generate a srcset with a signed URL for each width', function() {
+            var image = url.getResponsiveImage({ widths: [320, 640], sizes: '50vw' });
+
+            assert.equal(
+                url.clone().maxSize({ width: 320 }).getUrl() + ' 320w, ' +
+                url.clone().maxSize({ width: 640 }).getUrl() + ' 640w',
+                image.srcset
+            );
+            assert.equal(url.clone().maxSize({ width: 320 }).getUrl(), image.src);
+            assert.equal('50vw', image.sizes);
+            assert.deepEqual([], image.sources);
+        });
+
+        it('should generate a srcset for each pixel density', function() {
+            var image = url.getResponsiveImage({ densities: [1, 1.5], width: 200, height: 100, sizes: '50vw' });
+
+            assert.equal(
+                url.clone().maxSize({ width: 200, height: 100 }).getUrl() + ' 1x, ' +
+                url.clone().maxSize({ width: 300, height: 150 }).getUrl() + ' 1.5x',
+                image.srcset
+            );
+            assert.equal(null, image.sizes);
+        });
+
+        it('should keep existing transformations ahead of the resize', function() {
+            url.crop({ x: 0, y: 0, width: 100, height: 100 }).png();
+
+            var variant = url.getResponsiveImage({ widths: [50], transformation: 'resize' }).src,
+                parsed = Imbo.ImageUrl.parse(variant, priv);
+
+            assert.deepEqual(['crop', 'resize'], parsed.getTransformations().map(function(transformation) {
+                return transformation.name;
+            }));
+            assert.equal('png', parsed.getExtension());
+            assert.equal(variant, parsed.getUrl());
+            assert.equal(1, url.getTransformations().length);
+        });
+
+        it('should generate sources for each format but the last', function() {
+            var image = url.getResponsiveImage({ widths: [100, 200], formats: ['webp', 'png', 'jpg'] });
+
+            assert.deepEqual(['image/webp', 'image/png'], image.sources.map(function(source) {
+                return source.type;
+            }));
+            assert.equal(url.clone().maxSize({ width: 100 }).png().getUrl() + ' 100w, ' +
+                url.clone().maxSize({ width: 200 }).png().getUrl() + ' 200w', image.sources[1].srcset);
+            assert.equal(url.clone().maxSize({ width: 100 }).jpg().getUrl(), image.src);
+        });
+
+        it('should throw on invalid options', function() {
+            assert.throws(function() {
+                url.getResponsiveImage();
+            }, /widths/);
+
+            assert.throws(function() {
+                url.getResponsiveImage({ widths: [100, -1] });
+            }, /widths/);
+
+            assert.throws(function() {
+                url.getResponsiveImage({ widths: [100], densities: [1] });
+            }, /either/);
+
+            assert.throws(function() {
+                url.getResponsiveImage({ densities: [1, 2] });
+            }, /width/);
+
+            assert.throws(function() {
+                url.getResponsiveImage({ widths: [100], transformation: 'crop' });
+            }, /transformation/);
+        });
+
+        it('should pass the result to the callback', function(done) {
+            url.getResponsiveImage({ widths: [320, 640], formats: ['webp', 'jpg'] }, function(err, image) {
+                assert.ifError(err);
+                assert.deepEqual(url.getResponsiveImage({ widths: [320, 640], formats: ['webp', 'jpg'] }), image);
+                done();
+            });
+        });
+
+        describe('with a signer instead of a private key', function() {
+            var keyless;
+
+            beforeEach(function() {
+                keyless = url.clone().setPrivateKey(null).setSigner(function(payload, callback) {
+                    setImmediate(callback, null, { accessToken: crypto.createHmac('sha256', priv)
+                        .update(payload.url)
+                        .digest('hex') });
+                });
+            });
+
+            it('should throw without a callback', function() {
+                assert.throws(function() {
+                    keyless.getResponsiveImage({ widths: [320] });
+                }, /callback/);
+            });
+
+            it('should get the access tokens of all variants from the signer', function(done) {
+                var options = { widths: [320, 640], sizes: '50vw', formats: ['webp', 'jpg'] };
+
+                keyless.getResponsiveImage(options, function(err, image) {
+                    assert.ifError(err);
+                    assert.deepEqual(url.getResponsiveImage(options), image);
+                    done();
+                });
+            });
+
+            it('should pass on errors from the signer', function(done) {
+                keyless.setSigner(function(payload, callback) {
+                    callback(new Error('Not allowed'));
+                }).getResponsiveImage({ widths: [320, 640] }, function(err, image) {
+                    assert(err.message.match(/Not allowed/));
+                    assert.equal(null, image);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('presets', function() {
+        afterEach(function() {
+            Imbo.ImageUrl.removePreset();
+        });
+
+        it('should apply presets defined using a list of steps', function() {
+            Imbo.ImageUrl.definePreset('article-hero', [
+                'autoRotate',
+                { name: 'smartSize', params: { width: 1200, height: 630 } },
+                { name: 'compress', params: { level: 80 } },
+                'jpg'
+            ]);
+
+            var expected = url.clone().autoRotate().smartSize({ width: 1200, height: 630 }).compress(80).jpg();
+            assert.equal(expected.getUrl(), url.preset('article-hero').getUrl());
+        });
+
+        it('should apply presets defined using a function', function() {
+            Imbo.ImageUrl.definePreset('avatar', function(imageUrl, overrides) {
+                imageUrl.thumbnail({ width: overrides.size || 64, height: overrides.size || 64 }).png();
+            });
+
+            assert.equal('t[]=thumbnail:width=32,height=32,fit=outbound', url.preset('avatar', { size: 32 }).getQueryString());
+            assert.equal('png', url.getExtension());
+        });
+
+        it('should keep transformations added before and after the preset', function() {
+            Imbo.ImageUrl.definePreset('gray', ['desaturate']);
+            assert.equal('t[]=strip&t[]=desaturate&t[]=flipVertically', url.strip().preset('gray').flipVertically().getQueryString());
+        });
+
+        it('should merge overrides into the parameters of the steps', function() {
+            Imbo.ImageUrl.definePresets({
+                hero: [
+                    { name: 'smartSize', params: { width: 1200, height: 630, crop: 'wide' } },
+                    { name: 'convert', params: 'jpg' }
+                ]
+            });
+
+            url.preset('hero', { smartSize: { width: 600, height: 315 }, convert: 'png' });
+            assert.equal('t[]=smartSize:width=600,height=315,crop=wide', url.getQueryString());
+            assert.equal('png', url.getExtension());
+        });
+
+        it('should leave the url unchanged when a step throws', function() {
+            Imbo.ImageUrl.definePreset('broken', [
+                'desaturate',
+                { name: 'compress', params: { level: 80 } },
+                { name: 'smartSize', params: { width: 600 } }
+            ]);
+
+            assert.throws(function() {
+                url.strip().preset('broken');
+            }, /height/i);
+
+            assert.equal('t[]=strip', url.getQueryString());
+        });
+
+        it('should leave the url unchanged when a preset function throws', function() {
+            Imbo.ImageUrl.definePreset('broken', function(imageUrl) {
+                imageUrl.desaturate().png().crop({ x: 1 });
+            });
+
+            var extension = url.getExtension();
+
+            assert.throws(function() {
+                url.preset('broken');
+            }, Error);
+
+            assert.equal('', url.getQueryString());
+            assert.equal(extension, url.getExtension());
+        });
+
+        it('should throw when overriding steps which are not in the preset', function() {
+            Imbo.ImageUrl.definePreset('gray', ['desaturate']);
+
+            assert.throws(function() {
+                url.preset('gray', { compress: { level: 10 } });
+            }, /no `compress` step/);
+        });
+
+        it('should accept presets from JSON config', function() {
+            Imbo.ImageUrl.definePresets(JSON.parse(
+                '{"thumb":[{"name":"thumbnail","params":{"width":100,"height":100}}],"clean":["strip"]}'
+            ));
+
+            assert.deepEqual(['thumb', 'clean'], Imbo.ImageUrl.getPresets());
+            assert.deepEqual([{ name: 'strip' }], Imbo.ImageUrl.getPreset('clean'));
+            assert.equal('t[]=strip', url.preset('clean').getQueryString());
+        });
+
+        it('should remove presets', function() {
+            Imbo.ImageUrl.definePresets({ a: ['strip'], b: ['strip'] });
+            Imbo.ImageUrl.removePreset('a');
+
+            assert.deepEqual(['b'], Imbo.ImageUrl.getPresets());
+            assert.equal(null, Imbo.ImageUrl.getPreset('a'));
+        });
+
+        it('should throw on unknown presets and invalid definitions', function() {
+            assert.throws(function() {
+                url.preset('foo');
+            }, /Unknown preset "foo"/);
+
+            assert.throws(function() {
+                Imbo.ImageUrl.definePreset('foo', ['getUrl']);
+            }, /Invalid preset step "getUrl"/);
+
+            assert.throws(function() {
+                Imbo.ImageUrl.definePreset('foo', { name: 'strip' });
+            }, /array of steps/);
+
+            assert.throws(function() {
+                Imbo.ImageUrl.definePreset('', ['strip']);
+            }, /name/);
+        });
+
+        it('should validate all presets', function() {
+            Imbo.ImageUrl.definePresets({
+                valid: ['strip', { name: 'maxSize', params: { width: 100 } }],
+                broken: [{ name: 'smartSize', params: { width: 100 } }]
+            });
+
+            assert.throws(function() {
+                Imbo.ImageUrl.validatePresets();
+            }, /broken: Both width and height/);
+
+            Imbo.ImageUrl.removePreset('broken');
+            Imbo.ImageUrl.validatePresets();
+        });
+    });
+
+    describe('access token verification', function() {
+        var sign = function(str, key) {
+            return crypto.createHmac('sha256', key || priv).update(str, 'utf8').digest('hex');
+        };
+
+        var imageBase = 'http://imbo/users/pub/images/' + catMd5;
+
+        it('should accept URLs generated by getUrl()', function() {
+            var signed = url.maxSize({ width: 100 }).border({ color: '#bf1942' }).png().getUrl();
+
+            assert.equal(true, Imbo.ImageUrl.verify(signed, priv));
+            assert.equal(true, Imbo.ImageUrl.verify(url.reset().getUrl(), priv));
+        });
+
+        it('should reject tampered URLs and other private keys', function() {
+            var signed = url.maxSize({ width: 100 }).getUrl();
+
+            assert.equal(false, Imbo.ImageUrl.verify(signed, 'other'));
+            assert.equal(false, Imbo.ImageUrl.verify(signed.replace('100', '1000'), priv));
+            assert.equal(false, Imbo.ImageUrl.verify(signed.replace(/accessToken=.*/, 'accessToken=abc'), priv));
+            assert.equal(false, Imbo.ImageUrl.verify(signed.replace(/&accessToken=.*/, ''), priv));
+            assert.equal(false, Imbo.ImageUrl.verify(signed, null));
+        });
+
+        it('should accept tokens generated from both raw and encoded transformations', function() {
+            var raw = imageBase + '?t[]=maxSize:width=100',
+                encoded = imageBase + '?t%5B%5D=maxSize%3Awidth%3D100';
+
+            assert.equal(true, Imbo.ImageUrl.verify(raw + '&accessToken=' + sign(raw), priv));
+            assert.equal(true, Imbo.ImageUrl.verify(encoded + '&accessToken=' + sign(raw), priv));
+            assert.equal(true, Imbo.ImageUrl.verify(encoded + '&accessToken=' + sign(encoded), priv));
+            assert.equal(true, Imbo.ImageUrl.verify(raw + '&accessToken=' + sign(encoded), priv));
+        });
+
+        it('should cover the publicKey parameter', function() {
+            var signed = new Imbo.ImageUrl({
+                baseUrl: baseUrl,
+                user: 'user',
+                publicKey: pub,
+                privateKey: priv,
+                imageIdentifier: catMd5
+            }).strip().getUrl();
+
+            assert.notEqual(-1, signed.indexOf('publicKey=pub'));
+            assert.equal(true, Imbo.ImageUrl.verify(signed, priv));
+            assert.equal(false, Imbo.ImageUrl.verify(signed.replace('publicKey=pub', 'publicKey=other'), priv));
+        });
+
+        it('should accept URLs with the parameters in any position', function() {
+            var unsigned = imageBase + '?t[]=strip&foo=bar';
+
+            assert.equal(true, Imbo.ImageUrl.verify(unsigned + '&accessToken=' + sign(unsigned), priv));
+            assert.equal(true, Imbo.ImageUrl.verify(
+                imageBase + '?accessToken=' + sign(unsigned) + '&t[]=strip&foo=bar',
+                priv
+            ));
+        });
+
+        it('should check the access token of parsed URLs', function() {
+            var parsed = Imbo.ImageUrl.parse(url.sepia().getUrl(), priv);
+
+            assert.equal(true, parsed.isValidAccessToken());
+            assert.equal(true, parsed.clone().isValidAccessToken());
+            assert.equal(false, parsed.flipVertically().isValidAccessToken());
+        });
+
+        it('should check given access tokens', function() {
+            var token = url.strip().getUrl().replace(/.*accessToken=/, '');
+
+            assert.equal(true, url.isValidAccessToken(token));
+            assert.equal(false, url.isValidAccessToken(token.replace(/^./, 'x')));
+            assert.equal(false, url.isValidAccessToken());
+        });
+
+        it('should not accept access tokens without a private key', function() {
+            var parsed = Imbo.ImageUrl.parse(url.getUrl());
+            assert.equal(false, parsed.isValidAccessToken());
+        });
+    });
+
     describe('#getQueryString', function() {
         it('should be empty string when there are no transformations', function() {
             assert.equal(url.getQueryString(), '');
@@ -703,6 +1385,14 @@ describe('Imbo.ImageUrl', function() {
         });
     });
 
+    describe('#setBaseUrl', function() {
+        it('should change the host of the URL', function() {
+            var clone = url.clone().setBaseUrl('http://imbo2');
+            assert.equal('http://imbo2', clone.getBaseUrl());
+            assert.equal(0, clone.toString().indexOf('http://imbo2/users/pub/images/' + catMd5));
+        });
+    });
+
     describe('#parse', function() {
         it('should correctly parse simple URLs', function() {
             var testUrl = 'http://imbo/users/pub/images/' + catMd5;
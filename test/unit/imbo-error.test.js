@@ -0,0 +1,78 @@
+'use strict';
+
+var ImboError = require('../../lib/imbo-error'),
+    assert = require('assert');
+
+describe('ImboError', function() {
+    var errorBody = {
+        error: {
+            code: 400,
+            message: 'Invalid image',
+            date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+            imboErrorCode: 205
+        }
+    };
+
+    var request = {
+        method: 'POST',
+        uri: 'http://imbo/users/pub/images?publicKey=foo&signature=abc&timestamp=2026-10-19T10%3A00%3A00Z'
+    };
+
+    var response = { statusCode: 400, statusMessage: 'Bad Request', headers: {} };
+
+    it('should be an instance of Error', function() {
+        var err = new ImboError('Something failed');
+
+        assert(err instanceof Error);
+        assert(err instanceof ImboError);
+        assert.equal('ImboError', err.name);
+        assert.equal('Something failed', err.message);
+        assert(err.stack);
+    });
+
+    describe('.fromResponse', function() {
+        it('should expose the Imbo error body', function() {
+            var err = ImboError.fromResponse(request, response, errorBody);
+
+            assert.equal(400, err.statusCode);
+            assert.equal(205, err.imboErrorCode);
+            assert.equal('Invalid image', err.serverMessage);
+            assert.equal('Mon, 19 Oct 2026 10:00:00 GMT', err.date);
+            assert.equal('HTTP 400 Bad Request - Invalid image', err.message);
+            assert.equal(response, err.response);
+            assert.equal(errorBody, err.body);
+        });
+
+        it('should parse string and buffer bodies', function() {
+            var json = JSON.stringify(errorBody);
+
+            assert.equal(205, ImboError.fromResponse(request, response, json).imboErrorCode);
+            assert.equal(205, ImboError.fromResponse(request, response, new Buffer(json)).imboErrorCode);
+        });
+
+        it('should include the method and URL, without the signature', function() {
+            var err = ImboError.fromResponse(request, response, errorBody);
+
+            assert.equal('POST', err.method);
+            assert.equal('http://imbo/users/pub/images?publicKey=foo&timestamp=2026-10-19T10%3A00%3A00Z', err.url);
+        });
+
+        it('should strip access tokens from the URL', function() {
+            var err = ImboError.fromResponse({
+                method: 'GET',
+                uri: 'http://imbo/users/pub/images/foo.png?accessToken=abc&t[]=flipHorizontally'
+            }, response);
+
+            assert.equal('http://imbo/users/pub/images/foo.png?t[]=flipHorizontally', err.url);
+        });
+
+        it('should handle responses without an Imbo error body', function() {
+            var err = ImboError.fromResponse(request, { statusCode: 503, statusMessage: 'Service Unavailable' }, '<h1>');
+
+            assert.equal('HTTP 503 Service Unavailable', err.message);
+            assert.equal(503, err.statusCode);
+            assert.equal(null, err.imboErrorCode);
+            assert.equal(null, err.serverMessage);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+var Imbo = require('../../'),
+    assert = require('assert');
+
+describe('Imbo.MetadataQuery', function() {
+    var Query = Imbo.MetadataQuery,
+        query;
+
+    beforeEach(function() {
+        query = new Query();
+    });
+
+    describe('#toJSON', function() {
+        it('should return an empty object when no clauses are added', function() {
+            assert.deepEqual({}, query.toJSON());
+        });
+
+        it('should return a single clause as-is', function() {
+            assert.deepEqual({ photographer: { $eq: 'Espen' } }, query.eq('photographer', 'Espen').toJSON());
+        });
+
+        it('should combine multiple clauses using $and', function() {
+            query.eq('photographer', 'Espen').gt('articleId', 100);
+
+            assert.deepEqual({
+                $and: [
+                    { photographer: { $eq: 'Espen' } },
+                    { articleId: { $gt: 100 } }
+                ]
+            }, query.toJSON());
+        });
+    });
+
+    describe('operators', function() {
+        it('should produce comparison clauses', function() {
+            assert.deepEqual({ a: { $ne: 1 } }, Query.ne('a', 1));
+            assert.deepEqual({ a: { $gte: 1 } }, Query.gte('a', 1));
+            assert.deepEqual({ a: { $lt: 1 } }, Query.lt('a', 1));
+            assert.deepEqual({ a: { $lte: 1 } }, Query.lte('a', 1));
+        });
+
+        it('should produce $in and $nin clauses', function() {
+            assert.deepEqual({ license: { $in: ['CC-BY', 'CC0'] } }, Query.in('license', ['CC-BY', 'CC0']));
+            assert.deepEqual({ license: { $nin: ['CC-BY'] } }, Query.nin('license', ['CC-BY']));
+        });
+
+        it('should require an array of values for $in and $nin', function() {
+            assert.throws(function() {
+                Query.in('license', 'CC-BY');
+            }, /\$in/);
+
+            assert.throws(function() {
+                query.nin('license', 'CC-BY');
+            }, /\$nin/);
+        });
+
+        it('should produce $wildcard clauses', function() {
+            assert.deepEqual({ title: { $wildcard: 'cat*' } }, Query.wildcard('title', 'cat*'));
+            assert.throws(function() {
+                Query.wildcard('title', 5);
+            }, /\$wildcard/);
+        });
+
+        it('should produce $exists clauses, defaulting to true', function() {
+            assert.deepEqual({ caption: { $exists: true } }, Query.exists('caption'));
+            assert.deepEqual({ caption: { $exists: false } }, Query.exists('caption', false));
+        });
+
+        it('should throw on invalid field names', function() {
+            assert.throws(function() {
+                query.eq('', 'foo');
+            }, /field name/);
+        });
+    });
+
+    describe('logical operators', function() {
+        it('should combine clauses using $or', function() {
+            query
+                .in('license', ['CC-BY', 'CC0'])
+                .or(Query.gt('articleId', 100), Query.exists('caption', false));
+
+            assert.deepEqual({
+                $and: [
+                    { license: { $in: ['CC-BY', 'CC0'] } },
+                    { $or: [{ articleId: { $gt: 100 } }, { caption: { $exists: false } }] }
+                ]
+            }, query.toJSON());
+        });
+
+        it('should accept nested queries', function() {
+            var nested = (new Query()).eq('a', 1).eq('b', 2);
+
+            assert.deepEqual({
+                $or: [
+                    { $and: [{ a: { $eq: 1 } }, { b: { $eq: 2 } }] },
+                    { c: { $eq: 3 } }
+                ]
+            }, Query.or(nested, Query.eq('c', 3)));
+        });
+
+        it('should throw if no clauses are given', function() {
+            assert.throws(function() {
+                query.and();
+            }, /\$and/);
+        });
+    });
+
+    describe('#toString', function() {
+        it('should return the query as JSON', function() {
+            assert.equal('{"a":{"$eq":1}}', query.eq('a', 1).toString());
+        });
+    });
+});
@@ -0,0 +1,323 @@
+'use strict';
+
+var Imbo = require('../../'),
+    assert = require('assert'),
+    crypto = require('crypto'),
+    stream = require('stream'),
+    nock = require('nock');
+
+var catMd5 = '61da9892205a0d5077a353eb3487e8c8';
+
+describe('Imbo.middleware', function() {
+    var client, middleware;
+
+    var createRequest = function(method, url, body, headers) {
+        var req = new stream.PassThrough();
+        req.method = method;
+        req.url = url;
+        req.headers = headers || {};
+
+        setImmediate(function() {
+            req.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+        });
+
+        return req;
+    };
+
+    var call = function(req, callback) {
+        var res = {
+            headers: {},
+            setHeader: function(name, value) {
+                res.headers[name.toLowerCase()] = value;
+            },
+            end: function(body) {
+                callback(null, res, JSON.parse(body));
+            }
+        };
+
+        middleware(req, res, function() {
+            callback(null, null, null);
+        });
+    };
+
+    var sign = function(body, callback) {
+        call(createRequest('POST', '/sign', body), callback);
+    };
+
+    beforeEach(function() {
+        client = new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', privateKey: 'priv' });
+        middleware = Imbo.middleware({ client: client });
+    });
+
+    it('should throw without a client holding a private key', function() {
+        assert.throws(function() {
+            Imbo.middleware();
+        }, /client/);
+
+        assert.throws(function() {
+            Imbo.middleware({
+                client: new Imbo.Client({ hosts: 'http://imbo', publicKey: 'pub', signer: '/sign' })
+            });
+        }, /private key/);
+    });
+
+    it('should require an authorize function for proxying uploads', function() {
+        assert.throws(function() {
+            Imbo.middleware({ client: client, proxyUploads: true });
+        }, /authorize/);
+    });
+
+    it('should pass on requests to other paths', function(done) {
+        call(createRequest('GET', '/sign', {}), function(err, res) {
+            assert.ifError(err);
+            assert.equal(null, res);
+
+            call(createRequest('POST', '/foo', {}), function(otherErr, otherRes) {
+                assert.equal(null, otherRes);
+                done();
+            });
+        });
+    });
+
+    it('should generate access tokens for resources of the user', function(done) {
+        var url = 'http://imbo/users/pub/images/' + catMd5 + '.jpg?t[]=strip';
+
+        sign({ type: 'accessToken', url: url }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal('no-store', res.headers['cache-control']);
+            assert.equal(crypto.createHmac('sha256', 'priv').update(url).digest('hex'), body.accessToken);
+            assert.equal(url + '&accessToken=' + body.accessToken, client.getImageUrl(catMd5).strip().jpg().getUrl()
+                .replace('t%5B%5D=', 't[]='));
+            done();
+        });
+    });
+
+    it('should not sign resources of other users or hosts', function(done) {
+        var urls = [
+            'http://imbo/users/other/images/' + catMd5,
+            'http://evil/users/pub/images/' + catMd5,
+            'http://imbo/users/pub/../other/images',
+            'http://imbo/users/pub%2F..%2Fother/images',
+            'http://imbo/status.json'
+        ];
+
+        var next = function() {
+            if (!urls.length) {
+                return done();
+            }
+
+            sign({ type: 'accessToken', url: urls.shift() }, function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(403, res.statusCode);
+                assert.equal(403, body.error.code);
+                next();
+            });
+        };
+
+        next();
+    });
+
+    it('should not sign uploads by default', function(done) {
+        sign({ type: 'request', method: 'POST', url: 'http://imbo/users/pub/images' }, function(err, res) {
+            assert.ifError(err);
+            assert.equal(403, res.statusCode);
+            done();
+        });
+    });
+
+    it('should sign uploads allowed by the authorize function', function(done) {
+        middleware = Imbo.middleware({
+            client: client,
+            authorize: function(req, signRequest) {
+                return signRequest.method === 'POST';
+            }
+        });
+
+        sign({ type: 'request', method: 'post', url: 'http://imbo/users/pub/images' }, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+
+            var timestamp = decodeURIComponent(body.url.replace(/.*timestamp=/, '')),
+                signature = crypto.createHmac('sha256', 'priv')
+                    .update('POST|http://imbo/users/pub/images|pub|' + timestamp)
+                    .digest('hex');
+
+            assert.equal('http://imbo/users/pub/images?signature=' + signature, body.url.replace(/&timestamp=.*/, ''));
+            done();
+        });
+    });
+
+    it('should not sign other write requests by default', function(done) {
+        sign({ type: 'request', method: 'DELETE', url: 'http://imbo/users/pub/images/' + catMd5 }, function(err, res) {
+            assert.ifError(err);
+            assert.equal(403, res.statusCode);
+            done();
+        });
+    });
+
+    it('should let the authorize function decide which requests to sign', function(done) {
+        var requests = [];
+
+        middleware = Imbo.middleware({
+            client: client,
+            authorize: function(req, signRequest) {
+                requests.push(signRequest);
+                return req.headers.authorization === 'secret';
+            }
+        });
+
+        var url = 'http://imbo/users/pub/images/' + catMd5;
+        call(createRequest('POST', '/sign', { type: 'request', method: 'DELETE', url: url }, {
+            authorization: 'secret'
+        }), function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal(0, body.url.indexOf(url + '?signature='));
+            assert.deepEqual([{ type: 'request', method: 'DELETE', url: url }], requests);
+
+            sign({ type: 'accessToken', url: url }, function(deniedErr, deniedRes) {
+                assert.equal(403, deniedRes.statusCode);
+                done();
+            });
+        });
+    });
+
+    it('should use bodies parsed by body parsers', function(done) {
+        var req = createRequest('POST', '/sign', '');
+        req.body = { type: 'accessToken', url: 'http://imbo/users/pub.json' };
+
+        call(req, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal(64, body.accessToken.length);
+            done();
+        });
+    });
+
+    it('should parse bodies read by raw and text body parsers', function(done) {
+        var req = createRequest('POST', '/sign', '');
+        req.body = new Buffer(JSON.stringify({ type: 'accessToken', url: 'http://imbo/users/pub.json' }));
+
+        call(req, function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(200, res.statusCode);
+            assert.equal(64, body.accessToken.length);
+
+            var textReq = createRequest('POST', '/sign', '');
+            textReq.body = 'not json';
+
+            call(textReq, function(textErr, textRes, textBody) {
+                assert.ifError(textErr);
+                assert.equal(400, textRes.statusCode);
+                assert(textBody.error.message.match(/JSON/));
+                done();
+            });
+        });
+    });
+
+    it('should respond with an error on invalid requests', function(done) {
+        call(createRequest('POST', '/sign', 'not json'), function(err, res, body) {
+            assert.ifError(err);
+            assert.equal(400, res.statusCode);
+            assert(body.error.message.match(/JSON/));
+
+            sign({ type: 'signature', url: 'http://imbo/users/pub/images' }, function(typeErr, typeRes) {
+                assert.equal(400, typeRes.statusCode);
+                done();
+            });
+        });
+    });
+
+    describe('upload proxy', function() {
+        var mock;
+
+        beforeEach(function() {
+            mock = nock('http://imbo');
+            middleware = Imbo.middleware({
+                client: client,
+                proxyUploads: true,
+                authorize: function(req, signRequest) {
+                    return signRequest.type === 'upload';
+                }
+            });
+        });
+
+        afterEach(function() {
+            mock.done();
+        });
+
+        it('should add images and respond with the response from Imbo', function(done) {
+            mock.filteringPath(function(path) {
+                return path.replace(/\?.*/, '');
+            }).post('/users/pub/images', 'image data').reply(201, { imageIdentifier: catMd5 });
+
+            call(createRequest('POST', '/images', 'image data', { 'content-length': '10' }), function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(201, res.statusCode);
+                assert.equal(catMd5, body.imageIdentifier);
+                done();
+            });
+        });
+
+        it('should add images read by body parsers', function(done) {
+            mock.filteringPath(function(path) {
+                return path.replace(/\?.*/, '');
+            }).post('/users/pub/images', 'image data').reply(200, { imageIdentifier: catMd5 });
+
+            var req = createRequest('POST', '/images', '');
+            req.body = new Buffer('image data');
+
+            call(req, function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(200, res.statusCode);
+                assert.equal(catMd5, body.imageIdentifier);
+                done();
+            });
+        });
+
+        it('should not proxy uploads the authorize function denies', function(done) {
+            middleware = Imbo.middleware({
+                client: client,
+                proxyUploads: true,
+                authorize: function() {
+                    return false;
+                }
+            });
+
+            call(createRequest('POST', '/images', 'foo'), function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(403, res.statusCode);
+                assert(body.error.message.match(/not allowed/));
+                done();
+            });
+        });
+
+        it('should respond with errors from Imbo', function(done) {
+            mock.filteringPath(function(path) {
+                return path.replace(/\?.*/, '');
+            }).post('/users/pub/images', '*').reply(400, { error: { message: 'Unsupported image type' } });
+
+            mock.filteringRequestBody(function() {
+                return '*';
+            });
+
+            call(createRequest('POST', '/images', 'foo', { 'content-length': '3' }), function(err, res, body) {
+                assert.ifError(err);
+                assert.equal(400, res.statusCode);
+                assert(body.error.message.match(/Unsupported image type/));
+                done();
+            });
+        });
+
+        it('should not proxy uploads unless enabled', function(done) {
+            middleware = Imbo.middleware({ client: client });
+
+            call(createRequest('POST', '/images', 'foo'), function(err, res) {
+                assert.ifError(err);
+                assert.equal(null, res);
+                done();
+            });
+        });
+    });
+});
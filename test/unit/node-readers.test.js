@@ -0,0 +1,64 @@
+'use strict';
+
+var readers = require('../../lib/node/readers'),
+    assert = require('assert'),
+    stream = require('stream'),
+    fs = require('fs'),
+    os = require('os');
+
+describe('node readers', function() {
+    var createStream = function(chunks) {
+        var readable = new stream.PassThrough();
+
+        setImmediate(function() {
+            chunks.forEach(function(chunk) {
+                readable.write(chunk);
+            });
+            readable.end();
+        });
+
+        return readable;
+    };
+
+    describe('#spoolStream', function() {
+        it('should keep small streams in memory', function(done) {
+            readers.spoolStream(createStream(['foo', new Buffer('bar')]), {}, function(err, spool) {
+                assert.ifError(err);
+                assert.equal(6, spool.length);
+                assert.equal('foobar', spool.buffer.toString());
+                assert.equal(null, spool.path);
+                spool.cleanup();
+                done();
+            });
+        });
+
+        it('should write large streams to a temporary file', function(done) {
+            var chunks = ['foo', 'bar', 'baz'];
+
+            readers.spoolStream(createStream(chunks), { maxMemorySize: 4, tempDir: os.tmpdir() }, function(err, spool) {
+                assert.ifError(err);
+                assert.equal(9, spool.length);
+                assert.equal(null, spool.buffer);
+                assert.equal(0, spool.path.indexOf(os.tmpdir()));
+                assert.equal('foobarbaz', fs.readFileSync(spool.path).toString());
+
+                spool.cleanup();
+                setTimeout(function() {
+                    assert.equal(false, fs.existsSync(spool.path));
+                    done();
+                }, 50);
+            });
+        });
+
+        it('should pass stream errors', function(done) {
+            var readable = new stream.PassThrough();
+
+            readers.spoolStream(readable, {}, function(err) {
+                assert.equal('Read failed', err.message);
+                done();
+            });
+
+            readable.emit('error', new Error('Read failed'));
+        });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+var retry = require('../../lib/utils/retry'),
+    assert = require('assert');
+
+describe('retry', function() {
+    describe('#getPolicy', function() {
+        it('should not retry by default', function() {
+            assert.equal(1, retry.getPolicy().attempts);
+        });
+
+        it('should merge the given options with the defaults', function() {
+            var policy = retry.getPolicy({ attempts: 5, statusCodes: [500] });
+            assert.equal(5, policy.attempts);
+            assert.deepEqual([500], policy.statusCodes);
+            assert.equal(2, policy.factor);
+        });
+    });
+
+    describe('#shouldRetry', function() {
+        var policy = retry.getPolicy({ attempts: 3 });
+
+        it('should retry retryable status codes', function() {
+            assert.equal(true, retry.shouldRetry(policy, 1, new Error('HTTP 503'), { statusCode: 503 }));
+            assert.equal(false, retry.shouldRetry(policy, 1, new Error('HTTP 400'), { statusCode: 400 }));
+        });
+
+        it('should retry retryable network errors', function() {
+            var err = new Error('socket hang up');
+            err.code = 'ECONNRESET';
+
+            assert.equal(true, retry.shouldRetry(policy, 1, err));
+            assert.equal(false, retry.shouldRetry(policy, 1, new Error('Unknown')));
+        });
+
+        it('should not retry when the maximum number of attempts is reached', function() {
+            assert.equal(false, retry.shouldRetry(policy, 3, new Error('HTTP 503'), { statusCode: 503 }));
+        });
+    });
+
+    describe('#getDelay', function() {
+        it('should back off exponentially', function() {
+            var policy = retry.getPolicy({ minDelay: 100, jitter: false });
+            assert.equal(100, retry.getDelay(policy, 1));
+            assert.equal(200, retry.getDelay(policy, 2));
+            assert.equal(400, retry.getDelay(policy, 3));
+        });
+
+        it('should never exceed the max delay', function() {
+            var policy = retry.getPolicy({ minDelay: 100, maxDelay: 300, jitter: false });
+            assert.equal(300, retry.getDelay(policy, 5));
+        });
+
+        it('should apply jitter within the upper half of the delay', function() {
+            var policy = retry.getPolicy({ minDelay: 100 });
+
+            for (var i = 0; i < 10; i++) {
+                var delay = retry.getDelay(policy, 2);
+                assert(delay >= 100 && delay <= 200, 'delay out of bounds: ' + delay);
+            }
+        });
+    });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+var Imbo = require('../../'),
+    assert = require('assert');
+
+describe('Imbo.Transformation', function() {
+    var Transformation = Imbo.Transformation;
+
+    describe('.parse', function() {
+        it('should parse the name and typed params', function() {
+            var transformation = Transformation.parse('crop:x=0,y=10,width=927,height=621,mode=center-x');
+
+            assert.equal('crop', transformation.getName());
+            assert.deepEqual({ x: 0, y: 10, width: 927, height: 621, mode: 'center-x' }, transformation.getParams());
+        });
+
+        it('should parse transformations without params', function() {
+            var transformation = Transformation.parse('flipHorizontally');
+
+            assert.equal('flipHorizontally', transformation.name);
+            assert.deepEqual({}, transformation.params);
+        });
+
+        it('should parse comma separated values as arrays', function() {
+            var transformation = Transformation.parse('smartSize:width=320,height=240,poi=10,20,crop=close');
+            assert.deepEqual([10, 20], transformation.getParam('poi'));
+            assert.equal('close', transformation.getParam('crop'));
+        });
+
+        it('should not convert values which would change when serialized', function() {
+            var transformation = Transformation.parse('border:color=000000,width=1.50,height=1e3');
+
+            assert.strictEqual('000000', transformation.getParam('color'));
+            assert.strictEqual('1.50', transformation.getParam('width'));
+            assert.strictEqual('1e3', transformation.getParam('height'));
+        });
+
+        it('should round-trip transformations losslessly', function() {
+            [
+                'crop:x=0,y=0,width=927,height=621',
+                'sharpen:preset=moderate',
+                'modulate:s=127',
+                'sharpen',
+                'smartSize:width=320,height=240,poi=10,20',
+                'rotate:angle=-17.5,bg=ff00ff',
+                'custom:flag',
+                'custom:a=1,,b=2',
+                'custom:'
+            ].forEach(function(str) {
+                assert.equal(str, Transformation.parse(str).toString());
+            });
+        });
+    });
+
+    describe('#toString', function() {
+        it('should serialize params in the order they were added', function() {
+            assert.equal(
+                'thumbnail:width=50,height=40,fit=inset',
+                new Transformation('thumbnail', { width: 50, height: 40, fit: 'inset' }).toString()
+            );
+        });
+
+        it('should reflect changed params', function() {
+            var transformation = Transformation.parse('maxSize:width=100,height=100');
+
+            transformation.setParam('width', 200).setParam('height', null);
+            assert.equal('maxSize:width=200', transformation.toString());
+        });
+    });
+
+    describe('#toJSON', function() {
+        it('should return the name and params', function() {
+            assert.equal(
+                '{"name":"resize","params":{"width":100}}',
+                JSON.stringify(Transformation.parse('resize:width=100'))
+            );
+        });
+    });
+
+    describe('.from', function() {
+        it('should accept strings, objects and transformations', function() {
+            var transformation = new Transformation('strip');
+
+            assert.equal(transformation, Transformation.from(transformation));
+            assert.equal('strip', Transformation.from('strip').toString());
+            assert.equal('resize:width=10', Transformation.from({ name: 'resize', params: { width: 10 } }).toString());
+        });
+
+        it('should throw on invalid transformations', function() {
+            assert.throws(function() {
+                Transformation.from(42);
+            }, /name/);
+
+            assert.throws(function() {
+                Transformation.from({ params: {} });
+            }, /name/);
+        });
+    });
+});
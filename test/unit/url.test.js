@@ -48,6 +48,17 @@ describe('Imbo.Url', function() {
         });
     });
 
+    describe('#setBaseUrl', function() {
+        it('should return the url instance', function() {
+            assert.equal(url.setBaseUrl('http://imbo2'), url);
+        });
+
+        it('should set the passed base URL', function() {
+            assert.equal(url.setBaseUrl('http://imbo2').getBaseUrl(), 'http://imbo2');
+            assert.equal(signatureCleaner(url.setPath('/status').toString()), 'http://imbo2/status');
+        });
+    });
+
     describe('#setPrivateKey', function() {
         it('should return the url instance', function() {
             assert.equal(url.setPrivateKey('rosebud'), url);
@@ -110,6 +121,75 @@ describe('Imbo.Url', function() {
         });
     });
 
+    describe('#getUrl with a callback', function() {
+        var keyless;
+
+        beforeEach(function() {
+            keyless = new Imbo.Url({ baseUrl: baseUrl, publicKey: pub, path: '/users/pub.json' });
+        });
+
+        it('should pass the URL to the callback when the private key is set', function(done) {
+            url.getUrl(function(err, signed) {
+                assert.ifError(err);
+                assert.equal(url.getUrl(), signed);
+                done();
+            });
+        });
+
+        it('should not add an access token without private key or signer', function(done) {
+            assert.equal('http://imbo/users/pub.json', keyless.getUrl());
+
+            keyless.getUrl(function(err, unsigned) {
+                assert.ifError(err);
+                assert.equal('http://imbo/users/pub.json', unsigned);
+                done();
+            });
+        });
+
+        it('should get the access token from the signer without private key', function(done) {
+            var payloads = [];
+
+            keyless.setSigner(function(payload, callback) {
+                payloads.push(payload);
+                callback(null, { accessToken: 'token' });
+            }).setQueryString('foo=bar');
+
+            keyless.getUrl(function(err, signed) {
+                assert.ifError(err);
+                assert.equal('http://imbo/users/pub.json?foo=bar&accessToken=token', signed);
+                assert.deepEqual([{ type: 'accessToken', url: 'http://imbo/users/pub.json?foo=bar' }], payloads);
+                done();
+            });
+        });
+
+        it('should pass on errors from the signer', function(done) {
+            keyless.setSigner(function(payload, callback) {
+                callback(new Error('Not allowed'));
+            });
+
+            keyless.getUrl(function(err, signed) {
+                assert(err.message.match(/Not allowed/));
+                assert.equal(null, signed);
+                done();
+            });
+        });
+    });
+
+    describe('.addAccessToken', function() {
+        it('should generate the same access token as getUrl()', function() {
+            var image = new Imbo.ImageUrl({
+                baseUrl: baseUrl,
+                publicKey: pub,
+                privateKey: priv,
+                imageIdentifier: '61da9892205a0d5077a353eb3487e8c8',
+                queryString: 'foo=bar'
+            }).maxSize({ width: 320 }).border({ color: 'fff' }).png();
+
+            assert.equal(image.getUrl(), Imbo.Url.addAccessToken(image.getUnsignedUrl().encodedUrl, priv));
+            assert.equal(url.getUrl(), Imbo.Url.addAccessToken('http://imbo', priv));
+        });
+    });
+
     describe('#toString', function() {
         it('should alias getUrl()', function() {
             var u = new Imbo.Url({